@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+// Batch predictor CLI: runs every recipe in a parameter file through the
+// same two-stage engine as the web app.
+//
+//   pva-predict run recipes.csv --out results.json
+//   pva-predict run recipes.json --out results.csv
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import { parseCSV, toCSV } from '../src/lib/csv.js';
+import { runBatch, flattenResult, resultColumns } from '../src/lib/batch.js';
+import { DEFAULT_PARAMETERS } from '../src/lib/predictor.js';
+
+const USAGE = `Usage: pva-predict run <recipes.csv|recipes.json> [--out <file.json|file.csv>] [--format json|csv]
+
+Input columns: mw, concentration, voltage, flowRate, distance (optional: hydrolysis, default ${DEFAULT_PARAMETERS.hydrolysis})
+Without --out, results are written to stdout as JSON.`;
+
+function parseArgs(argv) {
+  const [command, input, ...rest] = argv;
+  const options = { command, input };
+  const value = (i) => {
+    if (rest[i + 1] === undefined || rest[i + 1].startsWith('-')) throw new Error(`Missing value for ${rest[i]}`);
+    return rest[i + 1];
+  };
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '--out' || rest[i] === '-o') options.out = value(i++);
+    else if (rest[i] === '--format' || rest[i] === '-f') options.format = value(i++);
+    else throw new Error(`Unknown option: ${rest[i]}`);
+  }
+  return options;
+}
+
+function readRecipes(file) {
+  const text = readFileSync(file, 'utf8');
+  if (extname(file).toLowerCase() === '.json') {
+    const data = JSON.parse(text);
+    const recipes = Array.isArray(data) ? data : data?.recipes;
+    if (Array.isArray(recipes)) {
+      recipes.forEach((recipe, index) => {
+        if (recipe === null || typeof recipe !== 'object' || Array.isArray(recipe)) throw new Error(`row ${index + 1}: must be an object`);
+      });
+    }
+    return recipes;
+  }
+  return parseCSV(text);
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  if (options.command !== 'run' || !options.input) {
+    console.error(USAGE);
+    process.exit(options.command === 'help' || options.command === '--help' ? 0 : 2);
+  }
+
+  let recipes;
+  try {
+    recipes = readRecipes(options.input);
+  } catch (err) {
+    const reason = err.code === 'ENOENT' ? 'no such file' : err.message;
+    console.error(`pva-predict: ${options.input}: ${reason}`);
+    process.exit(1);
+  }
+  if (!Array.isArray(recipes)) {
+    console.error(`pva-predict: ${options.input}: no recipes found`);
+    process.exit(1);
+  }
+
+  const results = runBatch(recipes);
+  const format = options.format ?? (options.out && extname(options.out).toLowerCase() === '.csv' ? 'csv' : 'json');
+  const flatRows = results.map(flattenResult);
+  const output = format === 'csv'
+    ? toCSV(flatRows, resultColumns(flatRows))
+    : JSON.stringify(results, null, 2) + '\n';
+
+  if (options.out) {
+    try {
+      writeFileSync(options.out, output);
+    } catch (err) {
+      const reason = { ENOENT: 'no such directory', EACCES: 'permission denied', EISDIR: 'is a directory' }[err.code] ?? err.message;
+      console.error(`pva-predict: ${options.out}: ${reason}`);
+      process.exit(1);
+    }
+  } else {
+    process.stdout.write(output);
+  }
+
+  // Per-row diagnostics go to stderr so stdout stays machine-readable
+  for (const result of results) {
+    for (const error of result.errors) console.error(`row ${result.row}: ERROR ${error}`);
+    for (const warning of result.warnings) console.error(`row ${result.row}: WARNING ${warning}`);
+    if (result.morphology) console.error(`row ${result.row}: ${result.morphology}`);
+  }
+
+  const failed = results.filter(r => r.errors.length > 0).length;
+  const outOfWindow = results.filter(r => r.outOfWindow).length;
+  console.error(`${results.length} recipes, ${failed} invalid, ${outOfWindow} outside the concentration window${options.out ? ` -> ${options.out}` : ''}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
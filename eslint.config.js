@@ -30,4 +30,10 @@ export default [
       ],
     },
   },
+  {
+    files: ['bin/**/*.js', 'server/**/*.js', 'test/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
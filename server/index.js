@@ -0,0 +1,183 @@
+// Local REST API for the PVA electrospinning predictor.
+//
+// Runs fully offline on a lab workstation and serves the same two-stage engine
+// as the web app. Start with `npm run serve:api` (PORT/HOST env vars override
+// the default 127.0.0.1:8787).
+//
+//   POST /predict               { mw, concentration, voltage, flowRate, distance[, hydrolysis] }
+//   POST /predict/batch         { recipes: [ {...}, ... ] }
+//   POST /scores/applications   { mw, concentration, voltage, flowRate, distance[, hydrolysis] }
+//   POST /scores/cells          { mw, concentration, voltage, flowRate, distance[, hydrolysis] }
+//   GET  /model/info
+
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+import {
+  PARAMETER_RANGES,
+  ARCHITECTURE_PROPERTIES,
+  BIOLOGY_OUTCOMES,
+  APPLICATIONS,
+  CELL_TYPES,
+  predict,
+  predictArchitecture,
+  calculateApplicationScores,
+  calculateCellScores
+} from '../src/lib/predictor.js';
+import { PARAMETERS_SCHEMA, validateParameters } from '../src/lib/validation.js';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_BATCH_SIZE = 10000;
+
+class ApiError extends Error {
+  constructor(status, code, message, details = []) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end(JSON.stringify(body));
+}
+
+async function readJsonBody(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new ApiError(413, 'PAYLOAD_TOO_LARGE', `Request body exceeds ${MAX_BODY_BYTES} bytes`);
+    }
+    chunks.push(chunk);
+  }
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch (err) {
+    throw new ApiError(400, 'INVALID_JSON', `Request body is not valid JSON: ${err.message}`);
+  }
+}
+
+function requireParameters(body) {
+  const details = validateParameters(body);
+  if (details.length > 0) {
+    throw new ApiError(422, 'VALIDATION_ERROR', 'Processing parameters failed validation', details);
+  }
+  return body;
+}
+
+function withWindow(params, architecture) {
+  const { isInWindow, minConc, maxConc } = architecture;
+  return { params, concentrationWindow: { min: minConc, max: maxConc, isInWindow } };
+}
+
+const routes = {
+  'POST /predict': async (req) => {
+    const params = requireParameters(await readJsonBody(req));
+    const result = predict(params);
+    return { ...withWindow(params, result.architecture), ...result };
+  },
+
+  'POST /predict/batch': async (req) => {
+    const body = await readJsonBody(req);
+    const recipes = Array.isArray(body) ? body : body?.recipes;
+    if (!Array.isArray(recipes)) {
+      throw new ApiError(422, 'VALIDATION_ERROR', 'Body must be an array of recipes or { "recipes": [...] }', [{ path: '/recipes', message: 'must be an array' }]);
+    }
+    if (recipes.length > MAX_BATCH_SIZE) {
+      throw new ApiError(422, 'VALIDATION_ERROR', `Batch exceeds ${MAX_BATCH_SIZE} recipes`, [{ path: '/recipes', message: `must contain at most ${MAX_BATCH_SIZE} items` }]);
+    }
+
+    const details = recipes.flatMap((recipe, index) => validateParameters(recipe, `/recipes/${index}`));
+    if (details.length > 0) {
+      throw new ApiError(422, 'VALIDATION_ERROR', 'One or more recipes failed validation', details);
+    }
+
+    return {
+      count: recipes.length,
+      results: recipes.map(params => {
+        const result = predict(params);
+        return { ...withWindow(params, result.architecture), ...result };
+      })
+    };
+  },
+
+  'POST /scores/applications': async (req) => {
+    const params = requireParameters(await readJsonBody(req));
+    const architecture = predictArchitecture(params);
+    return { ...withWindow(params, architecture), applicationScores: calculateApplicationScores(architecture) };
+  },
+
+  'POST /scores/cells': async (req) => {
+    const params = requireParameters(await readJsonBody(req));
+    const architecture = predictArchitecture(params);
+    return { ...withWindow(params, architecture), cellScores: calculateCellScores(architecture) };
+  },
+
+  'GET /model/info': async () => ({
+    name: 'PVA Electrospinning Predictor',
+    version: '2.1',
+    stages: {
+      architecture: 'Stage 1: Process-to-Architecture',
+      biology: 'Stage 2: Architecture-to-Biology'
+    },
+    inputs: PARAMETER_RANGES,
+    inputSchema: PARAMETERS_SCHEMA,
+    outputs: {
+      architecture: ARCHITECTURE_PROPERTIES,
+      biology: BIOLOGY_OUTCOMES,
+      applicationScores: APPLICATIONS,
+      cellScores: CELL_TYPES
+    },
+    limits: { maxBodyBytes: MAX_BODY_BYTES, maxBatchSize: MAX_BATCH_SIZE }
+  })
+};
+
+export function createApiServer() {
+  return createServer(async (req, res) => {
+    const path = new URL(req.url, 'http://localhost').pathname.replace(/\/+$/, '') || '/';
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+      });
+      res.end();
+      return;
+    }
+
+    try {
+      const handler = routes[`${req.method} ${path}`];
+      if (!handler) {
+        const allowed = Object.keys(routes).filter(key => key.endsWith(` ${path}`));
+        if (allowed.length > 0) {
+          throw new ApiError(405, 'METHOD_NOT_ALLOWED', `${req.method} is not supported on ${path}`, allowed.map(key => ({ path, message: `use ${key.split(' ')[0]}` })));
+        }
+        throw new ApiError(404, 'NOT_FOUND', `No route for ${req.method} ${path}`);
+      }
+      sendJson(res, 200, await handler(req));
+    } catch (err) {
+      if (err instanceof ApiError) {
+        sendJson(res, err.status, { error: { code: err.code, message: err.message, details: err.details } });
+      } else {
+        console.error(err);
+        sendJson(res, 500, { error: { code: 'INTERNAL_ERROR', message: 'Unexpected server error', details: [] } });
+      }
+    }
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT) || 8787;
+  const host = process.env.HOST || '127.0.0.1';
+  createApiServer().listen(port, host, () => {
+    console.log(`PVA predictor API listening on http://${host}:${port}`);
+  });
+}
@@ -1,13 +1,44 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './components/ui/card';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from './components/ui/tabs';
 import { Slider } from './components/ui/slider';
 import { Label } from './components/ui/label';
-import { Progress } from './components/ui/progress';
 import { Badge } from './components/ui/badge';
+import { Button } from './components/ui/button';
 import { Alert, AlertDescription } from './components/ui/alert';
-import { LineChart, Line, BarChart, Bar, AreaChart, Area, RadarChart, Radar, PolarGrid, PolarAngleAxis, PolarRadiusAxis, ScatterChart, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
-import { Activity, Droplets, Gauge, Layers, Zap, Clock, Microscope, FlaskConical, Dna, TrendingUp, AlertCircle, CheckCircle2, Info } from 'lucide-react';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './components/ui/select';
+import { LineChart, Line, BarChart, Bar, AreaChart, Area, RadarChart, Radar, PolarGrid, PolarAngleAxis, PolarRadiusAxis, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ErrorBar } from 'recharts';
+import { Activity, Droplets, Gauge, Layers, Zap, Clock, Microscope, FlaskConical, Dna, TrendingUp, AlertCircle, CheckCircle2, Info, Cpu } from 'lucide-react';
+import BatchPanel from './components/BatchPanel';
+import InverseDesignPanel from './components/InverseDesignPanel';
+import ParetoExplorer from './components/ParetoExplorer';
+import SensitivityPanel from './components/SensitivityPanel';
+import AttributionPanel from './components/AttributionPanel';
+import PartialDependencePanel from './components/PartialDependencePanel';
+import ResponseSurfacePanel from './components/ResponseSurfacePanel';
+import PhaseDiagramPanel from './components/PhaseDiagramPanel';
+import JetDiagnosticsPanel from './components/JetDiagnosticsPanel';
+import FaultRulesPanel from './components/FaultRulesPanel';
+import DesignOfExperimentsPanel from './components/DesignOfExperimentsPanel';
+import BayesianOptimizationPanel from './components/BayesianOptimizationPanel';
+import ExperimentLogPanel from './components/ExperimentLogPanel';
+import CalibrationPanel from './components/CalibrationPanel';
+import ModelPluginsPanel from './components/ModelPluginsPanel';
+import TrainingPanel from './components/TrainingPanel';
+import ApplicationOptimizerPanel from './components/ApplicationOptimizerPanel';
+import IntervalProgress from './components/IntervalProgress';
+import MorphologyBar from './components/MorphologyBar';
+import UncertaintyPropagationCard from './components/UncertaintyPropagationCard';
+import { predictWith, predictArchitectureWith, createEngine, withOptionalDefaults, DEFAULT_PARAMETERS, DIAMETER_MODELS, DIAMETER_MODEL_KEY, HYDROLYSIS_GRADES } from './lib/predictor';
+import { predictionIntervals, intervalFor } from './lib/uncertainty';
+import { associationFactor, solutionProperties, ENTANGLEMENT_ONSET, ENTANGLEMENT_COMPLETE, FIBER_ONSET_BERRY } from './lib/solution';
+import { morphologyProbabilities, classifyMorphology, DEFECTIVE_MORPHOLOGIES } from './lib/morphology';
+import { propagateUncertainty, formatLineage } from './lib/montecarlo';
+import { LITERATURE_MODEL, COEFFICIENT_SETS_KEY, ACTIVE_MODEL_KEY } from './lib/calibration';
+import { FORMULAS, ML_MODELS_KEY, ML_SELECTION_KEY, loadModel } from './lib/mlmodels';
+import { FAULT_RULES_KEY, SEVERITIES, evaluateFaults, mergeFaultRules, validateFaultRule } from './lib/faults';
+import { loadJSON, saveJSON } from './lib/storage';
+import { EngineContext } from './hooks/use-engine';
 import './App.css';
 
 function App() {
@@ -17,279 +48,170 @@ function App() {
   const [voltage, setVoltage] = useState(17.5);
   const [flowRate, setFlowRate] = useState(1.5);
   const [distance, setDistance] = useState(15);
+  const [hydrolysis, setHydrolysis] = useState(DEFAULT_PARAMETERS.hydrolysis);
+
+  const [activeTab, setActiveTab] = useState('predictor');
+
+  // Stage 1 coefficient sets: the literature model plus saved lab calibrations
+  const [coefficientSets, setCoefficientSets] = useState(() => loadJSON(COEFFICIENT_SETS_KEY, []));
+  const [modelName, setModelName] = useState(() => loadJSON(ACTIVE_MODEL_KEY, LITERATURE_MODEL));
+  const activeSet = coefficientSets.find(set => set.name === modelName);
+
+  // Trained Stage 1 / Stage 2 models loaded from JSON; files that no longer parse are ignored
+  const [modelSpecs, setModelSpecs] = useState(() => loadJSON(ML_MODELS_KEY, []));
+  const [modelSelection, setModelSelection] = useState(() => loadJSON(ML_SELECTION_KEY, { architecture: FORMULAS, biology: FORMULAS }));
+  const trainedModels = useMemo(() => modelSpecs.flatMap(spec => {
+    try {
+      return [loadModel(spec)];
+    } catch {
+      return [];
+    }
+  }), [modelSpecs]);
+  const activeModels = useMemo(() => {
+    const find = (stage) => trainedModels.find(model => model.stage === stage && model.name === modelSelection[stage]) ?? null;
+    return { architecture: find('architecture'), biology: find('biology') };
+  }, [trainedModels, modelSelection]);
+
+  // Stage 1 fiber diameter law: the empirical formula or the Fridrikh jet scaling law
+  const [diameterModel, setDiameterModel] = useState(() => loadJSON(DIAMETER_MODEL_KEY, 'empirical'));
+
+  // Coefficient set, trained models and diameter law every prediction runs with; panels read it from EngineContext
+  const engine = useMemo(
+    () => createEngine({ coefficients: activeSet?.coefficients, models: activeModels, diameterModel }),
+    [activeSet, activeModels, diameterModel]
+  );
 
-  // State for predictions
-  const [predictions, setPredictions] = useState({});
-  const [biologicalOutcomes, setBiologicalOutcomes] = useState({});
+  useEffect(() => {
+    saveJSON(COEFFICIENT_SETS_KEY, coefficientSets);
+  }, [coefficientSets]);
 
-  // Calculate predictions based on literature data
   useEffect(() => {
-    // STAGE 1: Process-to-Architecture Predictions
-    
-    // Fiber Diameter (nm) - Based on MW, concentration, voltage, flow rate
-    const viscosityFactor = (mw / 100000) * (concentration / 10);
-    const voltageFactor = 1 - (voltage - 17.5) * 0.015;
-    const flowFactor = 1 + (flowRate - 1.5) * 0.12;
-    const distanceFactor = 1 + (distance - 15) * 0.008;
-    const fiberDiameter = Math.max(150, Math.min(1500, 
-      400 * viscosityFactor * voltageFactor * flowFactor * distanceFactor
-    ));
-
-    // Porosity (%) - Inverse relationship with fiber diameter
-    const porosity = Math.max(60, Math.min(95, 
-      95 - (fiberDiameter / 100) * 2.5 + (voltage - 17.5) * 0.5
-    ));
-
-    // Average Pore Size (μm) - Scales with fiber diameter
-    const poreSize = Math.max(2, Math.min(15, 
-      (fiberDiameter / 200) * 1.5 + (porosity / 20)
-    ));
-
-    // Tensile Strength (MPa) - Based on experimental data from PDFs
-    // 200k Da = 29.8 MPa, scales with MW and concentration
-    const tensileStrength = Math.max(2, Math.min(32, 
-      2.5 + (mw / 100000) * 5.2 + (concentration - 10) * 0.35 - (fiberDiameter > 1000 ? 2 : 0)
-    ));
-
-    // Young's Modulus (MPa) - 200k Da = 78 MPa from literature
-    const youngsModulus = Math.max(20, Math.min(85, 
-      25 + (mw / 100000) * 60 + (concentration - 10) * 2.5
-    ));
-
-    // Water Absorption (%) - Decreases with MW
-    const waterAbsorption = Math.max(350, Math.min(950, 
-      950 - (mw / 100000) * 280 + (porosity - 75) * 8
-    ));
-
-    // Contact Angle (degrees) - Increases slightly with MW (more hydrophobic)
-    const contactAngle = Math.max(35, Math.min(75, 
-      45 + (mw / 100000) * 15 - (porosity - 75) * 0.3
-    ));
-
-    // Degradation Rate (%/week) - Based on experimental data
-    // 8,840 Da (Mn) = 85.1% at 28 days = ~21%/week
-    // 12,266 Da (Mn) = 74.1% at 28 days = ~18.5%/week
-    // Inverse relationship with MW
-    const degradationRate = Math.max(4, Math.min(25, 
-      25 - (mw / 100000) * 10.5 + (porosity - 75) * 0.15
-    ));
-
-    // Swelling Ratio (%) - Decreases with MW (from 97.4% to 84.2%)
-    const swellingRatio = Math.max(80, Math.min(100, 
-      100 - (mw / 100000) * 8 - (concentration - 10) * 0.5
-    ));
-
-    // Concentration Window Assessment
-    const minConc = mw < 70000 ? 6 : (mw < 150000 ? 8 : 9);
-    const maxConc = mw < 70000 ? 14 : (mw < 150000 ? 12 : 10.5);
-    const isInWindow = concentration >= minConc && concentration <= maxConc;
-
-    // Morphology Assessment
-    let morphology = "Uniform, bead-free fibers";
-    if (mw < 70000 && concentration < 9) {
-      morphology = "Beaded fibers (beads-on-string)";
-    } else if (mw > 150000 && concentration > 10) {
-      morphology = "Thick fibers, potential ribbon-like";
-    } else if (mw >= 100000 && mw <= 150000) {
-      morphology = "Smooth, uniform, bead-free (optimal)";
-    }
+    saveJSON(ACTIVE_MODEL_KEY, modelName);
+  }, [modelName]);
 
-    setPredictions({
-      fiberDiameter,
-      porosity,
-      poreSize,
-      tensileStrength,
-      youngsModulus,
-      waterAbsorption,
-      contactAngle,
-      degradationRate,
-      swellingRatio,
-      morphology,
-      isInWindow,
-      minConc,
-      maxConc
-    });
+  const saveCoefficientSet = (set) => {
+    setCoefficientSets(prev => [...prev.filter(existing => existing.name !== set.name), set]);
+  };
 
-    // STAGE 2: Architecture-to-Biology Predictions
-    
-    // Cell Viability (%) - Generally high for PVA, slightly better with optimal properties
-    const cellViability = Math.max(85, Math.min(98, 
-      92 + (porosity > 75 ? 4 : 0) + (fiberDiameter > 300 && fiberDiameter < 900 ? 2 : 0)
-    ));
-
-    // Cell Proliferation Rate (doubling time in hours)
-    const proliferationTime = Math.max(20, Math.min(48, 
-      32 - (porosity - 75) * 0.3 - (poreSize > 4 ? 4 : 0) + (fiberDiameter > 1000 ? 6 : 0)
-    ));
-
-    // GAG Content (μg/mg) - For cartilage, higher with optimal properties
-    const gagContent = Math.max(5, Math.min(45, 
-      10 + (youngsModulus / 10) + (poreSize > 6 ? 15 : 0) + (fiberDiameter > 800 ? 8 : 0)
-    ));
-
-    // Collagen II Expression (fold change) - Cartilage phenotype marker
-    const col2Expression = Math.max(1, Math.min(8, 
-      1.5 + (youngsModulus / 15) + (poreSize > 6 ? 2.5 : 0) + (mw > 140000 ? 1.5 : 0)
-    ));
-
-    // Aggrecan Expression (fold change)
-    const aggrecanExpression = Math.max(1, Math.min(6, 
-      1.2 + (youngsModulus / 20) + (poreSize > 6 ? 2 : 0) + (fiberDiameter > 800 ? 1 : 0)
-    ));
-
-    // Collagen I/II Ratio - Lower is better for cartilage (avoid fibrocartilage)
-    const col1_col2_ratio = Math.max(0.1, Math.min(2.5, 
-      2.0 - (youngsModulus / 50) - (poreSize > 6 ? 0.8 : 0) - (mw > 140000 ? 0.3 : 0)
-    ));
-
-    // MSC Differentiation Potential (based on stiffness)
-    let mscLineage = "Myogenic (intermediate)";
-    let osteogenicScore = 50;
-    let chondrogenicScore = 50;
-    let neurogenicScore = 50;
-    
-    if (youngsModulus < 35) {
-      mscLineage = "Neurogenic (soft substrate)";
-      neurogenicScore = 85;
-      osteogenicScore = 25;
-      chondrogenicScore = 40;
-    } else if (youngsModulus >= 35 && youngsModulus < 60) {
-      mscLineage = "Myogenic/Chondrogenic";
-      neurogenicScore = 40;
-      osteogenicScore = 45;
-      chondrogenicScore = 80;
-    } else {
-      mscLineage = "Osteogenic (stiff substrate)";
-      neurogenicScore = 20;
-      osteogenicScore = 90;
-      chondrogenicScore = 55;
+  useEffect(() => {
+    saveJSON(ML_MODELS_KEY, modelSpecs);
+  }, [modelSpecs]);
+
+  useEffect(() => {
+    saveJSON(ML_SELECTION_KEY, modelSelection);
+  }, [modelSelection]);
+
+  useEffect(() => {
+    saveJSON(DIAMETER_MODEL_KEY, diameterModel);
+  }, [diameterModel]);
+
+  // Process fault rules: the built-in set plus the lab's own; saved rules that no longer validate are dropped
+  const [customFaultRules, setCustomFaultRules] = useState(() => loadJSON(FAULT_RULES_KEY, []).flatMap(rule => {
+    try {
+      return [validateFaultRule(rule)];
+    } catch {
+      return [];
     }
+  }));
+  const faultRules = useMemo(() => mergeFaultRules(customFaultRules), [customFaultRules]);
 
-    // Drug Release Profile
-    const burstRelease = Math.max(15, Math.min(75, 
-      70 - (mw / 100000) * 25 + (porosity - 75) * 0.8
-    ));
-    const sustainedDuration = Math.max(3, Math.min(28, 
-      5 + (mw / 100000) * 12 - (porosity - 75) * 0.2
-    ));
-
-    setBiologicalOutcomes({
-      cellViability,
-      proliferationTime,
-      gagContent,
-      col2Expression,
-      aggrecanExpression,
-      col1_col2_ratio,
-      mscLineage,
-      osteogenicScore,
-      chondrogenicScore,
-      neurogenicScore,
-      burstRelease,
-      sustainedDuration
-    });
+  useEffect(() => {
+    saveJSON(FAULT_RULES_KEY, customFaultRules);
+  }, [customFaultRules]);
 
-  }, [mw, concentration, voltage, flowRate, distance]);
-
-  // Calculate application suitability scores
-  const calculateApplicationScores = () => {
-    const { fiberDiameter, porosity, poreSize, tensileStrength, youngsModulus, degradationRate } = predictions;
-
-    const scores = {
-      skinRegeneration: Math.min(100, 
-        (fiberDiameter < 600 ? 95 : 95 - (fiberDiameter - 600) / 15) *
-        (porosity > 80 ? 1 : porosity / 80) *
-        (degradationRate > 12 ? 1 : 0.85)
-      ),
-      vascularEngineering: Math.min(100,
-        (fiberDiameter >= 400 && fiberDiameter <= 1200 ? 95 : 75) *
-        (tensileStrength >= 5 && tensileStrength <= 12 ? 1 : 0.8) *
-        (porosity > 70 ? 1 : 0.85)
-      ),
-      nerveGuidance: Math.min(100,
-        (fiberDiameter >= 500 && fiberDiameter <= 900 ? 95 : 80) *
-        (porosity > 72 ? 1 : 0.88) *
-        (degradationRate >= 6 && degradationRate <= 10 ? 1 : 0.85)
-      ),
-      cartilageRepair: Math.min(100,
-        (fiberDiameter > 800 ? 95 : 70) *
-        (poreSize > 6 ? 1 : 0.75) *
-        (youngsModulus > 60 ? 1 : youngsModulus / 60) *
-        (degradationRate < 8 ? 1 : 0.8)
-      ),
-      boneEngineering: Math.min(100,
-        (fiberDiameter > 1000 ? 95 : 80) *
-        (youngsModulus > 70 ? 1 : youngsModulus / 70) *
-        (degradationRate < 7 ? 1 : 0.85)
-      ),
-      drugDelivery: Math.min(100,
-        (fiberDiameter < 500 ? 95 : 85) *
-        (porosity > 82 ? 1 : 0.88) *
-        (degradationRate > 8 ? 1 : 0.9)
-      )
-    };
-
-    return scores;
+  // A new file replaces a loaded model with the same stage and name
+  const addTrainedModel = (spec) => {
+    setModelSpecs(prev => [...prev.filter(existing => !(existing.stage === spec.stage && existing.name.trim() === spec.name.trim())), spec]);
   };
 
-  const applicationScores = Object.keys(predictions).length > 0 ? calculateApplicationScores() : {};
-
-  // Cell compatibility scores
-  const calculateCellScores = () => {
-    const { fiberDiameter, porosity, poreSize, youngsModulus } = predictions;
-
-    return {
-      fibroblasts: Math.min(100,
-        (fiberDiameter >= 200 && fiberDiameter <= 500 ? 95 : 75) *
-        (porosity > 75 ? 1 : 0.85) *
-        (poreSize >= 3 && poreSize <= 6 ? 1 : 0.88)
-      ),
-      endothelial: Math.min(100,
-        (fiberDiameter >= 400 && fiberDiameter <= 1000 ? 95 : 78) *
-        (porosity > 70 ? 1 : 0.87) *
-        (poreSize >= 4 && poreSize <= 8 ? 1 : 0.85)
-      ),
-      schwann: Math.min(100,
-        (fiberDiameter >= 500 && fiberDiameter <= 900 ? 95 : 80) *
-        (porosity > 72 ? 1 : 0.88)
-      ),
-      chondrocytes: Math.min(100,
-        (fiberDiameter > 800 ? 95 : 70) *
-        (poreSize > 6 ? 1 : 0.75) *
-        (youngsModulus >= 50 && youngsModulus <= 80 ? 1 : 0.82)
-      ),
-      osteoblasts: Math.min(100,
-        (fiberDiameter > 1000 ? 95 : 80) *
-        (youngsModulus > 70 ? 1 : youngsModulus / 70) *
-        (poreSize > 7 ? 1 : 0.85)
-      ),
-      stemCells: Math.min(100,
-        (fiberDiameter >= 400 && fiberDiameter <= 1200 ? 95 : 82) *
-        (porosity > 70 ? 1 : 0.88) *
-        (poreSize >= 5 ? 1 : 0.85)
-      )
-    };
+  const deleteTrainedModel = (stage, name) => {
+    setModelSpecs(prev => prev.filter(spec => !(spec.stage === stage && spec.name.trim() === name)));
+    if (modelSelection[stage] === name) setModelSelection(prev => ({ ...prev, [stage]: FORMULAS }));
   };
 
-  const cellScores = Object.keys(predictions).length > 0 ? calculateCellScores() : {};
+  const deleteCoefficientSet = (name) => {
+    setCoefficientSets(prev => prev.filter(set => set.name !== name));
+    if (modelName === name) setModelName(LITERATURE_MODEL);
+  };
+
+  // Load a recipe (from batch results, optimizers, ...) into the sliders
+  const setParameters = (params) => {
+    setMw(params.mw);
+    setConcentration(params.concentration);
+    setVoltage(params.voltage);
+    setFlowRate(params.flowRate);
+    setDistance(params.distance);
+    setHydrolysis(withOptionalDefaults(params).hydrolysis);
+  };
+
+  // Load a recipe into the sliders and show its prediction
+  const applyRecipe = (params) => {
+    setParameters(params);
+    setActiveTab('predictor');
+  };
+
+  // Two-stage predictions from the shared engine
+  const { architecture: predictions, biology: biologicalOutcomes, applicationScores, cellScores } = useMemo(
+    () => predictWith({ mw, concentration, voltage, flowRate, distance, hydrolysis }, engine),
+    [mw, concentration, voltage, flowRate, distance, hydrolysis, engine]
+  );
+
+  // Solution rheology behind the morphology and spinnable window
+  const solution = useMemo(() => solutionProperties({ mw, concentration, hydrolysis }), [mw, concentration, hydrolysis]);
+
+  // Morphology class probabilities and the most probable class
+  const morphologyOdds = useMemo(
+    () => morphologyProbabilities({ mw, concentration, voltage, flowRate, hydrolysis }),
+    [mw, concentration, voltage, flowRate, hydrolysis]
+  );
+  const morphologyClass = classifyMorphology({ mw, concentration, voltage, flowRate, hydrolysis });
+  const defectiveMorphology = DEFECTIVE_MORPHOLOGIES.includes(morphologyClass);
+
+  // 95% prediction intervals for every Stage 1 and Stage 2 output
+  const intervals = useMemo(
+    () => predictionIntervals({ architecture: predictions, biology: biologicalOutcomes }),
+    [predictions, biologicalOutcomes]
+  );
+
+  // Monte Carlo propagation of Stage 1 error into Stage 2 calls and scores
+  const propagation = useMemo(
+    () => propagateUncertainty({ mw, concentration, voltage, flowRate, distance, hydrolysis }, { engine }),
+    [mw, concentration, voltage, flowRate, distance, hydrolysis, engine]
+  );
+
+  // Operational problems the recipe is likely to hit, most severe first
+  const faults = useMemo(
+    () => evaluateFaults({ mw, concentration, voltage, flowRate, distance, hydrolysis }, faultRules),
+    [mw, concentration, voltage, flowRate, distance, hydrolysis, faultRules]
+  );
 
-  // Generate MW comparison data
+  const formatInterval = (interval, digits, unit = '') =>
+    `95% CI: ${interval.lower.toFixed(digits)}–${interval.upper.toFixed(digits)}${unit}`;
+
+  // MW sweep through the full model, other inputs held at the current sliders
   const generateMWComparison = () => {
     const mwValues = [30000, 50000, 70000, 100000, 125000, 150000, 175000, 200000];
     return mwValues.map(mwVal => {
-      const viscFactor = (mwVal / 100000) * (concentration / 10);
-      const fd = 400 * viscFactor;
-      const por = 95 - (fd / 100) * 2.5;
-      const ts = 2.5 + (mwVal / 100000) * 5.2 + (concentration - 10) * 0.35;
-      const ym = 25 + (mwVal / 100000) * 60 + (concentration - 10) * 2.5;
-      const dr = 25 - (mwVal / 100000) * 10.5;
-      
+      const arch = predictArchitectureWith({ mw: mwVal, concentration, voltage, flowRate, distance, hydrolysis }, engine);
+
+      // Asymmetric [below, above] offsets for the 95% error bars
+      const errorBar = (key) => {
+        const { lower, upper } = intervalFor('architecture', key, arch[key]);
+        return [Math.max(0, arch[key] - lower), Math.max(0, upper - arch[key])];
+      };
+
       return {
         mw: mwVal / 1000,
-        fiberDiameter: Math.round(fd),
-        porosity: Math.round(por * 10) / 10,
-        tensileStrength: Math.round(ts * 10) / 10,
-        youngsModulus: Math.round(ym),
-        degradationRate: Math.round(dr * 10) / 10
+        fiberDiameter: Math.round(arch.fiberDiameter),
+        porosity: Math.round(arch.porosity * 10) / 10,
+        tensileStrength: Math.round(arch.tensileStrength * 10) / 10,
+        youngsModulus: Math.round(arch.youngsModulus),
+        degradationRate: Math.round(arch.degradationRate * 10) / 10,
+        fiberDiameterError: errorBar('fiberDiameter'),
+        porosityError: errorBar('porosity'),
+        tensileStrengthError: errorBar('tensileStrength'),
+        youngsModulusError: errorBar('youngsModulus'),
+        degradationRateError: errorBar('degradationRate')
       };
     });
   };
@@ -299,15 +221,19 @@ function App() {
   // Biodegradation temporal profile (16 weeks)
   const generateDegradationProfile = () => {
     const weeks = Array.from({ length: 17 }, (_, i) => i);
+    const { lower, upper } = intervals.architecture.degradationRate;
     return weeks.map(week => {
       const k = predictions.degradationRate / 100 * 0.15; // decay constant
       const massRemaining = 100 * Math.exp(-k * week);
+      // Faster degradation bounds the remaining mass from below, slower from above
+      const massRange = [upper, lower].map(rate => Math.max(0, Math.round(100 * Math.exp(-(rate / 100 * 0.15) * week))));
       const mechanicalRetention = 100 * Math.pow(1 - week / 20, 1.5);
       const cellInfiltration = 100 / (1 + Math.exp(-0.4 * (week - 6)));
       
       return {
         week,
         massRemaining: Math.max(0, Math.round(massRemaining)),
+        massRange,
         mechanicalRetention: Math.max(0, Math.round(mechanicalRetention)),
         cellInfiltration: Math.min(100, Math.round(cellInfiltration))
       };
@@ -316,28 +242,6 @@ function App() {
 
   const degradationProfile = Object.keys(predictions).length > 0 ? generateDegradationProfile() : [];
 
-  // Trade-off scatter data (Mechanical vs Porosity)
-  const generateTradeoffData = () => {
-    const data = [];
-    for (let testMw = 30000; testMw <= 200000; testMw += 20000) {
-      const viscFactor = (testMw / 100000) * (concentration / 10);
-      const fd = 400 * viscFactor;
-      const por = 95 - (fd / 100) * 2.5;
-      const ps = (fd / 200) * 1.5 + (por / 20);
-      const ts = 2.5 + (testMw / 100000) * 5.2 + (concentration - 10) * 0.35;
-      
-      data.push({
-        mw: testMw / 1000,
-        poreSize: Math.round(ps * 10) / 10,
-        tensileStrength: Math.round(ts * 10) / 10,
-        current: testMw === mw
-      });
-    }
-    return data;
-  };
-
-  const tradeoffData = generateTradeoffData();
-
   // Radar chart data for current prediction
   const radarData = Object.keys(predictions).length > 0 ? [
     { property: 'Fiber Dia.', value: (predictions.fiberDiameter / 1500) * 100, fullMark: 100 },
@@ -373,21 +277,52 @@ function App() {
                 <p className="text-sm text-gray-600">ML-Driven Biomedical Scaffold Optimization</p>
               </div>
             </div>
-            <Badge variant="outline" className="text-sm">
-              <Activity className="h-3 w-3 mr-1" />
-              v2.1 Enhanced
-            </Badge>
+            <div className="flex items-center gap-3">
+              <Select value={activeSet ? modelName : LITERATURE_MODEL} onValueChange={setModelName}>
+                <SelectTrigger className="w-52" aria-label="Stage 1 model">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={LITERATURE_MODEL}>Literature model</SelectItem>
+                  {coefficientSets.map(set => (
+                    <SelectItem key={set.name} value={set.name}>{set.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              {engine.diameterModel !== 'empirical' && (
+                <Badge variant="secondary" className="text-sm">
+                  <Zap className="h-3 w-3 mr-1" />
+                  {DIAMETER_MODELS[engine.diameterModel]}
+                </Badge>
+              )}
+              {(activeModels.architecture || activeModels.biology) && (
+                <Badge variant="secondary" className="text-sm">
+                  <Cpu className="h-3 w-3 mr-1" />
+                  {[activeModels.architecture, activeModels.biology].filter(Boolean).map(model => model.name).join(' + ')}
+                </Badge>
+              )}
+              <Badge variant="outline" className="text-sm">
+                <Activity className="h-3 w-3 mr-1" />
+                v2.1 Enhanced
+              </Badge>
+            </div>
           </div>
         </div>
       </header>
 
       <div className="container mx-auto px-4 py-8">
-        <Tabs defaultValue="predictor" className="space-y-6">
-          <TabsList className="grid w-full grid-cols-5 lg:w-auto lg:inline-grid">
+        <EngineContext.Provider value={engine}>
+        <Tabs value={activeTab} onValueChange={setActiveTab} className="space-y-6">
+          <TabsList className="flex flex-wrap h-auto w-full lg:w-auto lg:inline-flex">
             <TabsTrigger value="predictor">Predictor</TabsTrigger>
             <TabsTrigger value="biomedical">Biomedical</TabsTrigger>
             <TabsTrigger value="analysis">Analysis</TabsTrigger>
+            <TabsTrigger value="explain">Explain</TabsTrigger>
+            <TabsTrigger value="design">Design</TabsTrigger>
+            <TabsTrigger value="experiments">Experiments</TabsTrigger>
+            <TabsTrigger value="batch">Batch</TabsTrigger>
             <TabsTrigger value="cascade">MW Cascade</TabsTrigger>
+            <TabsTrigger value="models">Models</TabsTrigger>
             <TabsTrigger value="about">About</TabsTrigger>
           </TabsList>
 
@@ -398,11 +333,28 @@ function App() {
               <Alert variant="destructive">
                 <AlertCircle className="h-4 w-4" />
                 <AlertDescription>
-                  Warning: Current concentration ({concentration} wt%) is outside the optimal spinnable window ({predictions.minConc}-{predictions.maxConc} wt%) for MW {(mw/1000).toFixed(0)}k Da. This may result in processing difficulties or defects.
+                  Warning: Current concentration ({concentration} wt%) is outside the optimal spinnable window ({predictions.minConc}-{predictions.maxConc} wt%) for MW {(mw/1000).toFixed(0)}k Da at {hydrolysis}% hydrolysis. This may result in processing difficulties or defects.
                 </AlertDescription>
               </Alert>
             )}
 
+            {/* Process Fault Warnings */}
+            {faults.map(fault => (
+              <Alert
+                key={fault.id}
+                variant={fault.severity === 'critical' ? 'destructive' : 'default'}
+                className={fault.severity === 'warning' ? 'border-orange-500 bg-orange-50' : fault.severity === 'advisory' ? 'border-blue-300 bg-blue-50' : ''}
+              >
+                <AlertCircle className="h-4 w-4" />
+                <AlertDescription>
+                  <div>
+                    <strong>{SEVERITIES[fault.severity]}: {fault.title}.</strong> {fault.explanation}
+                  </div>
+                  <div><strong>Fix:</strong> {fault.fix}</div>
+                </AlertDescription>
+              </Alert>
+            ))}
+
             <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
               {/* Input Parameters */}
               <Card className="lg:col-span-1">
@@ -433,6 +385,34 @@ function App() {
                     </div>
                   </div>
 
+                  <div className="space-y-3">
+                    <div className="flex justify-between items-center">
+                      <Label>Degree of Hydrolysis (%)</Label>
+                      <Badge variant="secondary">{hydrolysis.toFixed(1)}%</Badge>
+                    </div>
+                    <Slider
+                      value={[hydrolysis]}
+                      onValueChange={(val) => setHydrolysis(val[0])}
+                      min={87}
+                      max={99.5}
+                      step={0.5}
+                      className="w-full"
+                    />
+                    <div className="flex gap-2">
+                      {Object.entries(HYDROLYSIS_GRADES).map(([key, grade]) => (
+                        <Button
+                          key={key}
+                          size="sm"
+                          variant={hydrolysis === grade.value ? 'default' : 'outline'}
+                          className="flex-1 h-auto py-1 text-xs whitespace-normal"
+                          onClick={() => setHydrolysis(grade.value)}
+                        >
+                          {grade.label}
+                        </Button>
+                      ))}
+                    </div>
+                  </div>
+
                   <div className="space-y-3">
                     <div className="flex justify-between items-center">
                       <Label>PVA Concentration (wt.%)</Label>
@@ -526,10 +506,13 @@ function App() {
                 <CardContent className="space-y-4">
                   {/* Morphology Assessment */}
                   {predictions.morphology && (
-                    <Alert className={predictions.morphology.includes("optimal") ? "border-green-500 bg-green-50" : predictions.morphology.includes("Beaded") ? "border-orange-500 bg-orange-50" : ""}>
+                    <Alert className={morphologyClass === "uniform" ? "border-green-500 bg-green-50" : defectiveMorphology ? "border-orange-500 bg-orange-50" : ""}>
                       <Info className="h-4 w-4" />
-                      <AlertDescription>
-                        <strong>Morphology:</strong> {predictions.morphology}
+                      <AlertDescription className="justify-items-stretch gap-2">
+                        <div>
+                          <strong>Morphology:</strong> {predictions.morphology} ({(morphologyOdds[morphologyClass] * 100).toFixed(0)}% likely)
+                        </div>
+                        <MorphologyBar probabilities={morphologyOdds} />
                       </AlertDescription>
                     </Alert>
                   )}
@@ -541,8 +524,8 @@ function App() {
                           <span className="text-sm font-medium">Fiber Diameter</span>
                           <span className="text-sm font-bold text-blue-600">{Math.round(predictions.fiberDiameter)} nm</span>
                         </div>
-                        <Progress value={(predictions.fiberDiameter / 1500) * 100} className="h-2" />
-                        <p className="text-xs text-gray-500">Range: 150-1500 nm</p>
+                        <IntervalProgress value={predictions.fiberDiameter} interval={intervals.architecture.fiberDiameter} scale={(v) => (v / 1500) * 100} />
+                        <p className="text-xs text-gray-500">Range: 150-1500 nm · {formatInterval(intervals.architecture.fiberDiameter, 0, ' nm')}</p>
                       </div>
                     )}
 
@@ -552,8 +535,8 @@ function App() {
                           <span className="text-sm font-medium">Porosity</span>
                           <span className="text-sm font-bold text-green-600">{predictions.porosity.toFixed(1)}%</span>
                         </div>
-                        <Progress value={predictions.porosity} className="h-2" />
-                        <p className="text-xs text-gray-500">Range: 60-95%</p>
+                        <IntervalProgress value={predictions.porosity} interval={intervals.architecture.porosity} scale={(v) => v} />
+                        <p className="text-xs text-gray-500">Range: 60-95% · {formatInterval(intervals.architecture.porosity, 1, '%')}</p>
                       </div>
                     )}
 
@@ -563,8 +546,8 @@ function App() {
                           <span className="text-sm font-medium">Average Pore Size</span>
                           <span className="text-sm font-bold text-purple-600">{predictions.poreSize.toFixed(1)} μm</span>
                         </div>
-                        <Progress value={(predictions.poreSize / 15) * 100} className="h-2" />
-                        <p className="text-xs text-gray-500">Range: 2-15 μm</p>
+                        <IntervalProgress value={predictions.poreSize} interval={intervals.architecture.poreSize} scale={(v) => (v / 15) * 100} />
+                        <p className="text-xs text-gray-500">Range: 2-15 μm · {formatInterval(intervals.architecture.poreSize, 1, ' μm')}</p>
                       </div>
                     )}
 
@@ -574,8 +557,8 @@ function App() {
                           <span className="text-sm font-medium">Tensile Strength</span>
                           <span className="text-sm font-bold text-red-600">{predictions.tensileStrength.toFixed(1)} MPa</span>
                         </div>
-                        <Progress value={(predictions.tensileStrength / 32) * 100} className="h-2" />
-                        <p className="text-xs text-gray-500">Range: 2-32 MPa (200k Da: 29.8 MPa)</p>
+                        <IntervalProgress value={predictions.tensileStrength} interval={intervals.architecture.tensileStrength} scale={(v) => (v / 32) * 100} />
+                        <p className="text-xs text-gray-500">Range: 2-32 MPa (200k Da: 29.8 MPa) · {formatInterval(intervals.architecture.tensileStrength, 1, ' MPa')}</p>
                       </div>
                     )}
 
@@ -585,8 +568,8 @@ function App() {
                           <span className="text-sm font-medium">Young's Modulus</span>
                           <span className="text-sm font-bold text-indigo-600">{Math.round(predictions.youngsModulus)} MPa</span>
                         </div>
-                        <Progress value={(predictions.youngsModulus / 85) * 100} className="h-2" />
-                        <p className="text-xs text-gray-500">Range: 20-85 MPa (200k Da: 78 MPa)</p>
+                        <IntervalProgress value={predictions.youngsModulus} interval={intervals.architecture.youngsModulus} scale={(v) => (v / 85) * 100} />
+                        <p className="text-xs text-gray-500">Range: 20-85 MPa (200k Da: 78 MPa) · {formatInterval(intervals.architecture.youngsModulus, 0, ' MPa')}</p>
                       </div>
                     )}
 
@@ -596,8 +579,8 @@ function App() {
                           <span className="text-sm font-medium">Water Absorption</span>
                           <span className="text-sm font-bold text-cyan-600">{Math.round(predictions.waterAbsorption)}%</span>
                         </div>
-                        <Progress value={(predictions.waterAbsorption / 950) * 100} className="h-2" />
-                        <p className="text-xs text-gray-500">Range: 350-950%</p>
+                        <IntervalProgress value={predictions.waterAbsorption} interval={intervals.architecture.waterAbsorption} scale={(v) => (v / 950) * 100} />
+                        <p className="text-xs text-gray-500">Range: 350-950% · {formatInterval(intervals.architecture.waterAbsorption, 0, '%')}</p>
                       </div>
                     )}
 
@@ -607,8 +590,8 @@ function App() {
                           <span className="text-sm font-medium">Contact Angle</span>
                           <span className="text-sm font-bold text-orange-600">{Math.round(predictions.contactAngle)}°</span>
                         </div>
-                        <Progress value={(predictions.contactAngle / 75) * 100} className="h-2" />
-                        <p className="text-xs text-gray-500">Range: 35-75° (hydrophilic)</p>
+                        <IntervalProgress value={predictions.contactAngle} interval={intervals.architecture.contactAngle} scale={(v) => (v / 75) * 100} />
+                        <p className="text-xs text-gray-500">Range: 35-75° (hydrophilic) · {formatInterval(intervals.architecture.contactAngle, 0, '°')}</p>
                       </div>
                     )}
 
@@ -618,8 +601,8 @@ function App() {
                           <span className="text-sm font-medium">Degradation Rate</span>
                           <span className="text-sm font-bold text-pink-600">{predictions.degradationRate.toFixed(1)}% /week</span>
                         </div>
-                        <Progress value={(predictions.degradationRate / 25) * 100} className="h-2" />
-                        <p className="text-xs text-gray-500">Range: 4-25% /week</p>
+                        <IntervalProgress value={predictions.degradationRate} interval={intervals.architecture.degradationRate} scale={(v) => (v / 25) * 100} />
+                        <p className="text-xs text-gray-500">Range: 4-25% /week · {formatInterval(intervals.architecture.degradationRate, 1, '% /week')}</p>
                       </div>
                     )}
 
@@ -629,8 +612,8 @@ function App() {
                           <span className="text-sm font-medium">Swelling Ratio (24h)</span>
                           <span className="text-sm font-bold text-teal-600">{predictions.swellingRatio.toFixed(1)}%</span>
                         </div>
-                        <Progress value={predictions.swellingRatio} className="h-2" />
-                        <p className="text-xs text-gray-500">Range: 80-100%</p>
+                        <IntervalProgress value={predictions.swellingRatio} interval={intervals.architecture.swellingRatio} scale={(v) => v} />
+                        <p className="text-xs text-gray-500">Range: 80-100% · {formatInterval(intervals.architecture.swellingRatio, 1, '%')}</p>
                       </div>
                     )}
                   </div>
@@ -749,6 +732,12 @@ function App() {
                 </CardContent>
               </Card>
             )}
+
+            <FaultRulesPanel
+              params={{ mw, concentration, voltage, flowRate, distance, hydrolysis }}
+              customRules={customFaultRules}
+              onCustomRulesChange={setCustomFaultRules}
+            />
           </TabsContent>
 
           {/* BIOMEDICAL TAB */}
@@ -772,6 +761,7 @@ function App() {
                       <CardContent>
                         <div className="text-3xl font-bold text-green-600">{biologicalOutcomes.cellViability.toFixed(1)}%</div>
                         <p className="text-xs text-green-600 mt-1">Excellent biocompatibility</p>
+                        <p className="text-xs text-green-600">{formatInterval(intervals.biology.cellViability, 1, '%')}</p>
                       </CardContent>
                     </Card>
 
@@ -782,6 +772,7 @@ function App() {
                       <CardContent>
                         <div className="text-3xl font-bold text-blue-600">{biologicalOutcomes.proliferationTime.toFixed(1)}h</div>
                         <p className="text-xs text-blue-600 mt-1">Cell doubling time</p>
+                        <p className="text-xs text-blue-600">{formatInterval(intervals.biology.proliferationTime, 1, 'h')}</p>
                       </CardContent>
                     </Card>
 
@@ -792,6 +783,7 @@ function App() {
                       <CardContent>
                         <div className="text-lg font-bold text-purple-600">{biologicalOutcomes.mscLineage}</div>
                         <p className="text-xs text-purple-600 mt-1">Based on substrate stiffness</p>
+                        <p className="text-xs text-purple-600">{formatLineage(propagation.lineage)}</p>
                       </CardContent>
                     </Card>
                   </div>
@@ -810,8 +802,8 @@ function App() {
                             <span className="text-sm font-medium text-indigo-700">GAG Content</span>
                             <span className="text-sm font-bold text-indigo-600">{biologicalOutcomes.gagContent.toFixed(1)} μg/mg</span>
                           </div>
-                          <Progress value={(biologicalOutcomes.gagContent / 45) * 100} className="h-2" />
-                          <p className="text-xs text-indigo-600 mt-1">Proteoglycan production (cartilage ECM)</p>
+                          <IntervalProgress value={biologicalOutcomes.gagContent} interval={intervals.biology.gagContent} scale={(v) => (v / 45) * 100} />
+                          <p className="text-xs text-indigo-600 mt-1">Proteoglycan production (cartilage ECM) · {formatInterval(intervals.biology.gagContent, 1, ' μg/mg')}</p>
                         </div>
 
                         <div>
@@ -819,8 +811,8 @@ function App() {
                             <span className="text-sm font-medium text-indigo-700">Collagen II Expression</span>
                             <span className="text-sm font-bold text-indigo-600">{biologicalOutcomes.col2Expression.toFixed(1)}x fold</span>
                           </div>
-                          <Progress value={(biologicalOutcomes.col2Expression / 8) * 100} className="h-2" />
-                          <p className="text-xs text-indigo-600 mt-1">Healthy cartilage phenotype marker</p>
+                          <IntervalProgress value={biologicalOutcomes.col2Expression} interval={intervals.biology.col2Expression} scale={(v) => (v / 8) * 100} />
+                          <p className="text-xs text-indigo-600 mt-1">Healthy cartilage phenotype marker · {formatInterval(intervals.biology.col2Expression, 1, 'x')}</p>
                         </div>
 
                         <div>
@@ -828,8 +820,8 @@ function App() {
                             <span className="text-sm font-medium text-indigo-700">Aggrecan Expression</span>
                             <span className="text-sm font-bold text-indigo-600">{biologicalOutcomes.aggrecanExpression.toFixed(1)}x fold</span>
                           </div>
-                          <Progress value={(biologicalOutcomes.aggrecanExpression / 6) * 100} className="h-2" />
-                          <p className="text-xs text-indigo-600 mt-1">Major proteoglycan in cartilage</p>
+                          <IntervalProgress value={biologicalOutcomes.aggrecanExpression} interval={intervals.biology.aggrecanExpression} scale={(v) => (v / 6) * 100} />
+                          <p className="text-xs text-indigo-600 mt-1">Major proteoglycan in cartilage · {formatInterval(intervals.biology.aggrecanExpression, 1, 'x')}</p>
                         </div>
 
                         <div>
@@ -839,8 +831,8 @@ function App() {
                               {biologicalOutcomes.col1_col2_ratio.toFixed(2)}
                             </span>
                           </div>
-                          <Progress value={100 - (biologicalOutcomes.col1_col2_ratio / 2.5) * 100} className="h-2" />
-                          <p className="text-xs text-indigo-600 mt-1">Lower is better (avoid fibrocartilage)</p>
+                          <IntervalProgress value={biologicalOutcomes.col1_col2_ratio} interval={intervals.biology.col1_col2_ratio} scale={(v) => 100 - (v / 2.5) * 100} />
+                          <p className="text-xs text-indigo-600 mt-1">Lower is better (avoid fibrocartilage) · {formatInterval(intervals.biology.col1_col2_ratio, 2, '')}</p>
                         </div>
                       </div>
                     </CardContent>
@@ -875,6 +867,9 @@ function App() {
                   </Card>
                 )}
 
+                {/* Stage 1 -> Stage 2 Uncertainty Propagation */}
+                <UncertaintyPropagationCard propagation={propagation} />
+
                 {/* Drug Release Profile */}
                 {biologicalOutcomes.burstRelease && (
                   <Card>
@@ -888,12 +883,14 @@ function App() {
                           <div className="text-sm font-medium text-orange-700 mb-2">Burst Release (0-24h)</div>
                           <div className="text-3xl font-bold text-orange-600">{biologicalOutcomes.burstRelease.toFixed(0)}%</div>
                           <p className="text-xs text-orange-600 mt-1">Initial rapid release from surface</p>
+                          <p className="text-xs text-orange-600">{formatInterval(intervals.biology.burstRelease, 0, '%')}</p>
                         </div>
 
                         <div className="p-4 border rounded-lg bg-blue-50 border-blue-200">
                           <div className="text-sm font-medium text-blue-700 mb-2">Sustained Duration</div>
                           <div className="text-3xl font-bold text-blue-600">{biologicalOutcomes.sustainedDuration.toFixed(0)} days</div>
                           <p className="text-xs text-blue-600 mt-1">Prolonged release from bulk</p>
+                          <p className="text-xs text-blue-600">{formatInterval(intervals.biology.sustainedDuration, 0, ' days')}</p>
                         </div>
                       </div>
                       <Alert>
@@ -954,6 +951,7 @@ function App() {
                           <YAxis label={{ value: 'Percentage (%)', angle: -90, position: 'insideLeft' }} />
                           <Tooltip />
                           <Legend />
+                          <Area type="monotone" dataKey="massRange" stroke="none" fill="#ef4444" fillOpacity={0.15} name="Mass Remaining (95% CI)" />
                           <Area type="monotone" dataKey="massRemaining" stackId="1" stroke="#ef4444" fill="#ef4444" fillOpacity={0.6} name="Mass Remaining" />
                           <Area type="monotone" dataKey="mechanicalRetention" stackId="2" stroke="#3b82f6" fill="#3b82f6" fillOpacity={0.6} name="Mechanical Retention" />
                           <Area type="monotone" dataKey="cellInfiltration" stackId="3" stroke="#10b981" fill="#10b981" fillOpacity={0.6} name="Cell Infiltration" />
@@ -1089,12 +1087,16 @@ function App() {
 
           {/* ANALYSIS TAB */}
           <TabsContent value="analysis" className="space-y-6">
+            <ParetoExplorer params={{ mw, concentration, voltage, flowRate, distance, hydrolysis }} onLoadRecipe={applyRecipe} />
+            <ResponseSurfacePanel params={{ mw, concentration, voltage, flowRate, distance, hydrolysis }} onSetParams={setParameters} />
+            <PartialDependencePanel params={{ mw, concentration, voltage, flowRate, distance, hydrolysis }} />
+
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
               {/* Fiber Diameter vs MW */}
               <Card>
                 <CardHeader>
                   <CardTitle className="text-base">Fiber Diameter vs. Molecular Weight</CardTitle>
-                  <CardDescription>Morphology trends across MW range</CardDescription>
+                  <CardDescription>Full model at the current concentration and process settings (error bars: 95% prediction interval)</CardDescription>
                 </CardHeader>
                 <CardContent>
                   <ResponsiveContainer width="100%" height={300}>
@@ -1104,11 +1106,15 @@ function App() {
                       <YAxis label={{ value: 'Fiber Diameter (nm)', angle: -90, position: 'insideLeft' }} />
                       <Tooltip />
                       <Legend />
-                      <Line type="monotone" dataKey="fiberDiameter" stroke="#3b82f6" strokeWidth={2} dot={{ r: 4 }} name="Fiber Diameter" />
+                      <Line type="monotone" dataKey="fiberDiameter" stroke="#3b82f6" strokeWidth={2} dot={{ r: 4 }} name="Fiber Diameter">
+                        <ErrorBar dataKey="fiberDiameterError" width={4} strokeWidth={1} stroke="#6b7280" />
+                      </Line>
                     </LineChart>
                   </ResponsiveContainer>
                   <p className="text-xs text-gray-600 mt-2">
-                    Fiber diameter increases 3-4× from 30k to 200k Da due to higher solution viscosity and chain entanglement density.
+                    {engine.diameterModel === 'fridrikh'
+                      ? 'The Fridrikh jet scaling law is selected (MW Cascade tab). It ignores viscosity, so fiber diameter, porosity and pore size stay nearly flat across MW here; switch back to the empirical formula to see the MW effect.'
+                      : 'Fiber diameter increases 3-4× from 30k to 200k Da due to higher solution viscosity and chain entanglement density.'}
                   </p>
                 </CardContent>
               </Card>
@@ -1127,7 +1133,9 @@ function App() {
                       <YAxis label={{ value: 'Porosity (%)', angle: -90, position: 'insideLeft' }} />
                       <Tooltip />
                       <Legend />
-                      <Line type="monotone" dataKey="porosity" stroke="#10b981" strokeWidth={2} dot={{ r: 4 }} name="Porosity" />
+                      <Line type="monotone" dataKey="porosity" stroke="#10b981" strokeWidth={2} dot={{ r: 4 }} name="Porosity">
+                        <ErrorBar dataKey="porosityError" width={4} strokeWidth={1} stroke="#6b7280" />
+                      </Line>
                     </LineChart>
                   </ResponsiveContainer>
                   <p className="text-xs text-gray-600 mt-2">
@@ -1151,8 +1159,12 @@ function App() {
                       <YAxis yAxisId="right" orientation="right" label={{ value: "Young's Modulus (MPa)", angle: 90, position: 'insideRight' }} />
                       <Tooltip />
                       <Legend />
-                      <Line yAxisId="left" type="monotone" dataKey="tensileStrength" stroke="#ef4444" strokeWidth={2} dot={{ r: 4 }} name="Tensile Strength" />
-                      <Line yAxisId="right" type="monotone" dataKey="youngsModulus" stroke="#8b5cf6" strokeWidth={2} dot={{ r: 4 }} name="Young's Modulus" />
+                      <Line yAxisId="left" type="monotone" dataKey="tensileStrength" stroke="#ef4444" strokeWidth={2} dot={{ r: 4 }} name="Tensile Strength">
+                        <ErrorBar dataKey="tensileStrengthError" width={4} strokeWidth={1} stroke="#6b7280" />
+                      </Line>
+                      <Line yAxisId="right" type="monotone" dataKey="youngsModulus" stroke="#8b5cf6" strokeWidth={2} dot={{ r: 4 }} name="Young's Modulus">
+                        <ErrorBar dataKey="youngsModulusError" width={4} strokeWidth={1} stroke="#6b7280" />
+                      </Line>
                     </LineChart>
                   </ResponsiveContainer>
                   <p className="text-xs text-gray-600 mt-2">
@@ -1175,7 +1187,9 @@ function App() {
                       <YAxis label={{ value: 'Degradation Rate (%/week)', angle: -90, position: 'insideLeft' }} />
                       <Tooltip />
                       <Legend />
-                      <Line type="monotone" dataKey="degradationRate" stroke="#f59e0b" strokeWidth={2} dot={{ r: 4 }} name="Degradation Rate" />
+                      <Line type="monotone" dataKey="degradationRate" stroke="#f59e0b" strokeWidth={2} dot={{ r: 4 }} name="Degradation Rate">
+                        <ErrorBar dataKey="degradationRateError" width={4} strokeWidth={1} stroke="#6b7280" />
+                      </Line>
                     </LineChart>
                   </ResponsiveContainer>
                   <p className="text-xs text-gray-600 mt-2">
@@ -1184,33 +1198,6 @@ function App() {
                 </CardContent>
               </Card>
 
-              {/* Trade-off: Mechanical vs Pore Size */}
-              <Card>
-                <CardHeader>
-                  <CardTitle className="text-base">Trade-off: Mechanical Strength vs. Pore Size</CardTitle>
-                  <CardDescription>Multi-objective optimization challenge</CardDescription>
-                </CardHeader>
-                <CardContent>
-                  <ResponsiveContainer width="100%" height={300}>
-                    <ScatterChart>
-                      <CartesianGrid strokeDasharray="3 3" />
-                      <XAxis dataKey="poreSize" label={{ value: 'Pore Size (μm)', position: 'insideBottom', offset: -5 }} />
-                      <YAxis dataKey="tensileStrength" label={{ value: 'Tensile Strength (MPa)', angle: -90, position: 'insideLeft' }} />
-                      <Tooltip cursor={{ strokeDasharray: '3 3' }} />
-                      <Legend />
-                      <Scatter name="MW Range" data={tradeoffData} fill="#8b5cf6">
-                        {tradeoffData.map((entry, index) => (
-                          <circle key={index} r={entry.current ? 8 : 4} fill={entry.current ? "#ef4444" : "#8b5cf6"} />
-                        ))}
-                      </Scatter>
-                    </ScatterChart>
-                  </ResponsiveContainer>
-                  <p className="text-xs text-gray-600 mt-2">
-                    <span className="inline-block w-3 h-3 bg-red-500 rounded-full mr-1"></span>
-                    Current selection. High MW provides strength but larger pores; low MW offers small pores but lower strength.
-                  </p>
-                </CardContent>
-              </Card>
 
               {/* Current Prediction Radar */}
               {radarData.length > 0 && (
@@ -1238,6 +1225,37 @@ function App() {
             </div>
           </TabsContent>
 
+          {/* EXPLAIN TAB */}
+          <TabsContent value="explain" className="space-y-6">
+            <AttributionPanel params={{ mw, concentration, voltage, flowRate, distance, hydrolysis }} />
+            <SensitivityPanel />
+          </TabsContent>
+
+          {/* DESIGN TAB */}
+          <TabsContent value="design" className="space-y-6">
+            <ApplicationOptimizerPanel onLoadRecipe={applyRecipe} />
+            <InverseDesignPanel onLoadRecipe={applyRecipe} />
+          </TabsContent>
+
+          {/* EXPERIMENTS TAB */}
+          <TabsContent value="experiments" className="space-y-6">
+            <DesignOfExperimentsPanel params={{ mw, concentration, voltage, flowRate, distance, hydrolysis }} onLoadRecipe={applyRecipe} />
+            <BayesianOptimizationPanel params={{ mw, concentration, voltage, flowRate, distance, hydrolysis }} onLoadRecipe={applyRecipe} />
+            <ExperimentLogPanel params={{ mw, concentration, voltage, flowRate, distance, hydrolysis }} onLoadRecipe={applyRecipe} />
+            <CalibrationPanel
+              coefficientSets={coefficientSets}
+              modelName={activeSet ? modelName : LITERATURE_MODEL}
+              onSave={saveCoefficientSet}
+              onDelete={deleteCoefficientSet}
+              onSelectModel={setModelName}
+            />
+          </TabsContent>
+
+          {/* BATCH TAB */}
+          <TabsContent value="batch" className="space-y-6">
+            <BatchPanel onLoadRecipe={applyRecipe} />
+          </TabsContent>
+
           {/* MW CASCADE TAB */}
           <TabsContent value="cascade" className="space-y-6">
             <Card>
@@ -1264,11 +1282,14 @@ function App() {
                       <div>
                         <div className="text-sm font-semibold text-indigo-700">LEVEL 1: MW SELECTION</div>
                         <div className="text-2xl font-bold text-indigo-600 mt-1">{(mw/1000).toFixed(0)}k Da</div>
+                        <div className="text-sm text-indigo-700 mt-1">
+                          {hydrolysis}% hydrolyzed · {hydrolysis < 95 ? 'partially hydrolyzed grade' : 'fully hydrolyzed grade'}
+                        </div>
                       </div>
                       <Badge className="bg-indigo-600 text-white text-lg px-4 py-2">Master Variable</Badge>
                     </div>
                     <p className="text-xs text-indigo-600 mt-2">
-                      Determines chain length, entanglement density, and all downstream properties
+                      MW determines chain length, entanglement density, and all downstream properties; the degree of hydrolysis sets how strongly the chains hydrogen-bond, and with it viscosity, water solubility, swelling and degradation
                     </p>
                   </div>
 
@@ -1281,22 +1302,39 @@ function App() {
                     <div className="text-sm font-semibold text-purple-700 mb-2">LEVEL 2: SOLUTION RHEOLOGY</div>
                     <div className="grid grid-cols-2 gap-3 text-sm">
                       <div>
-                        <span className="font-medium text-purple-600">Viscosity:</span>
-                        <span className="ml-2">{mw < 70000 ? "Low" : mw < 150000 ? "Moderate" : "High"}</span>
+                        <span className="font-medium text-purple-600">Zero-shear Viscosity:</span>
+                        <span className="ml-2">{solution.zeroShearViscosity < 1 ? `${(solution.zeroShearViscosity * 1000).toFixed(0)} mPa·s` : `${solution.zeroShearViscosity.toFixed(1)} Pa·s`}</span>
                       </div>
                       <div>
-                        <span className="font-medium text-purple-600">Entanglement:</span>
-                        <span className="ml-2">{mw < 70000 ? "Sparse" : mw < 150000 ? "Moderate" : "Dense"}</span>
+                        <span className="font-medium text-purple-600">Intrinsic Viscosity [η]:</span>
+                        <span className="ml-2">{solution.intrinsicViscosity.toFixed(2)} dL/g</span>
+                      </div>
+                      <div>
+                        <span className="font-medium text-purple-600">Overlap c*:</span>
+                        <span className="ml-2">{solution.overlapConcentration.toFixed(2)} wt% (c/c* = {solution.berryNumber.toFixed(1)})</span>
+                      </div>
+                      <div>
+                        <span className="font-medium text-purple-600">Berry Number [η]c:</span>
+                        <span className="ml-2">{solution.berryNumber.toFixed(1)} · {solution.berryRegime}</span>
+                      </div>
+                      <div>
+                        <span className="font-medium text-purple-600">Entanglement Number:</span>
+                        <span className="ml-2">
+                          {solution.entanglementNumber.toFixed(1)} · {solution.entanglementNumber < ENTANGLEMENT_ONSET ? 'Sparse' : solution.entanglementNumber < ENTANGLEMENT_COMPLETE ? 'Partial' : 'Dense'}
+                        </span>
                       </div>
                       <div>
                         <span className="font-medium text-purple-600">Spinnable Window:</span>
                         <span className="ml-2">{predictions.minConc}-{predictions.maxConc} wt%</span>
                       </div>
                       <div>
-                        <span className="font-medium text-purple-600">Extensional Behavior:</span>
-                        <span className="ml-2">{mw > 150000 ? "High resistance" : "Moderate"}</span>
+                        <span className="font-medium text-purple-600">H-bond Association:</span>
+                        <span className="ml-2">{associationFactor(hydrolysis).toFixed(2)}× viscosity of a fully hydrolyzed grade</span>
                       </div>
                     </div>
+                    <p className="text-xs text-purple-600 mt-2">
+                      [η] from Mark-Houwink constants for PVA in water; fibers start forming at an entanglement number of {ENTANGLEMENT_ONSET} and are bead-free from {ENTANGLEMENT_COMPLETE} (Shenoy criteria). The window runs from a Berry number of {FIBER_ONSET_BERRY}, where Koski et al. found droplets give way to beaded fibers, to the concentration where the viscosity becomes too high to feed the needle. Both limits reproduce the 88k and 146k-186k Da observations; below about 70k Da there are no anchors, and the Berry criterion moves the lower limit up (about 12 wt% at 30k Da, where 6 wt% is still a dilute solution with [η]c ≈ 2.5). Residual acetate groups in partially hydrolyzed grades break up hydrogen bonding between chains, lowering the viscosity and so raising the upper limit.
+                    </p>
                   </div>
 
                   <div className="flex justify-center">
@@ -1309,19 +1347,19 @@ function App() {
                     <div className="grid grid-cols-2 gap-3 text-sm">
                       <div>
                         <span className="font-medium text-blue-600">Jet Cohesion:</span>
-                        <span className="ml-2">{mw < 70000 ? "Weak (bead risk)" : "Strong"}</span>
+                        <span className="ml-2">{solution.entanglementNumber < ENTANGLEMENT_COMPLETE ? "Weak (bead risk)" : "Strong"}</span>
                       </div>
                       <div>
                         <span className="font-medium text-blue-600">Stretching Resistance:</span>
-                        <span className="ml-2">{mw < 70000 ? "Low" : mw < 150000 ? "Moderate" : "High"}</span>
+                        <span className="ml-2">{solution.berryNumber < 5 ? "Low" : solution.berryNumber <= 10 ? "Moderate" : "High"}</span>
                       </div>
                       <div>
                         <span className="font-medium text-blue-600">Solvent Evaporation:</span>
-                        <span className="ml-2">{mw > 150000 ? "May be incomplete" : "Complete"}</span>
+                        <span className="ml-2">{faults.some(fault => fault.id === 'wetFibers') ? "May be incomplete" : "Complete"}</span>
                       </div>
                       <div>
                         <span className="font-medium text-blue-600">Fiber Formation:</span>
-                        <span className="ml-2">{predictions.morphology && predictions.morphology.includes("Beaded") ? "Defective" : "Uniform"}</span>
+                        <span className="ml-2">{defectiveMorphology ? "Defective" : "Uniform"}</span>
                       </div>
                     </div>
                   </div>
@@ -1341,15 +1379,15 @@ function App() {
                         </div>
                         <div>
                           <span className="font-medium text-green-600">Uniformity:</span>
-                          <span className="ml-2">{predictions.morphology && predictions.morphology.includes("uniform") ? "Excellent" : "Poor"}</span>
+                          <span className="ml-2">{morphologyClass === "uniform" ? "Excellent" : morphologyClass === "ribbon" ? "Fair" : "Poor"}</span>
                         </div>
                         <div>
                           <span className="font-medium text-green-600">Cross-section:</span>
-                          <span className="ml-2">{mw > 150000 && concentration > 10 ? "Ribbon-like" : "Circular"}</span>
+                          <span className="ml-2">{morphologyClass === "ribbon" ? "Ribbon-like" : "Circular"}</span>
                         </div>
                         <div>
                           <span className="font-medium text-green-600">Surface Texture:</span>
-                          <span className="ml-2">{mw < 70000 ? "Rough (beads)" : "Smooth"}</span>
+                          <span className="ml-2">{defectiveMorphology ? "Rough (beads)" : "Smooth"}</span>
                         </div>
                       </div>
                     </div>
@@ -1410,6 +1448,11 @@ function App() {
                           <span className="ml-2">{mw > 150000 ? "High" : mw > 70000 ? "Moderate" : "Low"}</span>
                         </div>
                       </div>
+                      {hydrolysis < 95 && (
+                        <p className="text-xs text-orange-600 mt-2">
+                          At {hydrolysis}% hydrolysis the fibers are less crystalline and dissolve in cold water, so they absorb more water, swell more and degrade faster than a fully hydrolyzed grade of the same MW.
+                        </p>
+                      )}
                     </div>
                   )}
 
@@ -1516,11 +1559,32 @@ function App() {
                     <p>• <strong>Degradation:</strong> Increasing Mn from 8,840 to 12,266 Da decreased 28-day degradation from 85.1% to 74.1% (experimental)</p>
                     <p>• <strong>Swelling:</strong> 24-hour swelling ratio decreased from 97.4% to 84.2% with increasing Mn (experimental)</p>
                     <p>• <strong>Morphology:</strong> PVA 89k-98k Da at 8 wt% produced beaded fibers; ~125k Da produced uniform, bead-free fibers (literature)</p>
-                    <p>• <strong>Concentration window:</strong> PVA 88k Da spinnable at 6-14 wt%; 146k-186k Da limited to &lt;10 wt% (literature)</p>
+                    <p>• <strong>Concentration window:</strong> PVA 88k Da spinnable at 6-14 wt%; 146k-186k Da limited to &lt;10 wt% (literature). The modelled window matches these to within 1 wt%; below 70k Da it is extrapolated from the Berry-number criteria of Koski et al. (2004). It replaces the earlier step table on purpose, so 200k Da at 10 wt% now lies above the 8.8 wt% upper limit</p>
                   </CardContent>
                 </Card>
               </CardContent>
             </Card>
+
+            <JetDiagnosticsPanel
+              params={{ mw, concentration, voltage, flowRate, distance, hydrolysis }}
+              diameterModel={diameterModel}
+              onDiameterModelChange={setDiameterModel}
+            />
+
+            <PhaseDiagramPanel mw={mw} concentration={concentration} voltage={voltage} flowRate={flowRate} hydrolysis={hydrolysis} />
+          </TabsContent>
+
+          {/* MODELS TAB */}
+          <TabsContent value="models" className="space-y-6">
+            <TrainingPanel onAdd={addTrainedModel} />
+            <ModelPluginsPanel
+              params={{ mw, concentration, voltage, flowRate, distance, hydrolysis }}
+              models={trainedModels}
+              selection={modelSelection}
+              onAdd={addTrainedModel}
+              onDelete={deleteTrainedModel}
+              onSelect={(stage, name) => setModelSelection(prev => ({ ...prev, [stage]: name }))}
+            />
           </TabsContent>
 
           {/* ABOUT TAB */}
@@ -1541,17 +1605,20 @@ function App() {
                 <div>
                   <h3 className="font-semibold text-base mb-2">Stage 1: Process-to-Architecture Model</h3>
                   <p className="text-gray-700 mb-2">
-                    Predicts scaffold physical properties from processing parameters using multi-output regression models (Random Forest, Gradient Boosting, Neural Networks). Input parameters include molecular weight (30k-200k Da), PVA concentration (5-20 wt%), applied voltage (10-25 kV), flow rate (0.5-3.0 mL/h), and needle-collector distance (10-25 cm).
+                    Predicts scaffold physical properties from processing parameters using multi-output regression. The built-in model is a set of closed-form formulas fitted to literature data; Random Forest, Gradient Boosting or Gaussian Process models can be trained on your own measurements in the Models tab, or trained models (including Neural Networks) loaded there as JSON, to back this stage instead. Input parameters include molecular weight (30k-200k Da), degree of hydrolysis (87-99.5%), PVA concentration (5-20 wt%), applied voltage (10-25 kV), flow rate (0.5-3.0 mL/h), and needle-collector distance (10-25 cm).
                   </p>
                   <p className="text-gray-700">
                     Output properties: fiber diameter, porosity, pore size, tensile strength, Young's modulus, water absorption, contact angle, degradation rate, and swelling ratio.
                   </p>
+                  <p className="text-gray-700 mt-2">
+                    The literature formulas describe fully hydrolyzed grades (98-99%). Each point of hydrolysis below 98.5% adds residual acetate groups that lower crystallinity and hydrogen bonding: water absorption, swelling ratio and degradation rate rise, the contact angle rises slightly with the more hydrophobic acetate, and the solution is less viscous, which widens the spinnable window upward. An 87-89% grade therefore degrades and releases drugs faster than a 98-99% grade of the same MW, and those changes carry into the Stage 2 scores.
+                  </p>
                 </div>
 
                 <div>
                   <h3 className="font-semibold text-base mb-2">Stage 2: Architecture-to-Biology Model</h3>
                   <p className="text-gray-700 mb-2">
-                    Predicts biological outcomes and cellular responses from scaffold properties. This stage bridges the gap between engineered physical structure and ultimate biological function.
+                    Predicts biological outcomes and cellular responses from scaffold properties. This stage bridges the gap between engineered physical structure and ultimate biological function. A trained JSON model can back this stage as well (Models tab).
                   </p>
                   <p className="text-gray-700">
                     Output outcomes: cell viability, proliferation rate, GAG content, collagen II/I expression, aggrecan expression, MSC differentiation potential, and drug release kinetics.
@@ -1563,6 +1630,12 @@ function App() {
                   <p className="text-gray-700">
                     A key insight from recent literature is that PVA molecular weight acts as a foundational constraint, defining the entire processing landscape. MW controls solution rheology, which governs jet stability, which determines fiber morphology, which dictates scaffold architecture, which influences dynamic behavior, which programs cellular response, ultimately determining biomedical functionality. This causal cascade makes MW selection the most critical design decision.
                   </p>
+                  <p className="text-gray-700 mt-2">
+                    The rheology step is quantified from MW and concentration: intrinsic viscosity from Mark-Houwink constants for PVA in water, the overlap concentration c* = 1/[η], the Berry number [η]c, the Shenoy entanglement number and a zero-shear viscosity estimate. The entanglement number, shifted by voltage and flow rate, gives a probability for each morphology class (electrospray, beads-on-string, beaded, uniform, ribbon or dripping when the flow outruns the voltage), and the spinnable window runs from the entanglement onset of fiber formation to the viscosity limit of the needle.
+                  </p>
+                  <p className="text-gray-700 mt-2">
+                    The jet stability step is modelled in the Jet Diagnostics panel of the MW Cascade tab: nominal field strength, Taylor's cone onset voltage and the resulting cone regime, a cone-jet estimate of the jet current, and the terminal jet diameter from the Fridrikh et al. scaling law using surface tension and conductivity estimated from concentration. That law can replace the empirical fiber diameter formula in Stage 1, in which case porosity, pore size and everything downstream follow the physics-based diameter. The same quantities feed the process fault rules on the Predictor tab, which warn about arcing, dripping, wet fibers from incomplete evaporation and needle clogging, each with a suggested fix.
+                  </p>
                 </div>
 
                 <div>
@@ -1586,7 +1659,7 @@ function App() {
                     </div>
                     <div>
                       <p className="font-medium">Bone Engineering</p>
-                      <p className="text-xs">Optimal MW: 200k Da, maximum mechanical properties</p>
+                      <p className="text-xs">Optimal MW: 200k Da at 6-7.5 wt%, maximum mechanical properties</p>
                     </div>
                     <div>
                       <p className="font-medium">Drug Delivery</p>
@@ -1598,7 +1671,10 @@ function App() {
                 <div>
                   <h3 className="font-semibold text-base mb-2">Model Accuracy</h3>
                   <p className="text-gray-700">
-                    Predictions are based on comprehensive literature analysis with R² &gt; 0.85 for all properties. Key experimental validations include: 200k Da PVA achieving 29.8 MPa tensile strength and 78 MPa Young's modulus; degradation rates of 85.1% vs 74.1% at 28 days for different MW; swelling ratios of 97.4% vs 84.2% for different MW.
+                    Predictions are based on comprehensive literature analysis with R² &gt; 0.85 for all properties; the Experiment Logbook in the Experiments tab reports R² and RMSE against your own measurements so this can be checked. Key experimental validations include: 200k Da PVA achieving 29.8 MPa tensile strength and 78 MPa Young's modulus; degradation rates of 85.1% vs 74.1% at 28 days for different MW; swelling ratios of 97.4% vs 84.2% for different MW.
+                  </p>
+                  <p className="text-gray-700 mt-2">
+                    Every predicted value is shown with a 95% prediction interval. Residual spread is pooled from the stated R² (residual variance = 15% of each output's variance across the parameter ranges) and from the residuals against the literature anchor points above, so properties where the model disagrees with an anchor (e.g. tensile strength at 200k Da) carry wider bands. Stage 1 coefficients can be refitted to your own measurements in the Experiments tab; the model menu in the header switches between the literature model and saved calibrations.
                   </p>
                 </div>
 
@@ -1638,6 +1714,7 @@ function App() {
             </Card>
           </TabsContent>
         </Tabs>
+        </EngineContext.Provider>
       </div>
     </div>
   );
@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { Alert, AlertDescription } from './ui/alert';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { Target, AlertCircle } from 'lucide-react';
+import { APPLICATIONS, formatRecipe } from '../lib/predictor';
+import { optimizeApplication } from '../lib/optimizer';
+import { useEngine } from '../hooks/use-engine';
+
+function ApplicationOptimizerPanel({ onLoadRecipe }) {
+  const engine = useEngine();
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  // A result found with another coefficient set or model no longer applies
+  const [resultEngine, setResultEngine] = useState(engine);
+  if (resultEngine !== engine) {
+    setResultEngine(engine);
+    setResult(null);
+  }
+
+  const run = (application) => {
+    try {
+      setResult(optimizeApplication(application, { engine }));
+      setError('');
+    } catch (err) {
+      setResult(null);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Target className="h-5 w-5 text-green-600" />
+          Optimize for an Application
+        </CardTitle>
+        <CardDescription>
+          Maximizes the clinical application score within the concentration window, excluding beaded, sprayed, dripping and ribbon morphologies
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-wrap gap-2">
+          {Object.entries(APPLICATIONS).map(([key, label]) => (
+            <Button
+              key={key}
+              variant={result?.application === key ? 'default' : 'outline'}
+              size="sm"
+              onClick={() => run(key)}
+            >
+              Optimize for {label}
+            </Button>
+          ))}
+        </div>
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {result && (
+          <div className="space-y-4">
+            <div className="p-4 border-2 border-green-400 rounded-lg bg-green-50 flex flex-wrap items-center justify-between gap-3">
+              <div>
+                <div className="text-sm font-semibold text-green-700">Best recipe for {APPLICATIONS[result.application]}</div>
+                <div className="text-lg font-bold text-green-700">{formatRecipe(result.best.params)}</div>
+                <div className="text-xs text-green-700">
+                  {Math.round(result.best.architecture.fiberDiameter)} nm fibers · {result.best.architecture.morphology}
+                </div>
+              </div>
+              <div className="flex items-center gap-3">
+                <Badge className="bg-green-600 text-base px-3">{Math.round(result.best.score)}</Badge>
+                <Button onClick={() => onLoadRecipe(result.best.params)}>Load into sliders</Button>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <div>
+                <div className="text-sm font-medium mb-2">Runner-up alternatives</div>
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Recipe</TableHead>
+                      <TableHead>Score</TableHead>
+                      <TableHead />
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {result.alternatives.map((alt, index) => (
+                      <TableRow key={index}>
+                        <TableCell className="text-xs">{formatRecipe(alt.params)}</TableCell>
+                        <TableCell>{Math.round(alt.score)}</TableCell>
+                        <TableCell>
+                          <Button size="sm" variant="outline" onClick={() => onLoadRecipe(alt.params)}>Load</Button>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+
+              <div>
+                <div className="text-sm font-medium mb-2">How much each parameter matters</div>
+                <ResponsiveContainer width="100%" height={220}>
+                  <BarChart
+                    data={result.importance.map(item => ({ label: item.label, share: Math.round(item.share * 100), swing: item.swing }))}
+                    layout="vertical"
+                  >
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis type="number" domain={[0, 100]} unit="%" />
+                    <YAxis type="category" dataKey="label" width={170} />
+                    <Tooltip formatter={(value, name, { payload }) => [`${value}% (±${payload.swing.toFixed(1)} score points)`, 'Share of score swing']} />
+                    <Bar dataKey="share" fill="#10b981" />
+                  </BarChart>
+                </ResponsiveContainer>
+                <p className="text-xs text-gray-500">
+                  Score swing when each parameter is swept over its feasible range with the others held at the best recipe.
+                </p>
+              </div>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default ApplicationOptimizerPanel;
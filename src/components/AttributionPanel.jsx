@@ -0,0 +1,134 @@
+import React, { useMemo, useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Select, SelectContent, SelectGroup, SelectItem, SelectLabel, SelectTrigger, SelectValue } from './ui/select';
+import { Badge } from './ui/badge';
+import { BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { HelpCircle } from 'lucide-react';
+import { DEFAULT_PARAMETERS, PARAMETER_KEYS, PARAMETER_RANGES } from '../lib/predictor';
+import { METRICS, METRIC_GROUPS, METRICS_BY_ID, metricValue } from '../lib/metrics';
+import { shapleyAttribution, triggeredThresholds } from '../lib/attribution';
+import { useEngine } from '../hooks/use-engine';
+
+const formatValue = (value) => (Math.abs(value) >= 100 ? Math.round(value).toString() : value.toFixed(2));
+
+const formatSigned = (value) => `${value >= 0 ? '+' : '−'}${formatValue(Math.abs(value))}`;
+
+const formatParameter = (key, value) => (key === 'mw' ? `${value / 1000}k` : value);
+
+function AttributionPanel({ params }) {
+  const engine = useEngine();
+  const [metricId, setMetricId] = useState('architecture.tensileStrength');
+
+  const { mw, concentration, voltage, flowRate, distance, hydrolysis } = params;
+  const attribution = useMemo(
+    () => shapleyAttribution({ mw, concentration, voltage, flowRate, distance, hydrolysis }, DEFAULT_PARAMETERS, engine),
+    [mw, concentration, voltage, flowRate, distance, hydrolysis, engine]
+  );
+
+  const { label, unit } = METRICS_BY_ID[metricId];
+  const value = metricValue(attribution.result, metricId);
+  const referenceValue = metricValue(attribution.reference, metricId);
+  const contributions = attribution.contributions[metricId];
+
+  const bars = PARAMETER_KEYS.map(key => ({
+    label: PARAMETER_RANGES[key].label,
+    change: `${formatParameter(key, attribution.baseline[key])} → ${formatParameter(key, params[key])} ${PARAMETER_RANGES[key].unit}`,
+    contribution: Number(contributions[key].toFixed(3))
+  })).sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
+
+  // A rule that fires now but not at the reference (or vice versa) explains a step change
+  const referenceRules = triggeredThresholds(metricId, attribution.reference, attribution.baseline);
+  const rules = triggeredThresholds(metricId, attribution.result, params).map((rule, i) => ({
+    ...rule,
+    flipped: referenceRules[i]?.condition === rule.condition && referenceRules[i].fired !== rule.fired
+  }));
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <HelpCircle className="h-5 w-5 text-purple-600" />
+          Why This Value?
+        </CardTitle>
+        <CardDescription>
+          Shapley attribution of the current prediction to each input, relative to the reference recipe
+          ({PARAMETER_KEYS.map(key => `${formatParameter(key, attribution.baseline[key])} ${PARAMETER_RANGES[key].unit}`).join(', ')})
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <Select value={metricId} onValueChange={setMetricId}>
+          <SelectTrigger className="w-full md:w-96">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(METRIC_GROUPS).map(([group, groupLabel]) => (
+              <SelectGroup key={group}>
+                <SelectLabel>{groupLabel}</SelectLabel>
+                {METRICS.filter(metric => metric.group === group).map(metric => (
+                  <SelectItem key={metric.id} value={metric.id}>{metric.label}</SelectItem>
+                ))}
+              </SelectGroup>
+            ))}
+          </SelectContent>
+        </Select>
+
+        <div className="grid grid-cols-3 gap-3 text-center">
+          <div className="p-3 bg-gray-50 rounded-lg">
+            <div className="text-xs text-gray-500">Reference</div>
+            <div className="text-xl font-bold">{formatValue(referenceValue)} <span className="text-sm font-normal">{unit}</span></div>
+          </div>
+          <div className="p-3 bg-gray-50 rounded-lg">
+            <div className="text-xs text-gray-500">Change</div>
+            <div className={`text-xl font-bold ${value >= referenceValue ? 'text-green-600' : 'text-red-600'}`}>
+              {formatSigned(value - referenceValue)}
+            </div>
+          </div>
+          <div className="p-3 bg-purple-50 rounded-lg">
+            <div className="text-xs text-gray-500">Current {label}</div>
+            <div className="text-xl font-bold text-purple-700">{formatValue(value)} <span className="text-sm font-normal">{unit}</span></div>
+          </div>
+        </div>
+
+        <ResponsiveContainer width="100%" height={220}>
+          <BarChart data={bars} layout="vertical" margin={{ left: 10, right: 20 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis type="number" tickFormatter={formatValue} />
+            <YAxis type="category" dataKey="label" width={170} />
+            <Tooltip formatter={(val, name, { payload }) => [`${formatSigned(val)} ${unit} (${payload.change})`, 'Contribution']} />
+            <ReferenceLine x={0} stroke="#374151" />
+            <Bar dataKey="contribution">
+              {bars.map((bar, index) => (
+                <Cell key={index} fill={bar.contribution >= 0 ? '#10b981' : '#ef4444'} />
+              ))}
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+
+        <div>
+          <div className="text-sm font-medium mb-2">Thresholds in this formula</div>
+          {rules.length === 0 ? (
+            <p className="text-sm text-gray-500">{label} has no step thresholds and is inside its clamp range, so it varies smoothly with the inputs.</p>
+          ) : (
+            <div className="space-y-1">
+              {rules.map((rule, index) => (
+                <div key={index} className="flex flex-wrap items-center gap-2 text-sm">
+                  <Badge variant={rule.fired ? 'default' : 'outline'}>{rule.fired ? 'Triggered' : 'Not met'}</Badge>
+                  <code className="text-xs bg-gray-100 px-1.5 py-0.5 rounded">{rule.condition}</code>
+                  {rule.effect && <span className="text-gray-600">→ {rule.effect}</span>}
+                  {rule.flipped && <Badge variant="secondary">changed vs. reference</Badge>}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <p className="text-xs text-gray-500">
+          Each bar is the input's average effect over every order of switching the inputs from the reference to the current recipe;
+          the bars add up exactly to the change shown above. Thresholds marked "changed vs. reference" cause step jumps in the value.
+        </p>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default AttributionPanel;
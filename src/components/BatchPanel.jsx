@@ -0,0 +1,277 @@
+import React, { useState, useMemo } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { Pagination, PaginationContent, PaginationEllipsis, PaginationItem, PaginationLink, PaginationNext, PaginationPrevious } from './ui/pagination';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Input } from './ui/input';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { Alert, AlertDescription } from './ui/alert';
+import { Upload, Download, FileSpreadsheet, ArrowUpDown, AlertCircle } from 'lucide-react';
+import { runBatch, flattenResult, exportRecord } from '../lib/batch';
+import { DEFAULT_PARAMETERS } from '../lib/predictor';
+import { readSpreadsheetFile, downloadCSV, downloadXLSX } from '../lib/spreadsheet';
+import { useEngine } from '../hooks/use-engine';
+
+const PAGE_SIZE = 10;
+
+const round = (digits) => (value) => (typeof value === 'number' ? value.toFixed(digits) : '');
+
+// Columns shown in the results table (full predictions are kept for export)
+const COLUMNS = [
+  { key: 'row', label: '#' },
+  { key: 'mw', label: 'MW (kDa)', format: (v) => (typeof v === 'number' ? (v / 1000).toFixed(0) : '') },
+  { key: 'concentration', label: 'Conc. (wt%)', format: round(1) },
+  { key: 'voltage', label: 'Voltage (kV)', format: round(1) },
+  { key: 'flowRate', label: 'Flow (mL/h)', format: round(1) },
+  { key: 'distance', label: 'Dist. (cm)', format: round(0) },
+  { key: 'hydrolysis', label: 'Hydrol. (%)', format: round(1) },
+  { key: 'morphology', label: 'Morphology' },
+  { key: 'fiberDiameter', label: 'Fiber (nm)', format: round(0) },
+  { key: 'porosity', label: 'Porosity (%)', format: round(1) },
+  { key: 'poreSize', label: 'Pore (μm)', format: round(1) },
+  { key: 'tensileStrength', label: 'Tensile (MPa)', format: round(1) },
+  { key: 'youngsModulus', label: 'Modulus (MPa)', format: round(0) },
+  { key: 'waterAbsorption', label: 'Water Abs. (%)', format: round(0) },
+  { key: 'contactAngle', label: 'Contact (°)', format: round(0) },
+  { key: 'degradationRate', label: 'Degr. (%/wk)', format: round(1) },
+  { key: 'swellingRatio', label: 'Swelling (%)', format: round(1) },
+  { key: 'app_skinRegeneration', label: 'Skin', format: round(0) },
+  { key: 'app_vascularEngineering', label: 'Vascular', format: round(0) },
+  { key: 'app_nerveGuidance', label: 'Nerve', format: round(0) },
+  { key: 'app_cartilageRepair', label: 'Cartilage', format: round(0) },
+  { key: 'app_boneEngineering', label: 'Bone', format: round(0) },
+  { key: 'app_drugDelivery', label: 'Drug Del.', format: round(0) }
+];
+
+function BatchPanel({ onLoadRecipe }) {
+  const engine = useEngine();
+  const [fileName, setFileName] = useState('');
+  const [sourceRecords, setSourceRecords] = useState([]);
+  const [error, setError] = useState('');
+  const [isDragging, setIsDragging] = useState(false);
+  const [query, setQuery] = useState('');
+  const [windowFilter, setWindowFilter] = useState('all');
+  const [sort, setSort] = useState({ key: 'row', direction: 'asc' });
+  const [page, setPage] = useState(1);
+  const [selectedRow, setSelectedRow] = useState(null);
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    try {
+      const records = await readSpreadsheetFile(file);
+      if (records.length === 0) {
+        throw new Error('No data rows found');
+      }
+      setFileName(file.name);
+      setSourceRecords(records);
+      setError('');
+      setPage(1);
+      setSelectedRow(null);
+    } catch (err) {
+      setError(`Could not read ${file.name}: ${err.message}`);
+    }
+  };
+
+  // Re-predicted when the coefficient set or models change
+  const results = useMemo(() => runBatch(sourceRecords, engine), [sourceRecords, engine]);
+  const rows = useMemo(() => results.map(result => ({ result, flat: flattenResult(result) })), [results]);
+
+  const visibleRows = useMemo(() => {
+    const needle = query.trim().toLowerCase();
+    const filtered = rows.filter(({ result, flat }) => {
+      if (windowFilter === 'in' && result.outOfWindow !== false) return false;
+      if (windowFilter === 'out' && !result.outOfWindow) return false;
+      if (windowFilter === 'invalid' && result.errors.length === 0) return false;
+      if (!needle) return true;
+      return [flat.morphology, flat.warnings, flat.errors, flat.mscLineage]
+        .some(text => String(text ?? '').toLowerCase().includes(needle));
+    });
+
+    const factor = sort.direction === 'asc' ? 1 : -1;
+    return [...filtered].sort((a, b) => {
+      const av = a.flat[sort.key];
+      const bv = b.flat[sort.key];
+      if (av === bv) return 0;
+      if (av === undefined || av === '') return 1;
+      if (bv === undefined || bv === '') return -1;
+      return (av > bv ? 1 : -1) * factor;
+    });
+  }, [rows, query, windowFilter, sort]);
+
+  const pageCount = Math.max(1, Math.ceil(visibleRows.length / PAGE_SIZE));
+  const currentPage = Math.min(page, pageCount);
+  const firstPage = Math.max(1, Math.min(currentPage - 2, pageCount - 4));
+  const pageWindow = Array.from({ length: Math.min(5, pageCount) }, (_, i) => firstPage + i);
+  const pageRows = visibleRows.slice((currentPage - 1) * PAGE_SIZE, currentPage * PAGE_SIZE);
+
+  const toggleSort = (key) => {
+    setSort(prev => ({ key, direction: prev.key === key && prev.direction === 'asc' ? 'desc' : 'asc' }));
+  };
+
+  // Original upload columns followed by every prediction
+  const exportRecords = () => results.map((result, index) => exportRecord(sourceRecords[index], result));
+
+  const baseName = fileName.replace(/\.[^.]+$/, '') || 'batch';
+
+  const selectRow = (result) => {
+    if (result.errors.length > 0) return;
+    setSelectedRow(result.row);
+    onLoadRecipe(result.params);
+  };
+
+  const invalidCount = results.filter(r => r.errors.length > 0).length;
+  const outOfWindowCount = results.filter(r => r.outOfWindow).length;
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <FileSpreadsheet className="h-5 w-5 text-blue-600" />
+            Batch Prediction
+          </CardTitle>
+          <CardDescription>
+            Upload a CSV or XLSX file with columns mw, concentration, voltage, flowRate, distance and optionally hydrolysis
+            (blank or absent uses {DEFAULT_PARAMETERS.hydrolysis}%)
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <label
+            className={`flex flex-col items-center justify-center gap-2 p-8 border-2 border-dashed rounded-lg cursor-pointer transition-colors ${isDragging ? 'border-blue-500 bg-blue-50' : 'border-gray-300 hover:bg-gray-50'}`}
+            onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+            onDragLeave={() => setIsDragging(false)}
+            onDrop={(e) => { e.preventDefault(); setIsDragging(false); handleFile(e.dataTransfer.files[0]); }}
+          >
+            <Upload className="h-8 w-8 text-gray-400" />
+            <span className="text-sm text-gray-600">
+              {fileName ? `Loaded ${fileName} (${results.length} rows)` : 'Drop a parameter file here or click to browse'}
+            </span>
+            <input
+              type="file"
+              accept=".csv,.xlsx,.xls"
+              className="hidden"
+              onChange={(e) => { handleFile(e.target.files[0]); e.target.value = ''; }}
+            />
+          </label>
+
+          {error && (
+            <Alert variant="destructive">
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          {results.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <Badge variant="secondary">{results.length} recipes</Badge>
+              {outOfWindowCount > 0 && <Badge className="bg-orange-500">{outOfWindowCount} outside window</Badge>}
+              {invalidCount > 0 && <Badge variant="destructive">{invalidCount} invalid</Badge>}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {results.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-base">Results</CardTitle>
+            <CardDescription>Click a column header to sort; click a row to load it into the Predictor sliders</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="flex flex-wrap items-center gap-3">
+              <Input
+                placeholder="Filter by morphology, lineage or warning…"
+                value={query}
+                onChange={(e) => { setQuery(e.target.value); setPage(1); }}
+                className="max-w-xs"
+              />
+              <Select value={windowFilter} onValueChange={(val) => { setWindowFilter(val); setPage(1); }}>
+                <SelectTrigger className="w-48">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All rows</SelectItem>
+                  <SelectItem value="in">Inside window</SelectItem>
+                  <SelectItem value="out">Outside window</SelectItem>
+                  <SelectItem value="invalid">Invalid rows</SelectItem>
+                </SelectContent>
+              </Select>
+              <div className="flex gap-2 ml-auto">
+                <Button variant="outline" size="sm" onClick={() => downloadCSV(exportRecords(), `${baseName}-predictions.csv`)}>
+                  <Download /> CSV
+                </Button>
+                <Button variant="outline" size="sm" onClick={() => downloadXLSX(exportRecords(), `${baseName}-predictions.xlsx`, 'Predictions')}>
+                  <Download /> XLSX
+                </Button>
+              </div>
+            </div>
+
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  {COLUMNS.map(col => (
+                    <TableHead key={col.key}>
+                      <button type="button" className="inline-flex items-center gap-1" onClick={() => toggleSort(col.key)}>
+                        {col.label}
+                        <ArrowUpDown className={`h-3 w-3 ${sort.key === col.key ? 'text-blue-600' : 'text-gray-400'}`} />
+                      </button>
+                    </TableHead>
+                  ))}
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {pageRows.map(({ result, flat }) => (
+                  <TableRow
+                    key={result.row}
+                    data-state={selectedRow === result.row ? 'selected' : undefined}
+                    className={`cursor-pointer ${result.errors.length > 0 ? 'text-red-600' : result.outOfWindow ? 'bg-orange-50' : ''}`}
+                    title={[...result.errors, ...result.warnings].join('\n') || 'Load into Predictor'}
+                    onClick={() => selectRow(result)}
+                  >
+                    {COLUMNS.map(col => (
+                      <TableCell key={col.key}>
+                        {col.key === 'morphology' && result.errors.length > 0
+                          ? result.errors.join('; ')
+                          : flat[col.key] === undefined || flat[col.key] === ''
+                            ? '—'
+                            : col.format ? col.format(flat[col.key]) : flat[col.key]}
+                      </TableCell>
+                    ))}
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+
+            {pageCount > 1 && (
+              <Pagination>
+                <PaginationContent>
+                  <PaginationItem>
+                    <PaginationPrevious href="#" onClick={(e) => { e.preventDefault(); setPage(Math.max(1, currentPage - 1)); }} />
+                  </PaginationItem>
+                  {pageWindow[0] > 1 && <PaginationItem><PaginationEllipsis /></PaginationItem>}
+                  {pageWindow.map(n => (
+                    <PaginationItem key={n}>
+                      <PaginationLink href="#" isActive={n === currentPage} onClick={(e) => { e.preventDefault(); setPage(n); }}>
+                        {n}
+                      </PaginationLink>
+                    </PaginationItem>
+                  ))}
+                  {pageWindow[pageWindow.length - 1] < pageCount && <PaginationItem><PaginationEllipsis /></PaginationItem>}
+                  <PaginationItem>
+                    <PaginationNext href="#" onClick={(e) => { e.preventDefault(); setPage(Math.min(pageCount, currentPage + 1)); }} />
+                  </PaginationItem>
+                </PaginationContent>
+              </Pagination>
+            )}
+            <p className="text-xs text-gray-500">
+              Showing {pageRows.length} of {visibleRows.length} filtered rows. Downloads include your original columns plus every Stage 1, Stage 2 and score prediction.
+            </p>
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
+
+export default BatchPanel;
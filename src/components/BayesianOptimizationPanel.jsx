@@ -0,0 +1,307 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { Alert, AlertDescription } from './ui/alert';
+import { Sparkles, AlertCircle, FlaskConical, Trash2, RotateCcw } from 'lucide-react';
+import { APPLICATIONS, ARCHITECTURE_PROPERTIES, PARAMETER_KEYS, PARAMETER_RANGES, withOptionalDefaults } from '../lib/predictor';
+import {
+  OBJECTIVE_MODES,
+  describeObjective,
+  objectiveProperties,
+  observedQuantity,
+  suggestNext,
+  suggestionRationale
+} from '../lib/bayesopt';
+import { loadJSON, saveJSON } from '../lib/storage';
+import { useEngine } from '../hooks/use-engine';
+
+const STORAGE_KEY = 'pva-bayesopt-campaign';
+
+const EMPTY_CAMPAIGN = {
+  objective: { mode: 'target', property: 'fiberDiameter', target: 400, application: 'skinRegeneration' },
+  observations: [],
+  suggestion: null
+};
+
+const toDraft = (params) => Object.fromEntries(PARAMETER_KEYS.map(key => [key, String(params[key])]));
+
+function BayesianOptimizationPanel({ params, onLoadRecipe }) {
+  const engine = useEngine();
+  // Recipes saved before an input was added get its default
+  const [campaign, setCampaign] = useState(() => {
+    const saved = loadJSON(STORAGE_KEY, EMPTY_CAMPAIGN);
+    return {
+      ...saved,
+      observations: saved.observations.map(observation => ({ ...observation, params: withOptionalDefaults(observation.params) })),
+      suggestion: saved.suggestion && { ...saved.suggestion, params: withOptionalDefaults(saved.suggestion.params) }
+    };
+  });
+  const [draftParams, setDraftParams] = useState(() => toDraft(params));
+  const [draftMeasured, setDraftMeasured] = useState({});
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    saveJSON(STORAGE_KEY, campaign);
+  }, [campaign]);
+
+  const { objective, observations, suggestion } = campaign;
+  const measuredKeys = objectiveProperties(objective);
+  const unit = objective.mode === 'score' ? 'points' : ARCHITECTURE_PROPERTIES[objective.property].unit;
+
+  // Any change to the objective invalidates the current suggestion
+  const updateObjective = (field, value) => {
+    setCampaign(prev => ({ ...prev, objective: { ...prev.objective, [field]: value }, suggestion: null }));
+  };
+
+  const suggest = () => {
+    try {
+      setCampaign(prev => ({ ...prev, suggestion: suggestNext(prev.observations, prev.objective, { engine }) }));
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const record = () => {
+    const recipe = {};
+    for (const key of PARAMETER_KEYS) {
+      const value = Number(draftParams[key]);
+      const { label, min, max } = PARAMETER_RANGES[key];
+      if (draftParams[key] === '' || !Number.isFinite(value) || value < min || value > max) {
+        setError(`${label} must be a number between ${min} and ${max}`);
+        return;
+      }
+      recipe[key] = value;
+    }
+    const measured = Object.fromEntries(measuredKeys
+      .filter(key => draftMeasured[key] !== undefined && draftMeasured[key] !== '')
+      .map(key => [key, Number(draftMeasured[key])]));
+    if (Object.values(measured).some(value => !Number.isFinite(value))) {
+      setError('Measured values must be numbers');
+      return;
+    }
+    if (objective.mode !== 'score' && !(objective.property in measured)) {
+      setError(`Enter the measured ${ARCHITECTURE_PROPERTIES[objective.property].label.toLowerCase()}`);
+      return;
+    }
+
+    const observation = { id: Date.now(), date: new Date().toISOString().slice(0, 10), params: recipe, measured };
+    setCampaign(prev => ({ ...prev, observations: [...prev.observations, observation], suggestion: null }));
+    setDraftMeasured({});
+    setError('');
+  };
+
+  const removeObservation = (id) => {
+    setCampaign(prev => ({ ...prev, observations: prev.observations.filter(observation => observation.id !== id), suggestion: null }));
+  };
+
+  const reset = () => {
+    if (observations.length > 0 && !window.confirm('Delete all recorded experiments for this campaign?')) return;
+    setCampaign(EMPTY_CAMPAIGN);
+    setError('');
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Sparkles className="h-5 w-5 text-purple-600" />
+          Suggest Next Experiment
+        </CardTitle>
+        <CardDescription>
+          Bayesian optimization: a Gaussian process learns how your lab deviates from the Stage 1 model and
+          proposes the recipe with the highest expected improvement. The campaign is saved in this browser.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-wrap items-end gap-3">
+          <div className="space-y-1">
+            <Label className="text-xs text-gray-600">Objective</Label>
+            <Select value={objective.mode} onValueChange={(value) => updateObjective('mode', value)}>
+              <SelectTrigger className="w-60">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(OBJECTIVE_MODES).map(([key, label]) => (
+                  <SelectItem key={key} value={key}>{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          {objective.mode === 'score' ? (
+            <div className="space-y-1">
+              <Label className="text-xs text-gray-600">Application</Label>
+              <Select value={objective.application} onValueChange={(value) => updateObjective('application', value)}>
+                <SelectTrigger className="w-52">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(APPLICATIONS).map(([key, label]) => (
+                    <SelectItem key={key} value={key}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          ) : (
+            <div className="space-y-1">
+              <Label className="text-xs text-gray-600">Property</Label>
+              <Select value={objective.property} onValueChange={(value) => updateObjective('property', value)}>
+                <SelectTrigger className="w-52">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(ARCHITECTURE_PROPERTIES).map(([key, { label }]) => (
+                    <SelectItem key={key} value={key}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+          {objective.mode === 'target' && (
+            <div className="space-y-1">
+              <Label className="text-xs text-gray-600">Target ({unit})</Label>
+              <Input type="number" value={objective.target} onChange={(e) => updateObjective('target', Number(e.target.value))} className="w-28" />
+            </div>
+          )}
+          <Button onClick={suggest}>
+            <Sparkles /> Suggest next experiment
+          </Button>
+          <Button variant="outline" onClick={reset}>
+            <RotateCcw /> Reset campaign
+          </Button>
+        </div>
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {suggestion && (
+          <div className="rounded-lg border border-purple-200 bg-purple-50 p-4 space-y-3">
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="font-semibold">Next run</span>
+              <Badge variant="secondary">{describeObjective(objective)}</Badge>
+              <Badge variant="outline">{suggestion.observationsUsed} measurement{suggestion.observationsUsed === 1 ? '' : 's'} used</Badge>
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-2 text-sm">
+              {PARAMETER_KEYS.map(key => (
+                <div key={key}>
+                  <div className="text-xs text-gray-600">{PARAMETER_RANGES[key].label}</div>
+                  <div className="font-medium">{suggestion.params[key]} {PARAMETER_RANGES[key].unit}</div>
+                </div>
+              ))}
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-2 text-sm">
+              <div>
+                <div className="text-xs text-gray-600">Expected</div>
+                <div className="font-medium">{suggestion.mean.toFixed(2)} ± {suggestion.sd.toFixed(2)} {unit}</div>
+              </div>
+              <div>
+                <div className="text-xs text-gray-600">Stage 1 model alone</div>
+                <div className="font-medium">{suggestion.prior.toFixed(2)} {unit}</div>
+              </div>
+              <div>
+                <div className="text-xs text-gray-600">Expected improvement</div>
+                <div className="font-medium">{suggestion.expectedImprovement === null ? '—' : `${suggestion.expectedImprovement.toFixed(2)} ${unit}`}</div>
+              </div>
+            </div>
+            <p className="text-sm text-gray-700">{suggestionRationale(objective, suggestion)}</p>
+            <div className="flex flex-wrap gap-2">
+              <Button size="sm" variant="outline" onClick={() => onLoadRecipe(suggestion.params)}>Load into sliders</Button>
+              <Button size="sm" variant="outline" onClick={() => setDraftParams(toDraft(suggestion.params))}>Record result for this run</Button>
+            </div>
+          </div>
+        )}
+
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <div className="text-sm font-medium flex items-center gap-2">
+              <FlaskConical className="h-4 w-4" /> Record a measured result
+            </div>
+            <Button size="sm" variant="ghost" onClick={() => setDraftParams(toDraft(params))}>Use current sliders</Button>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+            {PARAMETER_KEYS.map(key => (
+              <div key={key} className="space-y-1">
+                <Label className="text-xs text-gray-600">{PARAMETER_RANGES[key].label} ({PARAMETER_RANGES[key].unit})</Label>
+                <Input type="number" value={draftParams[key]} onChange={(e) => setDraftParams(prev => ({ ...prev, [key]: e.target.value }))} className="h-8" />
+              </div>
+            ))}
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-6 gap-2">
+            {measuredKeys.map(key => (
+              <div key={key} className="space-y-1">
+                <Label className="text-xs text-gray-600">Measured {ARCHITECTURE_PROPERTIES[key].label.toLowerCase()} ({ARCHITECTURE_PROPERTIES[key].unit})</Label>
+                <Input type="number" value={draftMeasured[key] ?? ''} onChange={(e) => setDraftMeasured(prev => ({ ...prev, [key]: e.target.value }))} className="h-8" />
+              </div>
+            ))}
+          </div>
+          {objective.mode === 'score' && (
+            <p className="text-xs text-gray-500">Leave a property blank if it was not measured; the model's prediction is used in its place.</p>
+          )}
+          <Button size="sm" onClick={record}>Add to campaign</Button>
+        </div>
+
+        {observations.length > 0 && (
+          <div className="max-h-80 overflow-y-auto">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>#</TableHead>
+                  <TableHead>Date</TableHead>
+                  <TableHead>MW (kDa)</TableHead>
+                  <TableHead>Conc. (wt%)</TableHead>
+                  <TableHead>Voltage (kV)</TableHead>
+                  <TableHead>Flow (mL/h)</TableHead>
+                  <TableHead>Dist. (cm)</TableHead>
+                  <TableHead>Measured</TableHead>
+                  <TableHead>Objective ({unit})</TableHead>
+                  <TableHead />
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {observations.map((observation, index) => {
+                  const quantity = observedQuantity(objective, observation, engine);
+                  return (
+                    <TableRow key={observation.id}>
+                      <TableCell>{index + 1}</TableCell>
+                      <TableCell className="text-gray-500">{observation.date}</TableCell>
+                      <TableCell>{(observation.params.mw / 1000).toFixed(0)}</TableCell>
+                      <TableCell>{observation.params.concentration}</TableCell>
+                      <TableCell>{observation.params.voltage}</TableCell>
+                      <TableCell>{observation.params.flowRate}</TableCell>
+                      <TableCell>{observation.params.distance}</TableCell>
+                      <TableCell className="text-xs">
+                        {Object.entries(observation.measured).map(([key, value]) => `${ARCHITECTURE_PROPERTIES[key].label} ${value}`).join(', ') || '—'}
+                      </TableCell>
+                      <TableCell>{quantity === null ? <span className="text-gray-400">not measured</span> : quantity.toFixed(2)}</TableCell>
+                      <TableCell>
+                        <Button size="sm" variant="ghost" onClick={() => removeObservation(observation.id)} aria-label="Delete experiment">
+                          <Trash2 />
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+        <p className="text-xs text-gray-500">
+          The surrogate is a Gaussian process on the difference between measured values and the Stage 1 prediction,
+          with its spread set by the model's residual uncertainty, so with no data the suggestion is the model's own optimum.
+          Experiments whose objective property was not measured are kept but not used.
+        </p>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default BayesianOptimizationPanel;
@@ -0,0 +1,233 @@
+import React, { useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { Alert, AlertDescription } from './ui/alert';
+import { SlidersHorizontal, AlertCircle, Upload, BookOpen, Save, Trash2 } from 'lucide-react';
+import { ARCHITECTURE_PROPERTIES, COEFFICIENT_LABELS, withOptionalDefaults } from '../lib/predictor';
+import { LITERATURE_MODEL, calibrateCoefficients } from '../lib/calibration';
+import { LOGBOOK_STORAGE_KEY, parseLogbookRecords } from '../lib/logbook';
+import { loadJSON } from '../lib/storage';
+import { readSpreadsheetFile } from '../lib/spreadsheet';
+
+const formatCoefficient = (value) => Number(value.toPrecision(4));
+
+const change = (before, after) => {
+  const percent = (after - before) / Math.abs(before) * 100;
+  return `${percent >= 0 ? '+' : ''}${percent.toFixed(0)}%`;
+};
+
+function CalibrationPanel({ coefficientSets, modelName, onSave, onDelete, onSelectModel }) {
+  const [source, setSource] = useState(null);
+  const [fit, setFit] = useState(null);
+  const [name, setName] = useState('Our lab');
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const runFit = (entries, label) => {
+    try {
+      setFit(calibrateCoefficients(entries));
+      setSource({ label, entries: entries.length });
+      setError('');
+      setNotice('');
+    } catch (err) {
+      setFit(null);
+      setError(err.message);
+    }
+  };
+
+  const fitLogbook = () => {
+    const entries = loadJSON(LOGBOOK_STORAGE_KEY, []).map(entry => ({ ...entry, params: withOptionalDefaults(entry.params) }));
+    if (entries.length === 0) {
+      setError('The experiment logbook is empty; add entries there or upload a file');
+      return;
+    }
+    runFit(entries, 'experiment logbook');
+  };
+
+  const fitFile = async (file) => {
+    if (!file) return;
+    try {
+      const { entries, errors } = parseLogbookRecords(await readSpreadsheetFile(file));
+      if (entries.length === 0) {
+        throw new Error(errors.length ? errors.join('; ') : 'No rows with measured_* values found');
+      }
+      runFit(entries, file.name);
+      if (errors.length) setNotice(`Skipped ${errors.length} row${errors.length === 1 ? '' : 's'}: ${errors.join('; ')}`);
+    } catch (err) {
+      setError(`Could not read ${file.name}: ${err.message}`);
+    }
+  };
+
+  const save = () => {
+    const trimmed = name.trim();
+    if (!trimmed || trimmed.toLowerCase() === LITERATURE_MODEL) {
+      setError('Choose a name other than "literature" for the calibrated model');
+      return;
+    }
+    onSave({
+      name: trimmed,
+      created: new Date().toISOString(),
+      source: source.label,
+      fit: fit.properties.map(({ property, n, rmseBefore, rmseAfter }) => ({ property, n, rmseBefore, rmseAfter })),
+      coefficients: fit.coefficients
+    });
+    setNotice(`Saved "${trimmed}". Select it below or in the model menu at the top to use it everywhere.`);
+    setError('');
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <SlidersHorizontal className="h-5 w-5 text-cyan-600" />
+          Model Calibration
+        </CardTitle>
+        <CardDescription>
+          Refit the literature-derived Stage 1 coefficients to your own measurements by least squares, compare the error
+          before and after, and save the result as a named model
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-wrap items-center gap-2">
+          <Button onClick={fitLogbook}>
+            <BookOpen /> Fit to experiment logbook
+          </Button>
+          <label className="inline-flex">
+            <span className="inline-flex items-center gap-2 rounded-md border px-3 h-9 text-sm cursor-pointer hover:bg-gray-50">
+              <Upload className="h-4 w-4" /> Fit to a CSV/XLSX file
+            </span>
+            <input
+              type="file"
+              accept=".csv,.xlsx,.xls"
+              className="hidden"
+              onChange={(e) => { fitFile(e.target.files[0]); e.target.value = ''; }}
+            />
+          </label>
+          {source && <span className="text-sm text-gray-600">Fitted to {source.entries} entries from {source.label}</span>}
+        </div>
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+        {notice && (
+          <Alert>
+            <AlertDescription>{notice}</AlertDescription>
+          </Alert>
+        )}
+
+        {fit && (
+          <>
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Property</TableHead>
+                  <TableHead>n</TableHead>
+                  <TableHead>RMSE, literature</TableHead>
+                  <TableHead>RMSE, calibrated</TableHead>
+                  <TableHead>Coefficients (literature → calibrated)</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {fit.properties.map(({ property, n, rmseBefore, rmseAfter, coefficients }) => (
+                  <TableRow key={property}>
+                    <TableCell className="font-medium">
+                      {ARCHITECTURE_PROPERTIES[property].label} ({ARCHITECTURE_PROPERTIES[property].unit})
+                    </TableCell>
+                    <TableCell>{n}</TableCell>
+                    <TableCell>{rmseBefore.toFixed(2)}</TableCell>
+                    <TableCell>
+                      {rmseAfter.toFixed(2)}
+                      {rmseBefore > 0 && <span className="text-xs text-gray-500"> ({change(rmseBefore, rmseAfter)})</span>}
+                    </TableCell>
+                    <TableCell className="text-xs space-y-0.5">
+                      {coefficients.map(({ key, before, after }) => (
+                        <div key={key}>
+                          <span className="text-gray-600">{COEFFICIENT_LABELS[property][key]}:</span>{' '}
+                          {formatCoefficient(before)} → <span className="font-medium">{formatCoefficient(after)}</span>{' '}
+                          <span className="text-gray-500">({change(before, after)})</span>
+                        </div>
+                      ))}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+
+            <div className="flex flex-wrap items-end gap-2">
+              <div className="space-y-1">
+                <Label className="text-xs text-gray-600">Model name</Label>
+                <Input value={name} onChange={(e) => setName(e.target.value)} className="w-56" />
+              </div>
+              <Button onClick={save}>
+                <Save /> Save calibrated model
+              </Button>
+            </div>
+          </>
+        )}
+
+        <div>
+          <div className="text-sm font-medium mb-2">Models</div>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Name</TableHead>
+                <TableHead>Created</TableHead>
+                <TableHead>Fitted to</TableHead>
+                <TableHead>RMSE literature → calibrated</TableHead>
+                <TableHead />
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              <TableRow>
+                <TableCell className="font-medium">Literature model</TableCell>
+                <TableCell className="text-gray-500">—</TableCell>
+                <TableCell className="text-gray-500">Published data</TableCell>
+                <TableCell className="text-gray-500">—</TableCell>
+                <TableCell>
+                  {modelName === LITERATURE_MODEL
+                    ? <Badge variant="secondary">Active</Badge>
+                    : <Button size="sm" variant="outline" onClick={() => onSelectModel(LITERATURE_MODEL)}>Use</Button>}
+                </TableCell>
+              </TableRow>
+              {coefficientSets.map(set => (
+                <TableRow key={set.name}>
+                  <TableCell className="font-medium">{set.name}</TableCell>
+                  <TableCell className="text-gray-500">{set.created.slice(0, 10)}</TableCell>
+                  <TableCell className="text-gray-500">{set.source}</TableCell>
+                  <TableCell className="text-xs">
+                    {set.fit.map(({ property, rmseBefore, rmseAfter }) => (
+                      <div key={property}>{ARCHITECTURE_PROPERTIES[property].label}: {rmseBefore.toFixed(2)} → {rmseAfter.toFixed(2)}</div>
+                    ))}
+                  </TableCell>
+                  <TableCell className="whitespace-nowrap">
+                    {modelName === set.name
+                      ? <Badge variant="secondary">Active</Badge>
+                      : <Button size="sm" variant="outline" onClick={() => onSelectModel(set.name)}>Use</Button>}
+                    <Button size="sm" variant="ghost" onClick={() => onDelete(set.name)} aria-label={`Delete ${set.name}`}>
+                      <Trash2 />
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+        <p className="text-xs text-gray-500">
+          Properties are fitted in cascade order, so porosity is fitted against the calibrated fiber diameter. Each coefficient is pulled
+          lightly toward its literature value, so coefficients your data cannot pin down (e.g. the voltage slope when every run used the
+          same voltage) barely move. Properties without measurements keep their literature coefficients. The active model drives every
+          tab; prediction intervals still reflect the literature model's stated accuracy.
+        </p>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default CalibrationPanel;
@@ -0,0 +1,247 @@
+import React, { useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Checkbox } from './ui/checkbox';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { Alert, AlertDescription } from './ui/alert';
+import { ClipboardList, AlertCircle, Download, Printer } from 'lucide-react';
+import { DEFAULT_PARAMETERS, HYDROLYSIS_GRADES, PARAMETER_KEYS, PARAMETER_RANGES } from '../lib/predictor';
+import { DESIGN_TYPES, generateDesign, runSheetRows } from '../lib/doe';
+import { downloadCSV, downloadXLSX } from '../lib/spreadsheet';
+import { printTable } from '../lib/print';
+import { useEngine } from '../hooks/use-engine';
+
+const INITIAL_FACTORS = {
+  mw: { vary: true, low: '70000', high: '150000', levels: '3' },
+  concentration: { vary: true, low: '8', high: '12', levels: '3' },
+  voltage: { vary: true, low: '15', high: '20', levels: '2' },
+  flowRate: { vary: false, low: '1', high: '2', levels: '2' },
+  distance: { vary: false, low: '12', high: '18', levels: '2' },
+  hydrolysis: { vary: false, low: String(HYDROLYSIS_GRADES.partial.value), high: String(DEFAULT_PARAMETERS.hydrolysis), levels: '2' }
+};
+
+function DesignOfExperimentsPanel({ params, onLoadRecipe }) {
+  const engine = useEngine();
+  const [type, setType] = useState('boxBehnken');
+  const [factors, setFactors] = useState(INITIAL_FACTORS);
+  const [centerPoints, setCenterPoints] = useState('3');
+  const [runs, setRuns] = useState('20');
+  const [seed, setSeed] = useState('1');
+  const [design, setDesign] = useState([]);
+  const [error, setError] = useState('');
+
+  // The run sheet's predictions come from the engine it was generated with
+  const [designEngine, setDesignEngine] = useState(engine);
+  if (designEngine !== engine) {
+    setDesignEngine(engine);
+    setDesign([]);
+  }
+
+  const updateFactor = (key, field, value) => {
+    setFactors(prev => ({ ...prev, [key]: { ...prev[key], [field]: value } }));
+  };
+
+  const varied = PARAMETER_KEYS.filter(key => factors[key].vary);
+
+  const generate = () => {
+    try {
+      const spec = Object.fromEntries(varied.map(key => [key, {
+        low: Number(factors[key].low),
+        high: Number(factors[key].high),
+        levels: Number(factors[key].levels)
+      }]));
+      setDesign(generateDesign(type, spec, params, {
+        centerPoints: Number(centerPoints),
+        runs: Number(runs),
+        seed: Number(seed),
+        engine
+      }));
+      setError('');
+    } catch (err) {
+      setDesign([]);
+      setError(err.message);
+    }
+  };
+
+  const rows = runSheetRows(design);
+  const outOfWindow = design.filter(run => !run.architecture.isInWindow).length;
+  const title = `${DESIGN_TYPES[type]} run sheet`;
+  const subtitle = `${design.length} runs in randomized order (seed ${seed}). Fixed: ${PARAMETER_KEYS.filter(key => !factors[key].vary).map(key => `${PARAMETER_RANGES[key].label} ${params[key]} ${PARAMETER_RANGES[key].unit}`).join(', ') || 'none'}.`;
+
+  const printSheet = () => {
+    try {
+      printTable(title, rows, { subtitle });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ClipboardList className="h-5 w-5 text-blue-600" />
+          Design of Experiments
+        </CardTitle>
+        <CardDescription>
+          Generate a randomized run sheet for a lab campaign, with the model's prediction and a window check for every run
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-wrap items-end gap-3">
+          <div className="space-y-1">
+            <Label className="text-xs text-gray-600">Design</Label>
+            <Select value={type} onValueChange={setType}>
+              <SelectTrigger className="w-64">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(DESIGN_TYPES).map(([key, label]) => (
+                  <SelectItem key={key} value={key}>{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          {(type === 'boxBehnken' || type === 'centralComposite') && (
+            <div className="space-y-1">
+              <Label className="text-xs text-gray-600">Center points</Label>
+              <Input type="number" min="0" value={centerPoints} onChange={(e) => setCenterPoints(e.target.value)} className="w-24" />
+            </div>
+          )}
+          {type === 'latinHypercube' && (
+            <div className="space-y-1">
+              <Label className="text-xs text-gray-600">Runs</Label>
+              <Input type="number" min="2" value={runs} onChange={(e) => setRuns(e.target.value)} className="w-24" />
+            </div>
+          )}
+          <div className="space-y-1">
+            <Label className="text-xs text-gray-600">Random seed</Label>
+            <Input type="number" value={seed} onChange={(e) => setSeed(e.target.value)} className="w-24" />
+          </div>
+        </div>
+
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Vary</TableHead>
+              <TableHead>Factor</TableHead>
+              <TableHead>Low</TableHead>
+              <TableHead>High</TableHead>
+              {type === 'fullFactorial' && <TableHead>Levels</TableHead>}
+              <TableHead>Fixed at (not varied)</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {PARAMETER_KEYS.map(key => (
+              <TableRow key={key}>
+                <TableCell>
+                  <Checkbox checked={factors[key].vary} onCheckedChange={(checked) => updateFactor(key, 'vary', checked === true)} />
+                </TableCell>
+                <TableCell className="font-medium">{PARAMETER_RANGES[key].label} ({PARAMETER_RANGES[key].unit})</TableCell>
+                <TableCell>
+                  <Input type="number" value={factors[key].low} disabled={!factors[key].vary} onChange={(e) => updateFactor(key, 'low', e.target.value)} className="h-8 w-28" />
+                </TableCell>
+                <TableCell>
+                  <Input type="number" value={factors[key].high} disabled={!factors[key].vary} onChange={(e) => updateFactor(key, 'high', e.target.value)} className="h-8 w-28" />
+                </TableCell>
+                {type === 'fullFactorial' && (
+                  <TableCell>
+                    <Input type="number" min="2" value={factors[key].levels} disabled={!factors[key].vary} onChange={(e) => updateFactor(key, 'levels', e.target.value)} className="h-8 w-20" />
+                  </TableCell>
+                )}
+                <TableCell className="text-gray-500">{factors[key].vary ? '—' : `${params[key]} (current slider)`}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+
+        <div className="flex flex-wrap items-center gap-3">
+          <Button onClick={generate} disabled={varied.length === 0}>
+            <ClipboardList /> Generate design
+          </Button>
+          {design.length > 0 && (
+            <>
+              <Button variant="outline" onClick={() => downloadCSV(rows, 'doe-run-sheet.csv')}>
+                <Download /> CSV
+              </Button>
+              <Button variant="outline" onClick={() => downloadXLSX(rows, 'doe-run-sheet.xlsx', 'Run sheet')}>
+                <Download /> XLSX
+              </Button>
+              <Button variant="outline" onClick={printSheet}>
+                <Printer /> Print
+              </Button>
+              <span className="text-sm text-gray-600">
+                {design.length} runs{outOfWindow > 0 && <span className="text-orange-600"> · {outOfWindow} outside the spinnable window</span>}
+              </span>
+            </>
+          )}
+        </div>
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {design.length > 0 && (
+          <div className="max-h-96 overflow-y-auto">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Run</TableHead>
+                  <TableHead>Std</TableHead>
+                  <TableHead>MW (kDa)</TableHead>
+                  <TableHead>Conc. (wt%)</TableHead>
+                  <TableHead>Voltage (kV)</TableHead>
+                  <TableHead>Flow (mL/h)</TableHead>
+                  <TableHead>Dist. (cm)</TableHead>
+                  <TableHead>Fiber Ø (nm)</TableHead>
+                  <TableHead>Porosity (%)</TableHead>
+                  <TableHead>Tensile (MPa)</TableHead>
+                  <TableHead>Morphology</TableHead>
+                  <TableHead />
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {design.map(run => (
+                  <TableRow key={run.runOrder}>
+                    <TableCell>{run.runOrder}</TableCell>
+                    <TableCell className="text-gray-500">{run.stdOrder}</TableCell>
+                    <TableCell>{(run.params.mw / 1000).toFixed(0)}</TableCell>
+                    <TableCell>{run.params.concentration}</TableCell>
+                    <TableCell>{run.params.voltage}</TableCell>
+                    <TableCell>{run.params.flowRate}</TableCell>
+                    <TableCell>{run.params.distance}</TableCell>
+                    <TableCell>{Math.round(run.architecture.fiberDiameter)}</TableCell>
+                    <TableCell>{run.architecture.porosity.toFixed(1)}</TableCell>
+                    <TableCell>{run.architecture.tensileStrength.toFixed(1)}</TableCell>
+                    <TableCell className="text-xs">
+                      {run.architecture.morphology}
+                      {!run.architecture.isInWindow && (
+                        <Badge variant="destructive" className="ml-2">Outside window</Badge>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      <Button size="sm" variant="outline" onClick={() => onLoadRecipe(run.params)}>Load</Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+        <p className="text-xs text-gray-500">
+          Levels are rounded to the slider steps. Response-surface designs use coded levels −1/0/+1 between low and high;
+          the central composite is face-centered so every run stays within the chosen levels.
+        </p>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default DesignOfExperimentsPanel;
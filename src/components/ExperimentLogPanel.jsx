@@ -0,0 +1,353 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { Alert, AlertDescription } from './ui/alert';
+import { ScatterChart, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { BookOpen, AlertCircle, Download, Upload, Trash2 } from 'lucide-react';
+import { ARCHITECTURE_PROPERTIES, PARAMETER_KEYS, PARAMETER_RANGES, withOptionalDefaults } from '../lib/predictor';
+import { MODEL_R2 } from '../lib/uncertainty';
+import {
+  LOGBOOK_STORAGE_KEY,
+  MEASURED_PROPERTIES,
+  validateEntry,
+  parseLogbookRecords,
+  logbookRows,
+  comparisonPoints,
+  agreementStats
+} from '../lib/logbook';
+import { loadJSON, saveJSON } from '../lib/storage';
+import { readSpreadsheetFile, downloadCSV, downloadXLSX } from '../lib/spreadsheet';
+import { useEngine } from '../hooks/use-engine';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const emptyDraft = (params) => ({
+  date: today(),
+  operator: '',
+  lot: '',
+  params: Object.fromEntries(PARAMETER_KEYS.map(key => [key, String(params[key])])),
+  measured: {},
+  notes: ''
+});
+
+const format = (value, digits = 2) => (value === null ? '—' : value.toFixed(digits));
+
+function PointTooltip({ active, payload }) {
+  if (!active || !payload?.length) return null;
+  const point = payload[0].payload;
+  const { unit } = ARCHITECTURE_PROPERTIES[point.property];
+  return (
+    <div className="rounded border bg-white p-2 text-xs shadow">
+      <div className="font-medium">#{point.index + 1} · {point.entry.date}{point.entry.lot && ` · lot ${point.entry.lot}`}</div>
+      <div>Measured {point.measured.toFixed(2)} {unit}</div>
+      <div>Predicted {point.predicted.toFixed(2)} {unit}</div>
+      <div>Residual {point.residual >= 0 ? '+' : ''}{point.residual.toFixed(2)} {unit}</div>
+    </div>
+  );
+}
+
+function ExperimentLogPanel({ params, onLoadRecipe }) {
+  const engine = useEngine();
+  // Entries saved before an input was added get its default
+  const [entries, setEntries] = useState(() => loadJSON(LOGBOOK_STORAGE_KEY, []).map(entry => ({ ...entry, params: withOptionalDefaults(entry.params) })));
+  const [draft, setDraft] = useState(() => emptyDraft(params));
+  const [property, setProperty] = useState('fiberDiameter');
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  useEffect(() => {
+    saveJSON(LOGBOOK_STORAGE_KEY, entries);
+  }, [entries]);
+
+  const stats = useMemo(() => agreementStats(entries, engine), [entries, engine]);
+  const points = useMemo(() => comparisonPoints(entries, engine), [entries, engine]);
+  const selected = points.filter(point => point.property === property);
+  const parity = selected.map(point => ({ ...point, x: point.predicted, y: point.measured }));
+  const residuals = selected.map(point => ({ ...point, x: point.predicted, y: point.residual }));
+  const extent = selected.flatMap(point => [point.measured, point.predicted]);
+  const [lo, hi] = extent.length ? [Math.min(...extent), Math.max(...extent)] : [0, 1];
+  const { unit } = ARCHITECTURE_PROPERTIES[property];
+
+  const updateDraft = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+  const updateNested = (group, key, value) => setDraft(prev => ({ ...prev, [group]: { ...prev[group], [key]: value } }));
+
+  const addEntry = () => {
+    const entry = {
+      id: Date.now(),
+      date: draft.date,
+      operator: draft.operator.trim(),
+      lot: draft.lot.trim(),
+      params: Object.fromEntries(PARAMETER_KEYS.map(key => [key, draft.params[key] === '' ? NaN : Number(draft.params[key])])),
+      measured: Object.fromEntries(Object.entries(draft.measured)
+        .filter(([, value]) => value !== '')
+        .map(([key, value]) => [key, Number(value)])),
+      notes: draft.notes.trim()
+    };
+    try {
+      validateEntry(entry);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    setEntries(prev => [...prev, entry]);
+    setDraft(prev => ({ ...prev, measured: {}, notes: '' }));
+    setError('');
+    setNotice('');
+  };
+
+  const importFile = async (file) => {
+    if (!file) return;
+    try {
+      const { entries: imported, errors } = parseLogbookRecords(await readSpreadsheetFile(file));
+      if (imported.length === 0) {
+        throw new Error(errors.length ? errors.join('; ') : 'No rows with measured_* values found');
+      }
+      const stamp = Date.now();
+      setEntries(prev => [...prev, ...imported.map((entry, i) => ({ ...entry, id: stamp + i }))]);
+      setNotice(`Imported ${imported.length} entr${imported.length === 1 ? 'y' : 'ies'} from ${file.name}${errors.length ? `; skipped ${errors.length}: ${errors.join('; ')}` : ''}`);
+      setError('');
+    } catch (err) {
+      setError(`Could not import ${file.name}: ${err.message}`);
+    }
+  };
+
+  const removeEntry = (id) => setEntries(prev => prev.filter(entry => entry.id !== id));
+
+  const rows = logbookRows(entries, engine);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <BookOpen className="h-5 w-5 text-emerald-600" />
+          Experiment Logbook
+        </CardTitle>
+        <CardDescription>
+          Record what was actually measured and check the model against it: every value is shown next to its prediction,
+          with parity and residual plots and R²/RMSE per property. Entries are saved in this browser.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="space-y-2">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+            <div className="space-y-1">
+              <Label className="text-xs text-gray-600">Date</Label>
+              <Input type="date" value={draft.date} onChange={(e) => updateDraft('date', e.target.value)} className="h-8" />
+            </div>
+            <div className="space-y-1">
+              <Label className="text-xs text-gray-600">Operator</Label>
+              <Input value={draft.operator} onChange={(e) => updateDraft('operator', e.target.value)} className="h-8" />
+            </div>
+            <div className="space-y-1">
+              <Label className="text-xs text-gray-600">PVA lot</Label>
+              <Input value={draft.lot} onChange={(e) => updateDraft('lot', e.target.value)} className="h-8" />
+            </div>
+            <div className="space-y-1">
+              <Label className="text-xs text-gray-600">Notes</Label>
+              <Input value={draft.notes} onChange={(e) => updateDraft('notes', e.target.value)} className="h-8" />
+            </div>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+            {PARAMETER_KEYS.map(key => (
+              <div key={key} className="space-y-1">
+                <Label className="text-xs text-gray-600">{PARAMETER_RANGES[key].label} ({PARAMETER_RANGES[key].unit})</Label>
+                <Input type="number" value={draft.params[key]} onChange={(e) => updateNested('params', key, e.target.value)} className="h-8" />
+              </div>
+            ))}
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+            {MEASURED_PROPERTIES.map(key => (
+              <div key={key} className="space-y-1">
+                <Label className="text-xs text-gray-600">{ARCHITECTURE_PROPERTIES[key].label} ({ARCHITECTURE_PROPERTIES[key].unit})</Label>
+                <Input type="number" placeholder="not measured" value={draft.measured[key] ?? ''} onChange={(e) => updateNested('measured', key, e.target.value)} className="h-8" />
+              </div>
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <Button size="sm" onClick={addEntry}>Add entry</Button>
+            <Button size="sm" variant="ghost" onClick={() => setDraft(prev => ({ ...prev, params: emptyDraft(params).params }))}>Use current sliders</Button>
+            <label className="inline-flex">
+              <span className="inline-flex items-center gap-2 rounded-md border px-3 h-8 text-sm cursor-pointer hover:bg-gray-50">
+                <Upload className="h-4 w-4" /> Import CSV/XLSX
+              </span>
+              <input
+                type="file"
+                accept=".csv,.xlsx,.xls"
+                className="hidden"
+                onChange={(e) => { importFile(e.target.files[0]); e.target.value = ''; }}
+              />
+            </label>
+            {entries.length > 0 && (
+              <>
+                <Button size="sm" variant="outline" onClick={() => downloadCSV(rows, 'experiment-log.csv')}>
+                  <Download /> CSV
+                </Button>
+                <Button size="sm" variant="outline" onClick={() => downloadXLSX(rows, 'experiment-log.xlsx', 'Experiment log')}>
+                  <Download /> XLSX
+                </Button>
+              </>
+            )}
+          </div>
+          <p className="text-xs text-gray-500">
+            Imports accept this logbook's export or a filled-in Design of Experiments run sheet (measured_* columns, plus optional date, operator, pva_lot and notes).
+          </p>
+        </div>
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+        {notice && (
+          <Alert>
+            <AlertDescription>{notice}</AlertDescription>
+          </Alert>
+        )}
+
+        {stats.length > 0 && (
+          <>
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Property</TableHead>
+                  <TableHead>n</TableHead>
+                  <TableHead>R²</TableHead>
+                  <TableHead>RMSE</TableHead>
+                  <TableHead>Bias (measured − predicted)</TableHead>
+                  <TableHead>MAE</TableHead>
+                  <TableHead>Stated R² &gt; {MODEL_R2}</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {stats.map(stat => (
+                  <TableRow key={stat.property} className="cursor-pointer" onClick={() => setProperty(stat.property)}>
+                    <TableCell className={stat.property === property ? 'font-semibold' : ''}>
+                      {ARCHITECTURE_PROPERTIES[stat.property].label} ({ARCHITECTURE_PROPERTIES[stat.property].unit})
+                    </TableCell>
+                    <TableCell>{stat.n}</TableCell>
+                    <TableCell>{format(stat.r2, 3)}</TableCell>
+                    <TableCell>{format(stat.rmse)}</TableCell>
+                    <TableCell>{stat.bias >= 0 ? '+' : ''}{format(stat.bias)}</TableCell>
+                    <TableCell>{format(stat.mae)}</TableCell>
+                    <TableCell>
+                      {stat.r2 === null
+                        ? <Badge variant="outline">Needs 2+ distinct values</Badge>
+                        : stat.r2 > MODEL_R2
+                          ? <Badge variant="secondary">Confirmed</Badge>
+                          : <Badge variant="destructive">Not met</Badge>}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+
+            <div className="space-y-1">
+              <Label className="text-xs text-gray-600">Plotted property</Label>
+              <Select value={property} onValueChange={setProperty}>
+                <SelectTrigger className="w-60">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {MEASURED_PROPERTIES.map(key => (
+                    <SelectItem key={key} value={key}>{ARCHITECTURE_PROPERTIES[key].label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            {selected.length === 0 ? (
+              <p className="text-sm text-gray-500">No measurements of {ARCHITECTURE_PROPERTIES[property].label.toLowerCase()} yet.</p>
+            ) : (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <div className="text-sm font-medium mb-1">Parity: measured vs predicted ({unit})</div>
+                  <ResponsiveContainer width="100%" height={280}>
+                    <ScatterChart margin={{ top: 10, right: 20, bottom: 30, left: 20 }}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis type="number" dataKey="x" name="Predicted" domain={[lo, hi]} tickFormatter={(v) => Number(v.toFixed(1))} label={{ value: 'Predicted', position: 'insideBottom', offset: -15 }} />
+                      <YAxis type="number" dataKey="y" name="Measured" domain={[lo, hi]} tickFormatter={(v) => Number(v.toFixed(1))} label={{ value: 'Measured', angle: -90, position: 'insideLeft', offset: -5 }} />
+                      <Tooltip content={<PointTooltip />} />
+                      <ReferenceLine segment={[{ x: lo, y: lo }, { x: hi, y: hi }]} stroke="#6b7280" strokeDasharray="4 4" ifOverflow="extendDomain" />
+                      <Scatter data={parity} fill="#059669" />
+                    </ScatterChart>
+                  </ResponsiveContainer>
+                </div>
+                <div>
+                  <div className="text-sm font-medium mb-1">Residuals ({unit})</div>
+                  <ResponsiveContainer width="100%" height={280}>
+                    <ScatterChart margin={{ top: 10, right: 20, bottom: 30, left: 20 }}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis type="number" dataKey="x" name="Predicted" domain={['auto', 'auto']} tickFormatter={(v) => Number(v.toFixed(1))} label={{ value: 'Predicted', position: 'insideBottom', offset: -15 }} />
+                      <YAxis type="number" dataKey="y" name="Residual" domain={['auto', 'auto']} tickFormatter={(v) => Number(v.toFixed(1))} label={{ value: 'Measured − predicted', angle: -90, position: 'insideLeft', offset: -5 }} />
+                      <Tooltip content={<PointTooltip />} />
+                      <ReferenceLine y={0} stroke="#6b7280" strokeDasharray="4 4" />
+                      <Scatter data={residuals} fill="#d97706" />
+                    </ScatterChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+
+        {entries.length > 0 && (
+          <div className="max-h-96 overflow-y-auto">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>#</TableHead>
+                  <TableHead>Date</TableHead>
+                  <TableHead>Operator</TableHead>
+                  <TableHead>Lot</TableHead>
+                  <TableHead>Recipe</TableHead>
+                  <TableHead>Measured / predicted</TableHead>
+                  <TableHead />
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {entries.map((entry, index) => (
+                  <TableRow key={entry.id}>
+                    <TableCell>{index + 1}</TableCell>
+                    <TableCell>{entry.date}</TableCell>
+                    <TableCell>{entry.operator || '—'}</TableCell>
+                    <TableCell>{entry.lot || '—'}</TableCell>
+                    <TableCell className="text-xs">
+                      {(entry.params.mw / 1000).toFixed(0)} kDa · {entry.params.concentration} wt% · {entry.params.voltage} kV · {entry.params.flowRate} mL/h · {entry.params.distance} cm
+                      {entry.notes && <div className="text-gray-500">{entry.notes}</div>}
+                    </TableCell>
+                    <TableCell className="text-xs">
+                      {points.filter(point => point.entry === entry).map(point => (
+                        <div key={point.property}>
+                          {ARCHITECTURE_PROPERTIES[point.property].label}: {point.measured} / {point.predicted.toFixed(1)} {ARCHITECTURE_PROPERTIES[point.property].unit}
+                          <span className={point.residual >= 0 ? 'text-blue-600' : 'text-orange-600'}> ({point.residual >= 0 ? '+' : ''}{point.residual.toFixed(1)})</span>
+                        </div>
+                      ))}
+                    </TableCell>
+                    <TableCell className="whitespace-nowrap">
+                      <Button size="sm" variant="outline" onClick={() => onLoadRecipe(entry.params)}>Load</Button>
+                      <Button size="sm" variant="ghost" onClick={() => removeEntry(entry.id)} aria-label="Delete entry">
+                        <Trash2 />
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+        <p className="text-xs text-gray-500">
+          R² is computed against the spread of your own measurements, so a narrow campaign (e.g. one MW) can give a low R² even when
+          RMSE is small; read it together with RMSE and bias. A consistent bias suggests recalibrating rather than a wrong trend.
+        </p>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default ExperimentLogPanel;
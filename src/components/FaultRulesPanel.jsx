@@ -0,0 +1,150 @@
+import React, { useMemo, useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { Textarea } from './ui/textarea';
+import { Label } from './ui/label';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { Alert, AlertDescription } from './ui/alert';
+import { ShieldAlert, AlertCircle, Plus, Download, Trash2 } from 'lucide-react';
+import { DEFAULT_FAULT_RULES, FAULT_QUANTITIES, SEVERITIES, evaluateFaults, mergeFaultRules, parseFaultRules } from '../lib/faults';
+import { downloadJSON } from '../lib/spreadsheet';
+
+const SEVERITY_STYLES = {
+  critical: 'bg-red-100 text-red-800',
+  warning: 'bg-orange-100 text-orange-800',
+  advisory: 'bg-blue-100 text-blue-800'
+};
+
+const OPERATOR_SYMBOLS = { '<': '<', '<=': '≤', '>': '>', '>=': '≥' };
+
+const EXAMPLE_RULE = {
+  id: 'lowFlowSkin',
+  title: 'Polymer skin at low flow',
+  severity: 'advisory',
+  when: [
+    { quantity: 'flowRate', op: '<', value: 0.8 },
+    { quantity: 'concentration', op: '>=', value: 12 }
+  ],
+  explanation: 'At {flowRate} mL/h the drop at the tip is replaced slowly and dries over.',
+  fix: 'Raise the flow rate above 0.8 mL/h.'
+};
+
+const describeCondition = ({ quantity, op, value }) => {
+  const { label, unit } = FAULT_QUANTITIES[quantity];
+  return `${label} ${OPERATOR_SYMBOLS[op]} ${value}${unit ? ` ${unit}` : ''}`;
+};
+
+function FaultRulesPanel({ params, customRules, onCustomRulesChange }) {
+  const [text, setText] = useState('');
+  const [error, setError] = useState(null);
+
+  const rules = useMemo(() => mergeFaultRules(customRules), [customRules]);
+  const triggered = new Set(evaluateFaults(params, rules).map(rule => rule.id));
+  const customIds = new Set(customRules.map(rule => rule.id));
+
+  const addRules = () => {
+    try {
+      const added = parseFaultRules(text);
+      const ids = new Set(added.map(rule => rule.id));
+      onCustomRulesChange([...customRules.filter(rule => !ids.has(rule.id)), ...added]);
+      setText('');
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const deleteRule = (id) => onCustomRulesChange(customRules.filter(rule => rule.id !== id));
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ShieldAlert className="h-5 w-5 text-red-600" />
+          Process Fault Rules
+        </CardTitle>
+        <CardDescription>
+          Checks behind the process warnings above. A rule fires when all of its conditions hold for the current recipe;
+          add your own as JSON, or reuse a built-in id to retune it
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Severity</TableHead>
+              <TableHead>Rule</TableHead>
+              <TableHead>Fires when</TableHead>
+              <TableHead>Now</TableHead>
+              <TableHead />
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {rules.map(rule => (
+              <TableRow key={rule.id}>
+                <TableCell>
+                  <Badge className={SEVERITY_STYLES[rule.severity]}>{SEVERITIES[rule.severity]}</Badge>
+                </TableCell>
+                <TableCell>
+                  <div className="font-medium">{rule.title}</div>
+                  <div className="text-xs text-gray-500">
+                    {rule.id}
+                    {customIds.has(rule.id) && (DEFAULT_FAULT_RULES.some(builtIn => builtIn.id === rule.id) ? ' · custom override' : ' · custom')}
+                  </div>
+                </TableCell>
+                <TableCell className="text-xs whitespace-normal">{rule.when.map(describeCondition).join(' and ')}</TableCell>
+                <TableCell>
+                  {triggered.has(rule.id)
+                    ? <Badge variant="destructive">Triggered</Badge>
+                    : <span className="text-xs text-gray-400">—</span>}
+                </TableCell>
+                <TableCell>
+                  {customIds.has(rule.id) && (
+                    <Button variant="ghost" size="sm" onClick={() => deleteRule(rule.id)} aria-label={`Delete rule ${rule.id}`}>
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+
+        <div className="space-y-2">
+          <Label htmlFor="fault-rules-json">Add rules (one rule object or an array)</Label>
+          <Textarea
+            id="fault-rules-json"
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder={JSON.stringify(EXAMPLE_RULE, null, 2)}
+            className="font-mono text-xs min-h-40"
+          />
+          <p className="text-xs text-gray-500">
+            Quantities: {Object.keys(FAULT_QUANTITIES).join(', ')}. Operators: &lt; &lt;= &gt; &gt;=.
+            Write {'{quantity}'} in the explanation or fix to show the recipe's value.
+          </p>
+          <div className="flex flex-wrap gap-2">
+            <Button size="sm" onClick={addRules} disabled={!text.trim()}>
+              <Plus className="h-4 w-4 mr-1" />
+              Add rules
+            </Button>
+            <Button size="sm" variant="outline" onClick={() => downloadJSON(rules, 'pva-fault-rules.json')}>
+              <Download className="h-4 w-4 mr-1" />
+              Download all rules
+            </Button>
+          </div>
+        </div>
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default FaultRulesPanel;
@@ -0,0 +1,23 @@
+import React from 'react';
+import { Progress } from './ui/progress';
+
+// Progress bar with the prediction interval shaded on top of it.
+// `scale` maps a raw value to the 0-100 bar position.
+function IntervalProgress({ value, interval, scale }) {
+  const lower = Math.max(0, Math.min(100, scale(interval.lower)));
+  const upper = Math.max(0, Math.min(100, scale(interval.upper)));
+  const left = Math.min(lower, upper);
+
+  return (
+    <div className="relative">
+      <Progress value={scale(value)} className="h-2" />
+      <div
+        className="absolute top-0 h-2 rounded-full border border-gray-500/60 bg-gray-400/30 pointer-events-none"
+        style={{ left: `${left}%`, width: `${Math.abs(upper - lower)}%` }}
+        title={`95% interval: ${interval.lower.toFixed(2)} – ${interval.upper.toFixed(2)}`}
+      />
+    </div>
+  );
+}
+
+export default IntervalProgress;
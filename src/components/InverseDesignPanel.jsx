@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { Input } from './ui/input';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { Alert, AlertDescription } from './ui/alert';
+import { Crosshair, AlertCircle } from 'lucide-react';
+import { ARCHITECTURE_PROPERTIES } from '../lib/predictor';
+import { inverseDesign, activeTargets } from '../lib/inverse';
+import { useEngine } from '../hooks/use-engine';
+
+// Example from the lab: ~500 nm fibers, >85% porosity, ≥8 MPa tensile strength
+const INITIAL_SPECS = {
+  fiberDiameter: { target: '500', min: '', max: '' },
+  porosity: { target: '', min: '85', max: '' },
+  tensileStrength: { target: '', min: '8', max: '' }
+};
+
+const toNumber = (text) => (text === '' || text === undefined ? undefined : Number(text));
+
+const formatValue = (value) => (Math.abs(value) >= 100 ? Math.round(value) : value.toFixed(1));
+
+function InverseDesignPanel({ onLoadRecipe }) {
+  const engine = useEngine();
+  const [specs, setSpecs] = useState(INITIAL_SPECS);
+  const [solutions, setSolutions] = useState([]);
+  const [solvedKeys, setSolvedKeys] = useState([]);
+  const [error, setError] = useState('');
+
+  // Solutions found with another coefficient set or model no longer apply
+  const [solvedEngine, setSolvedEngine] = useState(engine);
+  if (solvedEngine !== engine) {
+    setSolvedEngine(engine);
+    setSolutions([]);
+  }
+
+  const updateSpec = (key, field, value) => {
+    setSpecs(prev => ({
+      ...prev,
+      [key]: { target: '', min: '', max: '', ...prev[key], [field]: value }
+    }));
+  };
+
+  const targets = Object.fromEntries(Object.entries(specs).map(([key, spec]) => [key, {
+    target: toNumber(spec.target),
+    min: toNumber(spec.min),
+    max: toNumber(spec.max)
+  }]));
+  const targetKeys = Object.keys(activeTargets(targets));
+
+  const solve = () => {
+    try {
+      setSolutions(inverseDesign(targets, { engine }));
+      setSolvedKeys(targetKeys);
+      setError('');
+    } catch (err) {
+      setSolutions([]);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Crosshair className="h-5 w-5 text-blue-600" />
+          Inverse Design
+        </CardTitle>
+        <CardDescription>
+          Enter a target value and/or a min–max range for any scaffold properties; leave the rest blank. Recipes predicted
+          to give beads, droplets or ribbons are left out
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3">
+          {Object.entries(ARCHITECTURE_PROPERTIES).map(([key, { label, unit, min, max }]) => (
+            <div key={key} className={`p-3 border rounded-lg space-y-2 ${targetKeys.includes(key) ? 'border-blue-400 bg-blue-50' : ''}`}>
+              <div className="flex justify-between text-sm">
+                <span className="font-medium">{label}</span>
+                <span className="text-xs text-gray-500">{min}-{max} {unit}</span>
+              </div>
+              <div className="grid grid-cols-3 gap-2">
+                {['target', 'min', 'max'].map(field => (
+                  <Input
+                    key={field}
+                    type="number"
+                    placeholder={field === 'target' ? 'Target' : field === 'min' ? 'Min' : 'Max'}
+                    value={specs[key]?.[field] ?? ''}
+                    onChange={(e) => updateSpec(key, field, e.target.value)}
+                    className="h-8 text-xs"
+                  />
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex items-center gap-3">
+          <Button onClick={solve} disabled={targetKeys.length === 0}>
+            <Crosshair /> Find processing parameters
+          </Button>
+          <Button variant="outline" onClick={() => { setSpecs({}); setSolutions([]); }}>Clear</Button>
+          <span className="text-xs text-gray-500">
+            {targetKeys.length} propert{targetKeys.length === 1 ? 'y' : 'ies'} targeted. Solutions stay inside the MW-dependent concentration window.
+          </span>
+        </div>
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {solutions.length > 0 && (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Rank</TableHead>
+                <TableHead>MW (kDa)</TableHead>
+                <TableHead>Hydrol. (%)</TableHead>
+                <TableHead>Conc. (wt%)</TableHead>
+                <TableHead>Voltage (kV)</TableHead>
+                <TableHead>Flow (mL/h)</TableHead>
+                <TableHead>Dist. (cm)</TableHead>
+                {solvedKeys.map(key => (
+                  <TableHead key={key}>{ARCHITECTURE_PROPERTIES[key].label} ({ARCHITECTURE_PROPERTIES[key].unit})</TableHead>
+                ))}
+                <TableHead>Distance</TableHead>
+                <TableHead>Morphology</TableHead>
+                <TableHead />
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {solutions.map(solution => (
+                <TableRow key={solution.rank}>
+                  <TableCell>{solution.rank}</TableCell>
+                  <TableCell>{(solution.params.mw / 1000).toFixed(0)}</TableCell>
+                  <TableCell>{solution.params.hydrolysis.toFixed(1)}</TableCell>
+                  <TableCell>{solution.params.concentration.toFixed(1)}</TableCell>
+                  <TableCell>{solution.params.voltage.toFixed(1)}</TableCell>
+                  <TableCell>{solution.params.flowRate.toFixed(1)}</TableCell>
+                  <TableCell>{solution.params.distance}</TableCell>
+                  {solvedKeys.map(key => (
+                    <TableCell key={key} className={solution.misses[key] > 0.005 ? 'text-orange-600' : 'text-green-600'}>
+                      {formatValue(solution.architecture[key])}
+                    </TableCell>
+                  ))}
+                  <TableCell>
+                    <Badge variant="secondary">{(solution.distance * 100).toFixed(1)}%</Badge>
+                  </TableCell>
+                  <TableCell className="text-xs">{solution.architecture.morphology}</TableCell>
+                  <TableCell>
+                    <Button size="sm" variant="outline" onClick={() => onLoadRecipe(solution.params)}>Load</Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+        {solutions.length > 0 && (
+          <p className="text-xs text-gray-500">
+            Distance is the RMS miss across targeted properties as a percentage of each property's full range (0% = every target met).
+          </p>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default InverseDesignPanel;
@@ -0,0 +1,154 @@
+import React, { useMemo, useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Label } from './ui/label';
+import { Badge } from './ui/badge';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { Zap } from 'lucide-react';
+import { DIAMETER_MODELS, PARAMETER_RANGES, predictArchitecture } from '../lib/predictor';
+import { JET_REGIMES, jetDiagnostics } from '../lib/jet';
+import { useEngine } from '../hooks/use-engine';
+
+const SWEEP_INPUTS = ['voltage', 'distance', 'flowRate', 'concentration'];
+const SWEEP_POINTS = 31;
+
+const REGIME_STYLES = {
+  dripping: 'bg-orange-100 text-orange-800',
+  coneJet: 'bg-green-100 text-green-800',
+  multiJet: 'bg-yellow-100 text-yellow-800'
+};
+
+function Stat({ label, value, detail }) {
+  return (
+    <div className="p-3 bg-gray-50 rounded-lg">
+      <div className="text-xs text-gray-500">{label}</div>
+      <div className="text-lg font-bold text-gray-800">{value}</div>
+      {detail && <div className="text-xs text-gray-500">{detail}</div>}
+    </div>
+  );
+}
+
+function JetDiagnosticsPanel({ params, diameterModel, onDiameterModelChange }) {
+  const engine = useEngine();
+  const [input, setInput] = useState('voltage');
+  const jet = useMemo(() => jetDiagnostics(params), [params]);
+  const empirical = predictArchitecture(params, engine.coefficients, null, 'empirical').fiberDiameter;
+  const physics = predictArchitecture(params, engine.coefficients, null, 'fridrikh').fiberDiameter;
+
+  // Both diameter laws across one input's slider range, the others held at the current recipe
+  const sweep = useMemo(() => {
+    const { min, max } = PARAMETER_RANGES[input];
+    return Array.from({ length: SWEEP_POINTS }, (_, i) => {
+      const trial = { ...params, [input]: min + (max - min) * i / (SWEEP_POINTS - 1) };
+      return {
+        x: trial[input],
+        empirical: predictArchitecture(trial, engine.coefficients, null, 'empirical').fiberDiameter,
+        fridrikh: predictArchitecture(trial, engine.coefficients, null, 'fridrikh').fiberDiameter
+      };
+    });
+  }, [params, input, engine]);
+
+  const { label, unit } = PARAMETER_RANGES[input];
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Zap className="h-5 w-5 text-yellow-600" />
+          Jet Diagnostics
+        </CardTitle>
+        <CardDescription>
+          Electrohydrodynamics of the current recipe: field strength, Taylor cone regime, jet current and the fiber diameter
+          predicted by the Fridrikh et al. scaling law, next to the empirical formula
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-sm font-medium">Taylor cone regime:</span>
+          <Badge className={REGIME_STYLES[jet.regime]}>{JET_REGIMES[jet.regime]}</Badge>
+          <span className="text-xs text-gray-500">
+            {params.voltage} kV is {jet.voltageRatio.toFixed(2)}× the {jet.onsetVoltage.toFixed(1)} kV onset at {params.distance} cm
+          </span>
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          <Stat label="Nominal field strength" value={`${jet.fieldStrength.toFixed(2)} kV/cm`} />
+          <Stat label="Jet current (est.)" value={`${jet.current.toFixed(2)} µA`} />
+          <Stat label="Surface tension (est.)" value={`${(jet.surfaceTension * 1000).toFixed(1)} mN/m`} />
+          <Stat label="Conductivity (est.)" value={`${(jet.conductivity * 10000).toFixed(0)} µS/cm`} />
+          <Stat label="Terminal jet diameter" value={`${Math.round(jet.jetDiameter)} nm`} detail="Fridrikh scaling law" />
+          <Stat label="Dry fiber, Fridrikh" value={`${Math.round(physics)} nm`} detail="jet diameter × √(polymer fraction)" />
+          <Stat label="Dry fiber, empirical" value={`${Math.round(empirical)} nm`} detail="Stage 1 formula, active coefficients" />
+          <Stat label="Difference" value={`${physics >= empirical ? '+' : ''}${((physics - empirical) / empirical * 100).toFixed(0)}%`} detail="Fridrikh vs. empirical" />
+        </div>
+
+        <div className="flex flex-wrap items-end gap-3">
+          <div className="space-y-1">
+            <Label className="text-xs text-gray-600">Stage 1 fiber diameter</Label>
+            <Select value={diameterModel} onValueChange={onDiameterModelChange}>
+              <SelectTrigger className="w-56">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(DIAMETER_MODELS).map(([key, name]) => (
+                  <SelectItem key={key} value={key}>{name}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            {diameterModel === 'fridrikh' && (
+              <p className="text-xs text-orange-700 max-w-xs">
+                No MW or viscosity term: MW charts for diameter, porosity and pore size go flat while this law is selected.
+              </p>
+            )}
+          </div>
+          <div className="space-y-1">
+            <Label className="text-xs text-gray-600">Sweep</Label>
+            <Select value={input} onValueChange={setInput}>
+              <SelectTrigger className="w-52">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {SWEEP_INPUTS.map(key => (
+                  <SelectItem key={key} value={key}>{PARAMETER_RANGES[key].label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
+
+        <ResponsiveContainer width="100%" height={280}>
+          <LineChart data={sweep} margin={{ top: 10, right: 20, bottom: 20, left: 10 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              dataKey="x"
+              type="number"
+              domain={['dataMin', 'dataMax']}
+              tickFormatter={(value) => Number(value.toFixed(1))}
+              label={{ value: `${label} (${unit})`, position: 'insideBottom', offset: -10 }}
+            />
+            <YAxis domain={[0, 'auto']} label={{ value: 'Fiber diameter (nm)', angle: -90, position: 'insideLeft' }} />
+            <Tooltip
+              labelFormatter={(value) => `${label}: ${Number(value.toFixed(2))} ${unit}`}
+              formatter={(value, name) => [`${Math.round(value)} nm`, name]}
+            />
+            <Legend verticalAlign="top" />
+            <ReferenceLine x={params[input]} stroke="#ef4444" strokeDasharray="4 4" />
+            <Line dataKey="empirical" name={DIAMETER_MODELS.empirical} stroke="#2563eb" dot={false} isAnimationActive={false} />
+            <Line dataKey="fridrikh" name={DIAMETER_MODELS.fridrikh} stroke="#d97706" dot={false} isAnimationActive={false} />
+          </LineChart>
+        </ResponsiveContainer>
+
+        <p className="text-xs text-gray-500">
+          The cone onset voltage follows Taylor (1969) for a 5 cm, 21 G needle; above twice the onset the cone tends to split into
+          several jets. The current follows the cone-jet law of Fernández de la Mora and Loscertales, growing with the field beyond
+          onset. The Fridrikh law sets the terminal jet diameter from surface tension, permittivity, flow rate and current and
+          ignores viscosity, so it does not depend on MW. Surface tension and conductivity are estimated from concentration;
+          measure them for your solution to tighten the estimate. Selecting the Fridrikh law makes it drive fiber diameter,
+          porosity and pore size in every tab.
+        </p>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default JetDiagnosticsPanel;
@@ -0,0 +1,200 @@
+import React, { useMemo, useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Label } from './ui/label';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { Alert, AlertDescription } from './ui/alert';
+import { Cpu, AlertCircle, Upload, Trash2 } from 'lucide-react';
+import { predictArchitecture, predictBiology } from '../lib/predictor';
+import { FORMULAS, MODEL_BASES, MODEL_STAGES, MODEL_TYPES, STAGE_OUTPUTS, loadModel } from '../lib/mlmodels';
+import { useEngine } from '../hooks/use-engine';
+
+// "120 trees" / "3 layers" / "40 points"
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+const modelSize = ({ type, spec }) => {
+  if (type === 'treeEnsemble') return `${plural(spec.trees.length, 'tree')} (${spec.aggregation ?? 'mean'})`;
+  if (type === 'gp') return plural(spec.components[0].points.length, 'point');
+  return plural(spec.layers.length, 'layer');
+};
+
+const formatValue = (value) => (Math.abs(value) >= 100 ? value.toFixed(0) : value.toFixed(2));
+
+function ComparisonTable({ stage, formulas, columns }) {
+  return (
+    <Table>
+      <TableHeader>
+        <TableRow>
+          <TableHead>{stage === 'architecture' ? 'Property' : 'Outcome'}</TableHead>
+          <TableHead>Formulas</TableHead>
+          {columns.map(({ model, active }) => (
+            <TableHead key={model.name}>
+              {model.name}{active && <Badge variant="secondary" className="ml-2">Active</Badge>}
+            </TableHead>
+          ))}
+        </TableRow>
+      </TableHeader>
+      <TableBody>
+        {Object.entries(STAGE_OUTPUTS[stage]).map(([key, { label, unit }]) => (
+          <TableRow key={key}>
+            <TableCell className="font-medium">{label}{unit && ` (${unit})`}</TableCell>
+            <TableCell>{formatValue(formulas[key])}</TableCell>
+            {columns.map(({ model, values }) => {
+              if (!model.outputs.includes(key)) return <TableCell key={model.name} className="text-gray-400">—</TableCell>;
+              const delta = formulas[key] === 0 ? null : (values[key] - formulas[key]) / Math.abs(formulas[key]) * 100;
+              return (
+                <TableCell key={model.name}>
+                  {formatValue(values[key])}
+                  {delta !== null && (
+                    <span className={`text-xs ${Math.abs(delta) > 10 ? 'text-orange-600' : 'text-gray-500'}`}> ({delta >= 0 ? '+' : ''}{delta.toFixed(0)}%)</span>
+                  )}
+                </TableCell>
+              );
+            })}
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+}
+
+function ModelPluginsPanel({ params, models, selection, onAdd, onDelete, onSelect }) {
+  const engine = useEngine();
+  const [error, setError] = useState('');
+
+  const importFile = async (file) => {
+    if (!file) return;
+    try {
+      const spec = JSON.parse(await file.text());
+      loadModel(spec);
+      onAdd(spec);
+      setError('');
+    } catch (err) {
+      setError(`Could not load ${file.name}: ${err.message}`);
+    }
+  };
+
+  // Formula predictions at the current recipe (active coefficient set and diameter law); Stage 2 models are compared on the formula architecture
+  const comparison = useMemo(() => {
+    const formulaArchitecture = predictArchitecture(params, engine.coefficients, null, engine.diameterModel);
+    const formulaBiology = predictBiology(formulaArchitecture, params, null);
+    const columnsFor = (stage) => models.filter(model => model.stage === stage).map(model => ({
+      model,
+      active: selection[stage] === model.name,
+      values: stage === 'architecture'
+        ? predictArchitecture(params, engine.coefficients, model, engine.diameterModel)
+        : predictBiology(formulaArchitecture, params, model)
+    }));
+    return {
+      architecture: { formulas: formulaArchitecture, columns: columnsFor('architecture') },
+      biology: { formulas: formulaBiology, columns: columnsFor('biology') }
+    };
+  }, [params, models, selection, engine]);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Cpu className="h-5 w-5 text-slate-700" />
+          Trained Models
+        </CardTitle>
+        <CardDescription>
+          Back Stage 1 or Stage 2 with a random forest, gradient-boosted ensemble, neural network or Gaussian process trained
+          above or elsewhere and exported as JSON. Models run in the browser; outputs a model does not cover still come from the formulas.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-wrap items-end gap-3">
+          <label className="inline-flex">
+            <span className="inline-flex items-center gap-2 rounded-md border px-3 h-9 text-sm cursor-pointer hover:bg-gray-50">
+              <Upload className="h-4 w-4" /> Load model JSON
+            </span>
+            <input
+              type="file"
+              accept=".json,application/json"
+              className="hidden"
+              onChange={(e) => { importFile(e.target.files[0]); e.target.value = ''; }}
+            />
+          </label>
+          {Object.entries(MODEL_STAGES).map(([stage, label]) => (
+            <div key={stage} className="space-y-1">
+              <Label className="text-xs text-gray-600">{label}</Label>
+              <Select value={selection[stage]} onValueChange={(value) => onSelect(stage, value)}>
+                <SelectTrigger className="w-56">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={FORMULAS}>Formulas (heuristic)</SelectItem>
+                  {models.filter(model => model.stage === stage).map(model => (
+                    <SelectItem key={model.name} value={model.name}>{model.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          ))}
+        </div>
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {models.length > 0 && (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Name</TableHead>
+                <TableHead>Stage</TableHead>
+                <TableHead>Type</TableHead>
+                <TableHead>Inputs</TableHead>
+                <TableHead>Outputs</TableHead>
+                <TableHead />
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {models.map(model => (
+                <TableRow key={`${model.stage}:${model.name}`}>
+                  <TableCell className="font-medium">
+                    {model.name}
+                    {model.description && <div className="text-xs text-gray-500 font-normal">{model.description}</div>}
+                  </TableCell>
+                  <TableCell>{model.stage === 'architecture' ? 'Stage 1' : 'Stage 2'}</TableCell>
+                  <TableCell className="text-xs">
+                    {MODEL_TYPES[model.type]}, {modelSize(model)}
+                    {model.base === 'formulas' && <div className="text-gray-500">{MODEL_BASES.formulas}</div>}
+                  </TableCell>
+                  <TableCell className="text-xs">{model.inputs.join(', ')}</TableCell>
+                  <TableCell className="text-xs">{model.outputs.join(', ')}</TableCell>
+                  <TableCell>
+                    <Button size="sm" variant="ghost" onClick={() => onDelete(model.stage, model.name)} aria-label={`Delete ${model.name}`}>
+                      <Trash2 />
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+
+        {Object.entries(MODEL_STAGES).map(([stage, label]) => (
+          <div key={stage}>
+            <div className="text-sm font-medium mb-2">{label}: formulas vs loaded models at the current recipe</div>
+            {comparison[stage].columns.length === 0
+              ? <p className="text-sm text-gray-500">No {stage === 'architecture' ? 'Stage 1' : 'Stage 2'} model loaded.</p>
+              : <ComparisonTable stage={stage} {...comparison[stage]} />}
+          </div>
+        ))}
+        <p className="text-xs text-gray-500">
+          The active model for each stage drives every tab. Model outputs are clamped to the same physical ranges as the formulas;
+          morphology, the concentration window and the MSC lineage call always come from the formulas. Stage 2 models are compared
+          here on the formula Stage 1 architecture so the columns differ only by Stage 2.
+        </p>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default ModelPluginsPanel;
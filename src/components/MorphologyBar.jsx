@@ -0,0 +1,32 @@
+import React from 'react';
+import { MORPHOLOGIES, MORPHOLOGY_COLORS } from '../lib/morphology';
+
+// One stacked bar of morphology class probabilities, with a legend of the
+// classes at or above 1%
+function MorphologyBar({ probabilities }) {
+  const classes = Object.keys(MORPHOLOGIES).filter(key => probabilities[key] >= 0.005);
+
+  return (
+    <div className="w-full space-y-1">
+      <div className="flex h-4 w-full overflow-hidden rounded-full border" role="img" aria-label="Morphology class probabilities">
+        {classes.map(key => (
+          <div
+            key={key}
+            style={{ width: `${probabilities[key] * 100}%`, backgroundColor: MORPHOLOGY_COLORS[key] }}
+            title={`${MORPHOLOGIES[key]}: ${(probabilities[key] * 100).toFixed(1)}%`}
+          />
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-x-3 gap-y-1 text-xs text-gray-600">
+        {classes.filter(key => probabilities[key] >= 0.01).map(key => (
+          <span key={key} className="flex items-center gap-1">
+            <span className="inline-block w-2.5 h-2.5 rounded-sm border" style={{ backgroundColor: MORPHOLOGY_COLORS[key] }} />
+            {MORPHOLOGIES[key]} {(probabilities[key] * 100).toFixed(0)}%
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default MorphologyBar;
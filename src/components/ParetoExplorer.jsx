@@ -0,0 +1,203 @@
+import React, { useMemo, useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { Select, SelectContent, SelectGroup, SelectItem, SelectLabel, SelectTrigger, SelectValue } from './ui/select';
+import { Switch } from './ui/switch';
+import { Label } from './ui/label';
+import { Button } from './ui/button';
+import { ScatterChart, Scatter, XAxis, YAxis, ZAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { Scale } from 'lucide-react';
+import { formatRecipe, predictWith } from '../lib/predictor';
+import { METRICS, METRIC_GROUPS, METRICS_BY_ID, metricLabel, metricValue } from '../lib/metrics';
+import { sampleDesigns, paretoFront } from '../lib/pareto';
+import { useEngine } from '../hooks/use-engine';
+
+const SAMPLE_COUNT = 1200;
+
+const DEFAULT_OBJECTIVES = [
+  { id: 'architecture.tensileStrength', direction: 'max' },
+  { id: 'architecture.poreSize', direction: 'min' },
+  { id: 'none', direction: 'max' }
+];
+
+const formatValue = (value) => (Math.abs(value) >= 100 ? Math.round(value) : value.toFixed(1));
+
+function ObjectivePicker({ label, objective, optional, onChange }) {
+  return (
+    <div className="space-y-1">
+      <Label className="text-xs text-gray-600">{label}</Label>
+      <div className="flex gap-2">
+        <Select value={objective.id} onValueChange={(id) => onChange({ ...objective, id })}>
+          <SelectTrigger className="flex-1 min-w-0">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {optional && <SelectItem value="none">None</SelectItem>}
+            {Object.entries(METRIC_GROUPS).map(([group, groupLabel]) => (
+              <SelectGroup key={group}>
+                <SelectLabel>{groupLabel}</SelectLabel>
+                {METRICS.filter(metric => metric.group === group).map(metric => (
+                  <SelectItem key={metric.id} value={metric.id}>{metricLabel(metric.id)}</SelectItem>
+                ))}
+              </SelectGroup>
+            ))}
+          </SelectContent>
+        </Select>
+        <Select
+          value={objective.direction}
+          onValueChange={(direction) => onChange({ ...objective, direction })}
+          disabled={objective.id === 'none'}
+        >
+          <SelectTrigger className="w-28">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="max">Maximize</SelectItem>
+            <SelectItem value="min">Minimize</SelectItem>
+          </SelectContent>
+        </Select>
+      </div>
+    </div>
+  );
+}
+
+function DesignTooltip({ active, payload, objectives }) {
+  if (!active || !payload?.length) return null;
+  const point = payload[0].payload;
+  return (
+    <div className="bg-white border rounded-md shadow-sm p-2 text-xs space-y-1">
+      <div className="font-semibold">{point.label}</div>
+      <div className="text-gray-600">{formatRecipe(point.params)}</div>
+      {objectives.map((objective, i) => (
+        <div key={i}>{metricLabel(objective.id)}: {formatValue(point.values[i])}</div>
+      ))}
+      {point.label !== 'Current recipe' && <div className="text-gray-500">Click to load into sliders</div>}
+    </div>
+  );
+}
+
+function ParetoExplorer({ params, onLoadRecipe }) {
+  const engine = useEngine();
+  const [objectives, setObjectives] = useState(DEFAULT_OBJECTIVES);
+  const [spinnableOnly, setSpinnableOnly] = useState(true);
+
+  const active = useMemo(() => objectives.filter(objective => objective.id !== 'none'), [objectives]);
+
+  const designs = useMemo(() => sampleDesigns(SAMPLE_COUNT, { spinnableOnly, engine }), [spinnableOnly, engine]);
+  const annotated = useMemo(() => paretoFront(designs, active), [designs, active]);
+
+  const toPoint = (design, label) => ({
+    params: design.params,
+    values: design.values,
+    x: design.values[0],
+    y: design.values[1],
+    z: design.values[2] ?? 1,
+    label
+  });
+  const dominated = annotated.filter(design => !design.pareto).map(design => toPoint(design, 'Dominated design'));
+  const front = annotated.filter(design => design.pareto).map(design => toPoint(design, 'Pareto-optimal design'));
+
+  const currentResult = predictWith(params, engine);
+  const current = [toPoint({ params, values: active.map(({ id }) => metricValue(currentResult, id)) }, 'Current recipe')];
+
+  // Best-first along the first objective
+  const sign = active[0].direction === 'min' ? 1 : -1;
+  const frontTable = [...front].sort((a, b) => sign * (a.x - b.x));
+
+  const updateObjective = (index, objective) => {
+    setObjectives(prev => prev.map((item, i) => (i === index ? objective : item)));
+  };
+
+  const axisLabel = (objective) =>
+    `${metricLabel(objective.id)} ${objective.direction === 'max' ? '↑' : '↓'}`;
+  const handleClick = (point) => onLoadRecipe((point.payload ?? point).params);
+  const zRange = active.length === 3 ? [20, 220] : [40, 40];
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Scale className="h-5 w-5 text-red-600" />
+          Pareto Explorer
+        </CardTitle>
+        <CardDescription>
+          Samples {SAMPLE_COUNT} recipes and highlights those no other recipe beats on every chosen objective
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <ObjectivePicker label="Objective 1 (x-axis)" objective={objectives[0]} onChange={(o) => updateObjective(0, o)} />
+          <ObjectivePicker label="Objective 2 (y-axis)" objective={objectives[1]} onChange={(o) => updateObjective(1, o)} />
+          <ObjectivePicker label="Objective 3 (bubble size, optional)" objective={objectives[2]} optional onChange={(o) => updateObjective(2, o)} />
+        </div>
+
+        <div className="flex items-center gap-2">
+          <Switch id="pareto-spinnable" checked={spinnableOnly} onCheckedChange={setSpinnableOnly} />
+          <Label htmlFor="pareto-spinnable" className="text-sm">Only sample inside the concentration window</Label>
+        </div>
+
+        <ResponsiveContainer width="100%" height={360}>
+          <ScatterChart margin={{ top: 10, right: 20, bottom: 30, left: 20 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              type="number"
+              dataKey="x"
+              name={METRICS_BY_ID[active[0].id].label}
+              domain={['auto', 'auto']}
+              label={{ value: axisLabel(active[0]), position: 'insideBottom', offset: -15 }}
+            />
+            <YAxis
+              type="number"
+              dataKey="y"
+              name={METRICS_BY_ID[active[1].id].label}
+              domain={['auto', 'auto']}
+              label={{ value: axisLabel(active[1]), angle: -90, position: 'insideLeft', offset: -5 }}
+            />
+            <ZAxis type="number" dataKey="z" range={zRange} />
+            <Tooltip content={<DesignTooltip objectives={active} />} cursor={{ strokeDasharray: '3 3' }} />
+            <Legend verticalAlign="top" />
+            <Scatter name="Dominated" data={dominated} fill="#d1d5db" fillOpacity={0.6} onClick={handleClick} />
+            <Scatter name={`Pareto front (${front.length})`} data={front} fill="#ef4444" onClick={handleClick} />
+            <Scatter name="Current recipe" data={current} fill="#2563eb" shape="star" />
+          </ScatterChart>
+        </ResponsiveContainer>
+
+        <div>
+          <div className="text-sm font-medium mb-2">Pareto-optimal recipes</div>
+          <div className="max-h-64 overflow-y-auto">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Recipe</TableHead>
+                  {active.map((objective, i) => (
+                    <TableHead key={i}>{metricLabel(objective.id)}</TableHead>
+                  ))}
+                  <TableHead />
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {frontTable.map((point, index) => (
+                  <TableRow key={index}>
+                    <TableCell className="text-xs">{formatRecipe(point.params)}</TableCell>
+                    {point.values.map((value, i) => (
+                      <TableCell key={i}>{formatValue(value)}</TableCell>
+                    ))}
+                    <TableCell>
+                      <Button size="sm" variant="outline" onClick={() => onLoadRecipe(point.params)}>Load</Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        </div>
+        <p className="text-xs text-gray-500">
+          Moving along the red front trades one objective for another; gray designs can be improved on every objective at once.
+          Click any point to load its recipe.
+        </p>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default ParetoExplorer;
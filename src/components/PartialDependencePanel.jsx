@@ -0,0 +1,148 @@
+import React, { useMemo, useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Select, SelectContent, SelectGroup, SelectItem, SelectLabel, SelectTrigger, SelectValue } from './ui/select';
+import { Label } from './ui/label';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceLine, ReferenceArea, ResponsiveContainer } from 'recharts';
+import { LineChart as LineChartIcon } from 'lucide-react';
+import { PARAMETER_KEYS, PARAMETER_RANGES, concentrationWindow } from '../lib/predictor';
+import { METRICS, METRIC_GROUPS, metricLabel } from '../lib/metrics';
+import { partialDependence } from '../lib/dependence';
+import { useEngine } from '../hooks/use-engine';
+
+const formatInput = (input, value) =>
+  input === 'mw' ? `${Math.round(value / 1000)}k` : Number(value.toFixed(1)).toString();
+
+const formatValue = (value) => (Math.abs(value) >= 100 ? Math.round(value) : Number(value.toFixed(2)));
+
+function PartialDependencePanel({ params }) {
+  const engine = useEngine();
+  const [input, setInput] = useState('voltage');
+  const [output, setOutput] = useState('architecture.fiberDiameter');
+  const [mode, setMode] = useState('current');
+
+  const { mw, concentration, voltage, flowRate, distance, hydrolysis } = params;
+  const dependence = useMemo(
+    () => partialDependence(input, output, { mw, concentration, voltage, flowRate, distance, hydrolysis }, { engine }),
+    [input, output, mw, concentration, voltage, flowRate, distance, hydrolysis, engine]
+  );
+
+  const data = dependence.grid.map((x, i) => ({
+    x,
+    current: dependence.current[i],
+    average: dependence.average[i],
+    ...Object.fromEntries(dependence.ice.map((curve, c) => [`ice${c}`, curve[i]]))
+  }));
+
+  const { label, unit } = PARAMETER_RANGES[input];
+  const spinnable = concentrationWindow(params.mw, params.hydrolysis);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <LineChartIcon className="h-5 w-5 text-orange-600" />
+          Partial Dependence &amp; ICE
+        </CardTitle>
+        <CardDescription>
+          Sweep any input across its slider range through the full Stage 1 → Stage 2 model and watch any output respond
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <div className="space-y-1">
+            <Label className="text-xs text-gray-600">Input (x-axis)</Label>
+            <Select value={input} onValueChange={setInput}>
+              <SelectTrigger className="w-full">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {PARAMETER_KEYS.map(key => (
+                  <SelectItem key={key} value={key}>{PARAMETER_RANGES[key].label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-1">
+            <Label className="text-xs text-gray-600">Output (y-axis)</Label>
+            <Select value={output} onValueChange={setOutput}>
+              <SelectTrigger className="w-full">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(METRIC_GROUPS).map(([group, groupLabel]) => (
+                  <SelectGroup key={group}>
+                    <SelectLabel>{groupLabel}</SelectLabel>
+                    {METRICS.filter(metric => metric.group === group).map(metric => (
+                      <SelectItem key={metric.id} value={metric.id}>{metricLabel(metric.id)}</SelectItem>
+                    ))}
+                  </SelectGroup>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-1">
+            <Label className="text-xs text-gray-600">Other four inputs</Label>
+            <Select value={mode} onValueChange={setMode}>
+              <SelectTrigger className="w-full">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="current">Held at current slider values</SelectItem>
+                <SelectItem value="average">Averaged over their ranges (PDP + ICE)</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
+
+        <ResponsiveContainer width="100%" height={340}>
+          <LineChart data={data} margin={{ top: 10, right: 20, bottom: 20, left: 10 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              dataKey="x"
+              type="number"
+              domain={['dataMin', 'dataMax']}
+              tickFormatter={(value) => formatInput(input, value)}
+              label={{ value: `${label} (${unit})`, position: 'insideBottom', offset: -10 }}
+            />
+            <YAxis
+              domain={['auto', 'auto']}
+              tickFormatter={formatValue}
+              label={{ value: metricLabel(output), angle: -90, position: 'insideLeft' }}
+            />
+            <Tooltip
+              labelFormatter={(value) => `${label}: ${formatInput(input, value)} ${unit}`}
+              formatter={(value, name) => [formatValue(value), name]}
+            />
+            {input === 'concentration' && mode === 'current' && (
+              <ReferenceArea x1={spinnable.minConc} x2={spinnable.maxConc} fill="#10b981" fillOpacity={0.1} label={{ value: 'Spinnable window', position: 'insideTop', fontSize: 11 }} />
+            )}
+            {mode === 'average' && dependence.ice.map((_, c) => (
+              <Line
+                key={c}
+                dataKey={`ice${c}`}
+                stroke="#9ca3af"
+                strokeOpacity={0.35}
+                dot={false}
+                isAnimationActive={false}
+                legendType="none"
+                tooltipType="none"
+              />
+            ))}
+            {mode === 'average'
+              ? <Line dataKey="average" name="Partial dependence (mean of ICE)" stroke="#ea580c" strokeWidth={3} dot={false} isAnimationActive={false} />
+              : <Line dataKey="current" name="Others at current sliders" stroke="#2563eb" strokeWidth={3} dot={false} isAnimationActive={false} />}
+            <ReferenceLine x={params[input]} stroke="#ef4444" strokeDasharray="4 4" label={{ value: 'Current', position: 'top', fontSize: 11 }} />
+          </LineChart>
+        </ResponsiveContainer>
+
+        <p className="text-xs text-gray-600">
+          {mode === 'average'
+            ? `Each gray line is one of ${dependence.ice.length} random recipes with only ${label.toLowerCase()} varied (ICE); the orange line is their average (PDP). Diverging gray lines mean ${label.toLowerCase()} interacts with the other inputs.`
+            : `The other four inputs stay at the current slider values, so this is the exact response you would see by dragging the ${label.toLowerCase()} slider.`}
+        </p>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default PartialDependencePanel;
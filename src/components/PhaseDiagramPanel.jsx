@@ -0,0 +1,141 @@
+import React, { useMemo } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Badge } from './ui/badge';
+import { Map as MapIcon } from 'lucide-react';
+import { PARAMETER_RANGES } from '../lib/predictor';
+import { MORPHOLOGIES, MORPHOLOGY_COLORS } from '../lib/morphology';
+import { PHASE_CLASSES, PHASE_COLORS, phaseClass, phaseRegions, windowSteps, anchorAgreement } from '../lib/phase';
+
+const WIDTH = 640;
+const HEIGHT = 400;
+const MARGIN = { top: 10, right: 20, bottom: 50, left: 60 };
+const PLOT_W = WIDTH - MARGIN.left - MARGIN.right;
+const PLOT_H = HEIGHT - MARGIN.top - MARGIN.bottom;
+
+const { mw: MW_RANGE, concentration: CONC_RANGE } = PARAMETER_RANGES;
+const px = (mw) => MARGIN.left + (mw - MW_RANGE.min) / (MW_RANGE.max - MW_RANGE.min) * PLOT_W;
+const py = (conc) => MARGIN.top + PLOT_H - (conc - CONC_RANGE.min) / (CONC_RANGE.max - CONC_RANGE.min) * PLOT_H;
+
+const MW_TICKS = [30000, 50000, 70000, 100000, 125000, 150000, 175000, 200000];
+const CONC_TICKS = [5, 7.5, 10, 12.5, 15, 17.5, 20];
+
+// Step outline of one window boundary across MW
+const stepPath = (steps, key) => steps.map((step, i) =>
+  `${i === 0 ? 'M' : 'L'}${px(step.mw0)},${py(step[key])}L${px(step.mw1)},${py(step[key])}`
+).join('');
+
+function AnchorMarker({ anchor }) {
+  const x = px(anchor.mw);
+  const y = py(anchor.concentration);
+  if (anchor.observed === 'windowEdge') {
+    // ▲ lower limit, ▼ upper limit
+    const d = anchor.edge === 'min' ? `M${x},${y - 7}L${x + 6},${y + 4}L${x - 6},${y + 4}Z` : `M${x},${y + 7}L${x + 6},${y - 4}L${x - 6},${y - 4}Z`;
+    return <path d={d} fill="#111827"><title>{anchor.source}</title></path>;
+  }
+  return (
+    <path d={`M${x},${y - 7}L${x + 7},${y}L${x},${y + 7}L${x - 7},${y}Z`} fill={MORPHOLOGY_COLORS[anchor.observed]} stroke="#111827" strokeWidth="1.5">
+      <title>{anchor.source}</title>
+    </path>
+  );
+}
+
+function PhaseDiagramPanel({ mw, concentration, voltage, flowRate, hydrolysis }) {
+  const regions = useMemo(() => phaseRegions({ voltage, flowRate, hydrolysis }), [voltage, flowRate, hydrolysis]);
+  const steps = useMemo(() => windowSteps({ hydrolysis }), [hydrolysis]);
+  const anchors = useMemo(() => anchorAgreement(), []);
+  const current = phaseClass({ mw, concentration, voltage, flowRate, hydrolysis });
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <MapIcon className="h-5 w-5 text-indigo-600" />
+          Process Window Map
+        </CardTitle>
+        <CardDescription>
+          Predicted fiber morphology over MW × concentration at the current voltage and flow rate, with the spinnable window for
+          the current degree of hydrolysis and literature observations
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label="MW versus concentration phase diagram">
+          <defs>
+            <pattern id="phase-hatch" width="6" height="6" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
+              <line x1="0" y1="0" x2="0" y2="6" stroke="#6b7280" strokeWidth="1" strokeOpacity="0.6" />
+            </pattern>
+          </defs>
+
+          {regions.map((region, i) => (
+            <rect
+              key={i}
+              x={px(region.mw0)}
+              y={py(region.c1)}
+              width={px(region.mw1) - px(region.mw0) + 0.5}
+              height={py(region.c0) - py(region.c1) + 0.5}
+              fill={PHASE_COLORS[region.morphology]}
+            />
+          ))}
+
+          {/* Outside the spinnable window */}
+          {steps.map((step, i) => (
+            <g key={i}>
+              <rect x={px(step.mw0)} y={py(step.minConc)} width={px(step.mw1) - px(step.mw0)} height={py(CONC_RANGE.min) - py(step.minConc)} fill="url(#phase-hatch)" />
+              <rect x={px(step.mw0)} y={py(CONC_RANGE.max)} width={px(step.mw1) - px(step.mw0)} height={py(step.maxConc) - py(CONC_RANGE.max)} fill="url(#phase-hatch)" />
+            </g>
+          ))}
+          <path d={stepPath(steps, 'minConc')} stroke="#111827" strokeWidth="2" strokeDasharray="6 3" fill="none" />
+          <path d={stepPath(steps, 'maxConc')} stroke="#111827" strokeWidth="2" strokeDasharray="6 3" fill="none" />
+          <text x={px(steps[0].mw0) + 4} y={py(steps[0].minConc) + 14} fontSize="11" fill="#111827">minConc</text>
+          <text x={px(steps[0].mw0) + 4} y={py(steps[0].maxConc) - 5} fontSize="11" fill="#111827">maxConc</text>
+
+          {anchors.map((anchor, i) => <AnchorMarker key={i} anchor={anchor} />)}
+
+          <circle cx={px(mw)} cy={py(concentration)} r="8" fill="none" stroke="#ef4444" strokeWidth="3" />
+          <circle cx={px(mw)} cy={py(concentration)} r="2.5" fill="#ef4444" />
+
+          <rect x={MARGIN.left} y={MARGIN.top} width={PLOT_W} height={PLOT_H} fill="none" stroke="#9ca3af" />
+          {MW_TICKS.map(tick => (
+            <text key={tick} x={px(tick)} y={MARGIN.top + PLOT_H + 16} fontSize="11" textAnchor="middle" fill="#4b5563">{tick / 1000}k</text>
+          ))}
+          {CONC_TICKS.map(tick => (
+            <text key={tick} x={MARGIN.left - 6} y={py(tick) + 4} fontSize="11" textAnchor="end" fill="#4b5563">{tick}</text>
+          ))}
+          <text x={MARGIN.left + PLOT_W / 2} y={HEIGHT - 12} fontSize="12" textAnchor="middle" fill="#374151">Molecular Weight (g/mol)</text>
+          <text x={16} y={MARGIN.top + PLOT_H / 2} fontSize="12" textAnchor="middle" fill="#374151" transform={`rotate(-90 16 ${MARGIN.top + PLOT_H / 2})`}>
+            PVA Concentration (wt%)
+          </text>
+        </svg>
+
+        <div className="flex flex-wrap gap-x-4 gap-y-2 text-xs">
+          {Object.entries(PHASE_CLASSES).map(([key, label]) => (
+            <span key={key} className={`flex items-center gap-1 ${key === current ? 'font-semibold' : ''}`}>
+              <span className="inline-block w-3 h-3 rounded-sm border" style={{ backgroundColor: PHASE_COLORS[key] }} />
+              {label}
+            </span>
+          ))}
+          <span className="flex items-center gap-1"><span className="inline-block w-3 h-3 border" style={{ background: 'repeating-linear-gradient(45deg, #fff 0 2px, #9ca3af 2px 3px)' }} />Outside spinnable window</span>
+          <span className="flex items-center gap-1"><span className="inline-block w-3 h-3 rounded-full border-2 border-red-500" />Current recipe</span>
+        </div>
+
+        <div>
+          <div className="text-sm font-medium mb-2">Literature observations (◆ morphology, ▲▼ reported window limits)</div>
+          <div className="space-y-1">
+            {anchors.map((anchor, i) => (
+              <div key={i} className="flex flex-wrap items-center gap-2 text-xs">
+                <Badge variant={anchor.agrees ? 'secondary' : 'destructive'}>{anchor.agrees ? 'Model agrees' : 'Model disagrees'}</Badge>
+                <span>{anchor.source}</span>
+                <span className="text-gray-500">
+                  {anchor.observed === 'windowEdge'
+                    ? `(model window ${anchor.window.minConc}–${anchor.window.maxConc} wt%)`
+                    : `(model: ${MORPHOLOGIES[anchor.predicted].toLowerCase()})`}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default PhaseDiagramPanel;
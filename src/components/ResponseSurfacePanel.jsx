@@ -0,0 +1,201 @@
+import React, { useMemo, useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Select, SelectContent, SelectGroup, SelectItem, SelectLabel, SelectTrigger, SelectValue } from './ui/select';
+import { Label } from './ui/label';
+import { Grid3x3 } from 'lucide-react';
+import { PARAMETER_KEYS, PARAMETER_RANGES } from '../lib/predictor';
+import { METRICS, METRIC_GROUPS, metricLabel } from '../lib/metrics';
+import { responseSurface, contourLevels, contourSegments } from '../lib/surface';
+import { useEngine } from '../hooks/use-engine';
+
+const WIDTH = 640;
+const HEIGHT = 420;
+const MARGIN = { top: 10, right: 90, bottom: 50, left: 70 };
+const PLOT_W = WIDTH - MARGIN.left - MARGIN.right;
+const PLOT_H = HEIGHT - MARGIN.top - MARGIN.bottom;
+
+// Viridis-like ramp from low (dark purple) to high (yellow)
+const RAMP = [[68, 1, 84], [59, 82, 139], [33, 145, 140], [94, 201, 98], [253, 231, 37]];
+
+function colorFor(t) {
+  const scaled = Math.max(0, Math.min(1, t)) * (RAMP.length - 1);
+  const i = Math.min(RAMP.length - 2, Math.floor(scaled));
+  const f = scaled - i;
+  const [r, g, b] = RAMP[i].map((c, k) => Math.round(c + (RAMP[i + 1][k] - c) * f));
+  return `rgb(${r}, ${g}, ${b})`;
+}
+
+const formatInput = (key, value) => (key === 'mw' ? `${value / 1000}k` : String(value));
+
+const formatValue = (value) => (Math.abs(value) >= 100 ? Math.round(value).toString() : value.toFixed(1));
+
+function InputPicker({ label, value, onChange }) {
+  return (
+    <div className="space-y-1">
+      <Label className="text-xs text-gray-600">{label}</Label>
+      <Select value={value} onValueChange={onChange}>
+        <SelectTrigger className="w-full">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          {PARAMETER_KEYS.map(key => (
+            <SelectItem key={key} value={key}>{PARAMETER_RANGES[key].label}</SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+    </div>
+  );
+}
+
+function ResponseSurfacePanel({ params, onSetParams }) {
+  const engine = useEngine();
+  const [xKey, setXKey] = useState('mw');
+  const [yKey, setYKey] = useState('concentration');
+  const [output, setOutput] = useState('applicationScores.cartilageRepair');
+
+  const { mw, concentration, voltage, flowRate, distance, hydrolysis } = params;
+  const surface = useMemo(
+    () => responseSurface(xKey, yKey, output, { mw, concentration, voltage, flowRate, distance, hydrolysis }, engine),
+    [xKey, yKey, output, mw, concentration, voltage, flowRate, distance, hydrolysis, engine]
+  );
+  const levels = contourLevels(surface.min, surface.max);
+
+  // Picking the other axis's input swaps the two
+  const chooseX = (key) => {
+    if (key === yKey) setYKey(xKey);
+    setXKey(key);
+  };
+  const chooseY = (key) => {
+    if (key === xKey) setXKey(yKey);
+    setYKey(key);
+  };
+
+  // Grid nodes sit at cell centres, so the axes extend half a step past each end
+  const xStep = PARAMETER_RANGES[xKey].step;
+  const yStep = PARAMETER_RANGES[yKey].step;
+  const xMin = surface.xs[0] - xStep / 2;
+  const xSpan = surface.xs[surface.xs.length - 1] - surface.xs[0] + xStep;
+  const yMin = surface.ys[0] - yStep / 2;
+  const ySpan = surface.ys[surface.ys.length - 1] - surface.ys[0] + yStep;
+  const px = (x) => MARGIN.left + (x - xMin) / xSpan * PLOT_W;
+  const py = (y) => MARGIN.top + PLOT_H - (y - yMin) / ySpan * PLOT_H;
+  const cellW = PLOT_W / surface.xs.length;
+  const cellH = PLOT_H / surface.ys.length;
+  const range = surface.max - surface.min || 1;
+
+  const tickEvery = (count) => Math.max(1, Math.ceil(count / 7));
+  const xTicks = surface.xs.filter((_, i) => i % tickEvery(surface.xs.length) === 0);
+  const yTicks = surface.ys.filter((_, i) => i % tickEvery(surface.ys.length) === 0);
+  const outOfWindow = surface.inWindow.some(row => row.some(inside => !inside));
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Grid3x3 className="h-5 w-5 text-teal-600" />
+          Response Surface
+        </CardTitle>
+        <CardDescription>
+          Any output over two inputs at slider resolution, other inputs held at the current settings. Click a cell to set both sliders.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <InputPicker label="X axis" value={xKey} onChange={chooseX} />
+          <InputPicker label="Y axis" value={yKey} onChange={chooseY} />
+          <div className="space-y-1">
+            <Label className="text-xs text-gray-600">Output</Label>
+            <Select value={output} onValueChange={setOutput}>
+              <SelectTrigger className="w-full">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(METRIC_GROUPS).map(([group, groupLabel]) => (
+                  <SelectGroup key={group}>
+                    <SelectLabel>{groupLabel}</SelectLabel>
+                    {METRICS.filter(metric => metric.group === group).map(metric => (
+                      <SelectItem key={metric.id} value={metric.id}>{metricLabel(metric.id)}</SelectItem>
+                    ))}
+                  </SelectGroup>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
+
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto select-none" role="img" aria-label={`${metricLabel(output)} response surface`}>
+          <defs>
+            <pattern id="surface-hatch" width="6" height="6" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
+              <line x1="0" y1="0" x2="0" y2="6" stroke="#111827" strokeWidth="1.5" strokeOpacity="0.55" />
+            </pattern>
+            <linearGradient id="surface-ramp" x1="0" y1="1" x2="0" y2="0">
+              {RAMP.map((_, i) => (
+                <stop key={i} offset={i / (RAMP.length - 1)} stopColor={colorFor(i / (RAMP.length - 1))} />
+              ))}
+            </linearGradient>
+          </defs>
+
+          {surface.values.map((row, j) => row.map((value, i) => {
+            const x = px(surface.xs[i]) - cellW / 2;
+            const y = py(surface.ys[j]) - cellH / 2;
+            return (
+              <g key={`${i}-${j}`} className="cursor-pointer" onClick={() => onSetParams({ ...params, [xKey]: surface.xs[i], [yKey]: surface.ys[j] })}>
+                <rect x={x} y={y} width={cellW + 0.5} height={cellH + 0.5} fill={colorFor((value - surface.min) / range)} />
+                {!surface.inWindow[j][i] && <rect x={x} y={y} width={cellW + 0.5} height={cellH + 0.5} fill="url(#surface-hatch)" />}
+                <title>
+                  {`${PARAMETER_RANGES[xKey].label}: ${formatInput(xKey, surface.xs[i])}, ${PARAMETER_RANGES[yKey].label}: ${formatInput(yKey, surface.ys[j])} → ${formatValue(value)}${surface.inWindow[j][i] ? '' : ' (outside window)'}`}
+                </title>
+              </g>
+            );
+          }))}
+
+          {levels.map(level => (
+            <path
+              key={level}
+              d={contourSegments(surface, level).map(([[x1, y1], [x2, y2]]) => `M${px(x1)},${py(y1)}L${px(x2)},${py(y2)}`).join('')}
+              stroke="white"
+              strokeWidth="1"
+              strokeOpacity="0.85"
+              fill="none"
+              pointerEvents="none"
+            />
+          ))}
+
+          <g pointerEvents="none">
+            <circle cx={px(params[xKey])} cy={py(params[yKey])} r="7" fill="none" stroke="#ef4444" strokeWidth="3" />
+            <circle cx={px(params[xKey])} cy={py(params[yKey])} r="2" fill="#ef4444" />
+          </g>
+
+          <rect x={MARGIN.left} y={MARGIN.top} width={PLOT_W} height={PLOT_H} fill="none" stroke="#9ca3af" />
+          {xTicks.map(x => (
+            <text key={x} x={px(x)} y={MARGIN.top + PLOT_H + 16} fontSize="11" textAnchor="middle" fill="#4b5563">{formatInput(xKey, x)}</text>
+          ))}
+          {yTicks.map(y => (
+            <text key={y} x={MARGIN.left - 6} y={py(y) + 4} fontSize="11" textAnchor="end" fill="#4b5563">{formatInput(yKey, y)}</text>
+          ))}
+          <text x={MARGIN.left + PLOT_W / 2} y={HEIGHT - 12} fontSize="12" textAnchor="middle" fill="#374151">
+            {PARAMETER_RANGES[xKey].label} ({PARAMETER_RANGES[xKey].unit})
+          </text>
+          <text x={16} y={MARGIN.top + PLOT_H / 2} fontSize="12" textAnchor="middle" fill="#374151" transform={`rotate(-90 16 ${MARGIN.top + PLOT_H / 2})`}>
+            {PARAMETER_RANGES[yKey].label} ({PARAMETER_RANGES[yKey].unit})
+          </text>
+
+          <rect x={WIDTH - 70} y={MARGIN.top} width="14" height={PLOT_H} fill="url(#surface-ramp)" />
+          {levels.map(level => {
+            const y = MARGIN.top + PLOT_H - (level - surface.min) / range * PLOT_H;
+            return <line key={level} x1={WIDTH - 70} x2={WIDTH - 56} y1={y} y2={y} stroke="white" />;
+          })}
+          <text x={WIDTH - 50} y={MARGIN.top + 10} fontSize="11" fill="#4b5563">{formatValue(surface.max)}</text>
+          <text x={WIDTH - 50} y={MARGIN.top + PLOT_H} fontSize="11" fill="#4b5563">{formatValue(surface.min)}</text>
+        </svg>
+
+        <p className="text-xs text-gray-600">
+          White lines are contours of equal value; the red ring marks the current recipe.
+          {outOfWindow && ' Hatched cells fall outside the MW-dependent spinnable concentration window.'}
+        </p>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default ResponseSurfacePanel;
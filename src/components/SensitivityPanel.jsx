@@ -0,0 +1,149 @@
+import React, { useMemo, useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Button } from './ui/button';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { SlidersHorizontal, Download } from 'lucide-react';
+import { PARAMETER_KEYS, PARAMETER_RANGES } from '../lib/predictor';
+import { METRIC_GROUPS } from '../lib/metrics';
+import { sobolIndices, sensitivityRows } from '../lib/sensitivity';
+import { downloadCSV } from '../lib/spreadsheet';
+import { useEngine } from '../hooks/use-engine';
+
+const cellStyle = (value) => ({
+  backgroundColor: `rgba(37, 99, 235, ${value.toFixed(3)})`,
+  color: value > 0.5 ? 'white' : undefined
+});
+
+function SensitivityPanel() {
+  const engine = useEngine();
+  const [order, setOrder] = useState('totalOrder');
+  const [selectedId, setSelectedId] = useState('architecture.tensileStrength');
+
+  const analysis = useMemo(() => sobolIndices({ engine }), [engine]);
+  const selected = analysis.outputs.find(output => output.id === selectedId);
+
+  const selectedBars = PARAMETER_KEYS.map(key => ({
+    label: PARAMETER_RANGES[key].label,
+    firstOrder: Number(selected.firstOrder[key].toFixed(3)),
+    totalOrder: Number(selected.totalOrder[key].toFixed(3))
+  })).sort((a, b) => b.totalOrder - a.totalOrder);
+
+  // Average total-order index across every analysed output
+  const overallBars = PARAMETER_KEYS.map(key => ({
+    label: PARAMETER_RANGES[key].label,
+    totalOrder: Number((analysis.outputs.reduce((sum, output) => sum + output.totalOrder[key], 0) / analysis.outputs.length).toFixed(3))
+  })).sort((a, b) => b.totalOrder - a.totalOrder);
+
+  const interaction = Math.max(0, 1 - PARAMETER_KEYS.reduce((sum, key) => sum + selected.firstOrder[key], 0));
+
+  const groups = [...new Set(analysis.outputs.map(output => output.id.split('.')[0]))];
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <SlidersHorizontal className="h-5 w-5 text-blue-600" />
+          Global Sensitivity Analysis (Sobol Indices)
+        </CardTitle>
+        <CardDescription>
+          Share of each output's variance explained by each input when all inputs vary uniformly over their slider ranges
+          ({analysis.evaluations.toLocaleString()} model evaluations)
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="flex flex-wrap items-center gap-3">
+          <Select value={order} onValueChange={setOrder}>
+            <SelectTrigger className="w-56">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="totalOrder">Total-order index (ST)</SelectItem>
+              <SelectItem value="firstOrder">First-order index (S1)</SelectItem>
+            </SelectContent>
+          </Select>
+          <Button variant="outline" onClick={() => downloadCSV(sensitivityRows(analysis), 'sobol-indices.csv')}>
+            <Download /> Export CSV
+          </Button>
+          <span className="text-xs text-gray-500">Click a row to see its ranked breakdown.</span>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm border-collapse">
+            <thead>
+              <tr>
+                <th className="text-left font-medium p-2">Output</th>
+                {PARAMETER_KEYS.map(key => (
+                  <th key={key} className="font-medium p-2 text-center">{PARAMETER_RANGES[key].shortLabel}</th>
+                ))}
+              </tr>
+            </thead>
+            {groups.map(group => (
+              <tbody key={group}>
+                <tr>
+                  <td colSpan={PARAMETER_KEYS.length + 1} className="pt-3 pb-1 px-2 text-xs font-semibold text-gray-500 uppercase">
+                    {METRIC_GROUPS[group]}
+                  </td>
+                </tr>
+                {analysis.outputs.filter(output => output.id.startsWith(`${group}.`)).map(output => (
+                  <tr
+                    key={output.id}
+                    onClick={() => setSelectedId(output.id)}
+                    className={`cursor-pointer hover:outline hover:outline-1 hover:outline-blue-300 ${output.id === selectedId ? 'outline outline-2 outline-blue-500' : ''}`}
+                  >
+                    <td className="p-2 whitespace-nowrap">{output.label}</td>
+                    {PARAMETER_KEYS.map(key => (
+                      <td key={key} className="p-2 text-center tabular-nums border border-white" style={cellStyle(output[order][key])}>
+                        {output[order][key].toFixed(2)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            ))}
+          </table>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div>
+            <div className="text-sm font-medium mb-2">{selected.label}: ranked inputs</div>
+            <ResponsiveContainer width="100%" height={240}>
+              <BarChart data={selectedBars} layout="vertical">
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis type="number" domain={[0, 1]} />
+                <YAxis type="category" dataKey="label" width={170} />
+                <Tooltip />
+                <Legend />
+                <Bar dataKey="firstOrder" fill="#93c5fd" name="First-order (S1)" />
+                <Bar dataKey="totalOrder" fill="#2563eb" name="Total-order (ST)" />
+              </BarChart>
+            </ResponsiveContainer>
+            <p className="text-xs text-gray-500">
+              About {Math.round(interaction * 100)}% of this output's variance comes from interactions between inputs (1 − ΣS1).
+            </p>
+          </div>
+          <div>
+            <div className="text-sm font-medium mb-2">Overall ranking (mean total-order index across all outputs)</div>
+            <ResponsiveContainer width="100%" height={240}>
+              <BarChart data={overallBars} layout="vertical">
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis type="number" domain={[0, 1]} />
+                <YAxis type="category" dataKey="label" width={170} />
+                <Tooltip />
+                <Bar dataKey="totalOrder" fill="#1e40af" name="Mean ST" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+
+        <p className="text-xs text-gray-600">
+          S1 is the variance an input explains on its own; ST adds every interaction it takes part in. An input with ST near 0 can be fixed
+          anywhere in its range without changing that output. Indices are estimated with Saltelli sampling over the full slider ranges,
+          including concentrations outside the spinnable window.
+        </p>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default SensitivityPanel;
@@ -0,0 +1,347 @@
+import React, { useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Checkbox } from './ui/checkbox';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Button } from './ui/button';
+import { Alert, AlertDescription } from './ui/alert';
+import { BarChart, Bar, LineChart, Line, Legend, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { GraduationCap, AlertCircle, Upload, BookOpen, Play, Plus, Download } from 'lucide-react';
+import { ARCHITECTURE_PROPERTIES, PARAMETER_RANGES } from '../lib/predictor';
+import { LEARNERS, LEARNER_DEFAULTS, TRAINING_MODES, MIN_ROWS, datasetFromRecords, datasetFromEntries, targetCounts, trainModel } from '../lib/training';
+import { LOGBOOK_STORAGE_KEY } from '../lib/logbook';
+import { loadJSON } from '../lib/storage';
+import { readSpreadsheetFile, downloadJSON } from '../lib/spreadsheet';
+import { useEngine } from '../hooks/use-engine';
+
+const OPTION_LABELS = {
+  trees: 'Trees',
+  rounds: 'Boosting rounds',
+  learningRate: 'Learning rate',
+  maxDepth: 'Max depth',
+  minLeaf: 'Min rows per leaf'
+};
+
+// Models larger than this may not fit in browser storage next to everything else
+const STORAGE_WARNING_BYTES = 2e6;
+
+const format = (value, digits = 2) => (value === null ? '—' : value.toFixed(digits));
+
+function TrainingPanel({ onAdd }) {
+  const engine = useEngine();
+  const [dataset, setDataset] = useState(null);
+  const [type, setType] = useState('gradientBoosting');
+  const [mode, setMode] = useState('augment');
+  const [options, setOptions] = useState(LEARNER_DEFAULTS);
+  const [folds, setFolds] = useState('5');
+  const [seed, setSeed] = useState('1');
+  const [properties, setProperties] = useState([]);
+  const [result, setResult] = useState(null);
+  const [property, setProperty] = useState('');
+  const [name, setName] = useState('Lab GBM');
+  const [training, setTraining] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const loadRows = (rows, label, skipped = []) => {
+    const counts = targetCounts(rows);
+    if (counts.length === 0) throw new Error('No rows with measured Stage 1 properties found');
+    setDataset({ rows, label, counts });
+    setProperties(counts.filter(({ n }) => n >= MIN_ROWS).map(({ property: key }) => key));
+    setResult(null);
+    setError('');
+    setNotice(skipped.length ? `Skipped ${skipped.length} row${skipped.length === 1 ? '' : 's'}: ${skipped.join('; ')}` : '');
+  };
+
+  const loadLogbook = () => {
+    try {
+      const entries = loadJSON(LOGBOOK_STORAGE_KEY, []);
+      if (entries.length === 0) throw new Error('The experiment logbook is empty; add entries there or upload a file');
+      loadRows(datasetFromEntries(entries), 'experiment logbook');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const loadFile = async (file) => {
+    if (!file) return;
+    try {
+      const { rows, errors } = datasetFromRecords(await readSpreadsheetFile(file));
+      loadRows(rows, file.name, errors);
+    } catch (err) {
+      setError(`Could not read ${file.name}: ${err.message}`);
+    }
+  };
+
+  const updateOption = (key, value) => setOptions(prev => ({ ...prev, [type]: { ...prev[type], [key]: value } }));
+
+  const toggleProperty = (key, checked) => {
+    setProperties(prev => (checked ? Object.keys(ARCHITECTURE_PROPERTIES).filter(k => k === key || prev.includes(k)) : prev.filter(k => k !== key)));
+  };
+
+  const changeType = (value) => {
+    setType(value);
+    setName(`Lab ${{ randomForest: 'RF', gradientBoosting: 'GBM', gaussianProcess: 'GP' }[value]}`);
+  };
+
+  const train = () => {
+    const parsed = Object.fromEntries(Object.entries(options[type]).map(([key, value]) => [key, Number(value)]));
+    const invalid = Object.entries(parsed).find(([, value]) => !(value > 0));
+    if (invalid) {
+      setError(`${OPTION_LABELS[invalid[0]]} must be a positive number`);
+      return;
+    }
+    setTraining(true);
+    setError('');
+    // Let the "Training…" state paint before the synchronous fit blocks the page
+    setTimeout(() => {
+      try {
+        const trained = trainModel(dataset.rows, {
+          name: name.trim() || LEARNERS[type],
+          type,
+          mode,
+          properties,
+          options: parsed,
+          folds: parseInt(folds, 10),
+          seed: parseInt(seed, 10) || 1,
+          engine
+        });
+        setResult(trained);
+        setProperty(trained.properties[0].property);
+        const bytes = JSON.stringify(trained.spec).length;
+        setNotice(bytes > STORAGE_WARNING_BYTES
+          ? `The model is ${(bytes / 1e6).toFixed(1)} MB and may not fit in browser storage; download the JSON to keep it, or use fewer trees.`
+          : '');
+      } catch (err) {
+        setResult(null);
+        setError(err.message);
+      }
+      setTraining(false);
+    }, 20);
+  };
+
+  const spec = result && { ...result.spec, name: name.trim() };
+
+  const addModel = () => {
+    if (!spec.name) {
+      setError('Give the model a name');
+      return;
+    }
+    onAdd(spec);
+    setError('');
+    setNotice(`Added "${spec.name}". Select it as the Stage 1 model below to use it everywhere.`);
+  };
+
+  const shown = result?.properties.find(item => item.property === property);
+  const importance = shown?.importance.map(({ key, importance: share }) => ({ label: PARAMETER_RANGES[key].label, share: share * 100 }));
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <GraduationCap className="h-5 w-5 text-indigo-600" />
+          Train a Stage 1 Model
+        </CardTitle>
+        <CardDescription>
+          Fit a random forest, gradient-boosted ensemble or Gaussian process to your measurements, entirely in the browser.
+          Cross-validation shows whether it beats the formulas before you switch to it.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-wrap items-center gap-2">
+          <Button variant="outline" onClick={loadLogbook}>
+            <BookOpen /> Use experiment logbook
+          </Button>
+          <label className="inline-flex">
+            <span className="inline-flex items-center gap-2 rounded-md border px-3 h-9 text-sm cursor-pointer hover:bg-gray-50">
+              <Upload className="h-4 w-4" /> Upload CSV/XLSX
+            </span>
+            <input
+              type="file"
+              accept=".csv,.xlsx,.xls"
+              className="hidden"
+              onChange={(e) => { loadFile(e.target.files[0]); e.target.value = ''; }}
+            />
+          </label>
+          {dataset && <span className="text-sm text-gray-600">{dataset.rows.length} rows from {dataset.label}</span>}
+        </div>
+        <p className="text-xs text-gray-500">
+          Files need the five process columns (mw, concentration, voltage, flowRate, distance), optionally hydrolysis, and one column per measured property,
+          named after the property (e.g. fiberDiameter) or as in the logbook export (measured_fiberDiameter).
+        </p>
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+        {notice && (
+          <Alert>
+            <AlertDescription>{notice}</AlertDescription>
+          </Alert>
+        )}
+
+        {dataset && (
+          <>
+            <div className="flex flex-wrap items-end gap-3">
+              <div className="space-y-1">
+                <Label className="text-xs text-gray-600">Learner</Label>
+                <Select value={type} onValueChange={changeType}>
+                  <SelectTrigger className="w-48">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(LEARNERS).map(([key, label]) => (
+                      <SelectItem key={key} value={key}>{label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-1">
+                <Label className="text-xs text-gray-600">Mode</Label>
+                <Select value={mode} onValueChange={setMode}>
+                  <SelectTrigger className="w-64">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(TRAINING_MODES).map(([key, label]) => (
+                      <SelectItem key={key} value={key}>{label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              {Object.entries(options[type]).map(([key, value]) => (
+                <div key={key} className="space-y-1">
+                  <Label className="text-xs text-gray-600">{OPTION_LABELS[key]}</Label>
+                  <Input type="number" value={value} onChange={(e) => updateOption(key, e.target.value)} className="w-28" />
+                </div>
+              ))}
+              <div className="space-y-1">
+                <Label className="text-xs text-gray-600">CV folds</Label>
+                <Input type="number" min="2" value={folds} onChange={(e) => setFolds(e.target.value)} className="w-20" />
+              </div>
+              <div className="space-y-1">
+                <Label className="text-xs text-gray-600">Seed</Label>
+                <Input type="number" value={seed} onChange={(e) => setSeed(e.target.value)} className="w-20" />
+              </div>
+            </div>
+
+            <div className="flex flex-wrap gap-x-4 gap-y-2">
+              {dataset.counts.map(({ property: key, n }) => (
+                <label key={key} className={`flex items-center gap-2 text-sm ${n < MIN_ROWS ? 'text-gray-400' : ''}`}>
+                  <Checkbox
+                    checked={properties.includes(key)}
+                    disabled={n < MIN_ROWS}
+                    onCheckedChange={(checked) => toggleProperty(key, checked === true)}
+                  />
+                  {ARCHITECTURE_PROPERTIES[key].label} ({n})
+                </label>
+              ))}
+            </div>
+
+            <Button onClick={train} disabled={training || properties.length === 0}>
+              <Play /> {training ? 'Training…' : 'Train and cross-validate'}
+            </Button>
+          </>
+        )}
+
+        {result && (
+          <>
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Property</TableHead>
+                  <TableHead>n</TableHead>
+                  <TableHead>CV R²</TableHead>
+                  <TableHead>CV RMSE</TableHead>
+                  <TableHead>Formulas R²</TableHead>
+                  <TableHead>Formulas RMSE</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {result.properties.map(({ property: key, n, cv, baseline }) => (
+                  <TableRow key={key}>
+                    <TableCell className="font-medium">{ARCHITECTURE_PROPERTIES[key].label} ({ARCHITECTURE_PROPERTIES[key].unit})</TableCell>
+                    <TableCell>{n}</TableCell>
+                    <TableCell>{format(cv.r2)}</TableCell>
+                    <TableCell className={cv.rmse < baseline.rmse ? 'text-green-700 font-medium' : 'text-orange-600'}>{format(cv.rmse)}</TableCell>
+                    <TableCell className="text-gray-500">{format(baseline.r2)}</TableCell>
+                    <TableCell className="text-gray-500">{format(baseline.rmse)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+
+            <div className="space-y-1">
+              <Label className="text-xs text-gray-600">Diagnostics for</Label>
+              <Select value={property} onValueChange={setProperty}>
+                <SelectTrigger className="w-56">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {result.properties.map(({ property: key }) => (
+                    <SelectItem key={key} value={key}>{ARCHITECTURE_PROPERTIES[key].label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+              <div>
+                <div className="text-sm font-medium mb-1">Permutation feature importance</div>
+                <ResponsiveContainer width="100%" height={240}>
+                  <BarChart data={importance} layout="vertical" margin={{ left: 10, right: 20 }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis type="number" unit="%" />
+                    <YAxis type="category" dataKey="label" width={170} />
+                    <Tooltip formatter={(value) => [`${value.toFixed(1)}%`, 'Share of error increase']} />
+                    <Bar dataKey="share" fill="#6366f1" />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+              <div>
+                <div className="text-sm font-medium mb-1">Learning curve (RMSE, {ARCHITECTURE_PROPERTIES[property].unit})</div>
+                <ResponsiveContainer width="100%" height={240}>
+                  <LineChart data={shown.curve} margin={{ top: 10, right: 20, bottom: 20, left: 10 }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="size" type="number" domain={['dataMin', 'dataMax']} label={{ value: 'Training rows', position: 'insideBottom', offset: -10 }} />
+                    <YAxis domain={[0, 'auto']} tickFormatter={(value) => Number(value.toFixed(1))} />
+                    <Tooltip formatter={(value, label) => [value.toFixed(2), label]} labelFormatter={(value) => `${value} training rows`} />
+                    <Legend verticalAlign="top" />
+                    <Line dataKey="trainRMSE" name="Training" stroke="#6366f1" isAnimationActive={false} />
+                    <Line dataKey="validationRMSE" name="Cross-validation" stroke="#d97706" isAnimationActive={false} />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+
+            <div className="flex flex-wrap items-end gap-2">
+              <div className="space-y-1">
+                <Label className="text-xs text-gray-600">Model name</Label>
+                <Input value={name} onChange={(e) => setName(e.target.value)} className="w-56" />
+              </div>
+              <Button onClick={addModel}>
+                <Plus /> Add to models
+              </Button>
+              <Button variant="outline" onClick={() => downloadJSON(spec, `${spec.name || 'model'}.json`)}>
+                <Download /> Download JSON
+              </Button>
+            </div>
+          </>
+        )}
+
+        <p className="text-xs text-gray-500">
+          Each property gets its own learner, trained on the rows that measured it. In correction mode the learner fits
+          measured − formula, so it falls back to the formulas away from your data; in replace mode it predicts the property
+          directly. R² and RMSE are out-of-fold, and the formula columns are scored on the same rows. Importance is the share of
+          the error increase when one input is shuffled. A validation curve still falling at the right means more runs would help.
+        </p>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default TrainingPanel;
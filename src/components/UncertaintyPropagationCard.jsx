@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { APPLICATIONS, CELL_TYPES } from '../lib/predictor';
+import { formatLineage } from '../lib/montecarlo';
+
+const SCORE_LABELS = {
+  ...Object.fromEntries(Object.entries(APPLICATIONS).map(([key, label]) => [`applicationScores.${key}`, label])),
+  ...Object.fromEntries(Object.entries(CELL_TYPES).map(([key, label]) => [`cellScores.${key}`, label]))
+};
+
+const rangeRows = (group, labels) => Object.entries(labels).map(([key, label]) => ({
+  name: label,
+  range: [Math.round(group[key].p05), Math.round(group[key].p95)],
+  median: Math.round(group[key].p50)
+}));
+
+const RangeTooltip = ({ active, payload }) => {
+  if (!active || !payload?.length) return null;
+  const { name, range, median } = payload[0].payload;
+  return (
+    <div className="bg-white border rounded p-2 text-xs shadow">
+      <div className="font-semibold">{name}</div>
+      <div>Median {median}, 90% range {range[0]}–{range[1]}</div>
+    </div>
+  );
+};
+
+function UncertaintyPropagationCard({ propagation }) {
+  const [selectedScore, setSelectedScore] = useState('applicationScores.cartilageRepair');
+
+  const lineageData = Object.entries(propagation.lineage).map(([lineage, p]) => ({
+    lineage,
+    probability: Math.round(p * 1000) / 10
+  }));
+
+  const [group, key] = selectedScore.split('.');
+  const histogramData = propagation[group][key].histogram.map(bin => ({
+    bin: `${bin.from.toFixed(0)}–${bin.to.toFixed(0)}`,
+    probability: Math.round(bin.probability * 1000) / 10
+  }));
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-base">Stage 1 → Stage 2 Uncertainty Propagation</CardTitle>
+        <CardDescription>
+          Monte Carlo ({propagation.samples} draws) of Stage 1 prediction error through the biological thresholds and scoring rules
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div>
+          <p className="text-sm mb-2">
+            <span className="font-medium">MSC lineage:</span> {formatLineage(propagation.lineage)}
+          </p>
+          <ResponsiveContainer width="100%" height={180}>
+            <BarChart data={lineageData} layout="vertical">
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis type="number" domain={[0, 100]} unit="%" />
+              <YAxis type="category" dataKey="lineage" width={160} />
+              <Tooltip formatter={(value) => [`${value}%`, 'Probability']} />
+              <Bar dataKey="probability" fill="#8b5cf6" />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div>
+            <div className="text-sm font-medium mb-2">Application scores (5th–95th percentile)</div>
+            <ResponsiveContainer width="100%" height={260}>
+              <BarChart data={rangeRows(propagation.applicationScores, APPLICATIONS)} layout="vertical">
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis type="number" domain={[0, 100]} />
+                <YAxis type="category" dataKey="name" width={140} />
+                <Tooltip content={<RangeTooltip />} />
+                <Bar dataKey="range" fill="#10b981" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+          <div>
+            <div className="text-sm font-medium mb-2">Cell scores (5th–95th percentile)</div>
+            <ResponsiveContainer width="100%" height={260}>
+              <BarChart data={rangeRows(propagation.cellScores, CELL_TYPES)} layout="vertical">
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis type="number" domain={[0, 100]} />
+                <YAxis type="category" dataKey="name" width={140} />
+                <Tooltip content={<RangeTooltip />} />
+                <Bar dataKey="range" fill="#3b82f6" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <div className="text-sm font-medium">Score distribution</div>
+            <Select value={selectedScore} onValueChange={setSelectedScore}>
+              <SelectTrigger className="w-56">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(SCORE_LABELS).map(([value, label]) => (
+                  <SelectItem key={value} value={value}>{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <ResponsiveContainer width="100%" height={220}>
+            <BarChart data={histogramData}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="bin" />
+              <YAxis unit="%" />
+              <Tooltip formatter={(value) => [`${value}%`, 'Share of draws']} />
+              <Bar dataKey="probability" fill="#f59e0b" />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default UncertaintyPropagationCard;
@@ -0,0 +1,10 @@
+import { createContext, useContext } from 'react';
+import { DEFAULT_ENGINE } from '../lib/predictor';
+
+// The prediction engine panels run their analyses with: the active Stage 1
+// coefficient set, trained models and fiber diameter law. App provides it.
+export const EngineContext = createContext(DEFAULT_ENGINE);
+
+export function useEngine() {
+  return useContext(EngineContext);
+}
@@ -0,0 +1,65 @@
+// Per-prediction attribution: exact Shapley values for the inputs,
+// measured against a reference recipe, plus the formula thresholds and
+// clamps the recipe triggered.
+
+import { DEFAULT_ENGINE, DEFAULT_PARAMETERS, PARAMETER_KEYS, predictWith } from './predictor.js';
+import { METRICS, METRICS_BY_ID, metricValue } from './metrics.js';
+import { THRESHOLD_RULES } from './thresholds.js';
+
+const factorial = (n) => (n <= 1 ? 1 : n * factorial(n - 1));
+
+// Returns { baseline, result, reference, contributions: { [metricId]: { mw, concentration, ... } } }.
+// For every metric the contributions sum to result − reference.
+export function shapleyAttribution(params, baseline = DEFAULT_PARAMETERS, engine = DEFAULT_ENGINE) {
+  const n = PARAMETER_KEYS.length;
+
+  // One model run per coalition: inputs in the mask take the recipe's value,
+  // the rest stay at the baseline (2^6 = 64 runs)
+  const coalitions = Array.from({ length: 1 << n }, (_, mask) => predictWith(Object.fromEntries(
+    PARAMETER_KEYS.map((key, i) => [key, mask & (1 << i) ? params[key] : baseline[key]])
+  ), engine));
+
+  const popcount = (mask) => PARAMETER_KEYS.reduce((count, _, i) => count + ((mask >> i) & 1), 0);
+  const weights = Array.from({ length: n }, (_, size) => factorial(size) * factorial(n - size - 1) / factorial(n));
+
+  const contributions = Object.fromEntries(METRICS.map(({ id }) => {
+    const values = coalitions.map(result => metricValue(result, id));
+    return [id, Object.fromEntries(PARAMETER_KEYS.map((key, i) => {
+      const bit = 1 << i;
+      let phi = 0;
+      for (let mask = 0; mask < coalitions.length; mask++) {
+        if (mask & bit) continue;
+        phi += weights[popcount(mask)] * (values[mask | bit] - values[mask]);
+      }
+      return [key, phi];
+    }))];
+  }));
+
+  return {
+    baseline,
+    result: coalitions[coalitions.length - 1],
+    reference: coalitions[0],
+    contributions
+  };
+}
+
+// Thresholds and clamps behind one metric's value: [{ condition, fired, effect }]
+export function triggeredThresholds(id, result, params) {
+  const rules = (THRESHOLD_RULES[id] ?? []).map(({ condition, test, effect, otherwise }) => {
+    const fired = test(result.architecture, params);
+    return { condition, fired, effect: fired ? effect : otherwise };
+  });
+
+  // Every output is clamped to its documented range; say so when it hit a bound
+  const { min, max, unit } = METRICS_BY_ID[id];
+  const value = metricValue(result, id);
+  if (value <= min || value >= max) {
+    const bound = value <= min ? min : max;
+    rules.push({
+      condition: `clamp to ${min}–${max}${unit ? ` ${unit}` : ''}`,
+      fired: true,
+      effect: `held at the ${value <= min ? 'lower' : 'upper'} bound (${bound})`
+    });
+  }
+  return rules;
+}
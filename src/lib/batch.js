@@ -0,0 +1,112 @@
+// Batch prediction over many recipes (CSV rows, API payloads, uploaded sheets).
+
+import { DEFAULT_ENGINE, DEFAULT_PARAMETERS, OPTIONAL_PARAMETERS, PARAMETER_KEYS, PARAMETER_RANGES, predictWith } from './predictor.js';
+
+// Read the processing parameters from a loosely-typed record.
+// Header matching is case-insensitive so "MW" or "FlowRate" columns work.
+// Optional inputs (degree of hydrolysis) default when the column is absent or the cell is blank.
+export function normalizeRecipe(record) {
+  if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+    return { params: {}, errors: ['must be an object'], warnings: [] };
+  }
+  const lookup = Object.fromEntries(
+    Object.entries(record).map(([key, value]) => [key.trim().toLowerCase(), value])
+  );
+
+  const params = {};
+  const errors = [];
+  const warnings = [];
+
+  for (const key of PARAMETER_KEYS) {
+    const raw = lookup[key.toLowerCase()];
+    const value = typeof raw === 'number' ? raw : parseFloat(raw);
+    const range = PARAMETER_RANGES[key];
+
+    if ((raw === undefined || raw === null || raw === '') && OPTIONAL_PARAMETERS.includes(key)) {
+      params[key] = DEFAULT_PARAMETERS[key];
+      continue;
+    }
+    if (raw === undefined || raw === '' || Number.isNaN(value)) {
+      errors.push(`Missing or non-numeric ${key}`);
+      continue;
+    }
+    if (value < range.min || value > range.max) {
+      warnings.push(`${range.label} ${value} ${range.unit} is outside the model range (${range.min}-${range.max}); extrapolating`);
+    }
+    params[key] = value;
+  }
+
+  return { params, errors, warnings };
+}
+
+// Predict every record; rows with missing inputs are reported, not thrown
+export function runBatch(records, engine = DEFAULT_ENGINE) {
+  return records.map((record, index) => {
+    const { params, errors, warnings } = normalizeRecipe(record);
+    if (errors.length > 0) {
+      return { row: index + 1, params, errors, warnings };
+    }
+
+    const result = predictWith(params, engine);
+    const { isInWindow, minConc, maxConc } = result.architecture;
+    if (!isInWindow) {
+      warnings.push(`Concentration ${params.concentration} wt% is outside the spinnable window (${minConc}-${maxConc} wt%) for MW ${(params.mw / 1000).toFixed(0)}k Da`);
+    }
+
+    return {
+      row: index + 1,
+      params,
+      errors,
+      warnings,
+      outOfWindow: !isInWindow,
+      morphology: result.architecture.morphology,
+      ...result
+    };
+  });
+}
+
+// One flat record per result, for CSV/XLSX export and table display.
+// Every input gets a column, in PARAMETER_KEYS order, even when a row is missing it.
+export function flattenResult(result) {
+  return {
+    row: result.row,
+    ...Object.fromEntries(PARAMETER_KEYS.map(key => [key, result.params[key] ?? ''])),
+    ...(result.architecture ?? {}),
+    ...(result.biology ?? {}),
+    ...prefixKeys(result.applicationScores, 'app_'),
+    ...prefixKeys(result.cellScores, 'cell_'),
+    outOfWindow: result.outOfWindow ?? '',
+    warnings: result.warnings.join('; '),
+    errors: result.errors.join('; ')
+  };
+}
+
+// An uploaded record with its predictions appended for export. Inputs keep the
+// header they were uploaded under ("MW" stays "MW") and take the value the
+// prediction used; inputs the upload left out (a defaulted hydrolysis) are added.
+export function exportRecord(record, result) {
+  const { row: _row, ...flat } = flattenResult(result);
+  const headers = Object.fromEntries(Object.keys(record).map(header => [header.trim().toLowerCase(), header]));
+  const exported = { ...record };
+  for (const key of PARAMETER_KEYS) {
+    const header = headers[key.toLowerCase()];
+    if (header !== undefined) {
+      exported[header] = result.params[key] ?? record[header];
+      delete flat[key];
+    }
+  }
+  return { ...exported, ...flat };
+}
+
+// Export column order: row and inputs first, every prediction seen in any row,
+// then the per-row diagnostics — so an invalid first row cannot reorder the header
+export function resultColumns(flatRows) {
+  const diagnostics = ['outOfWindow', 'warnings', 'errors'];
+  const predicted = [...new Set(flatRows.flatMap(row => Object.keys(row)))]
+    .filter(key => key !== 'row' && !PARAMETER_KEYS.includes(key) && !diagnostics.includes(key));
+  return ['row', ...PARAMETER_KEYS, ...predicted, ...diagnostics];
+}
+
+function prefixKeys(obj = {}, prefix) {
+  return Object.fromEntries(Object.entries(obj).map(([key, value]) => [prefix + key, value]));
+}
@@ -0,0 +1,181 @@
+// Bayesian optimization for the lab loop: a Gaussian process on the gap
+// between measured outcomes and the Stage 1 model (so the model acts as the
+// prior mean), and expected improvement to pick the next recipe to test.
+
+import {
+  APPLICATIONS,
+  ARCHITECTURE_PROPERTIES,
+  DEFAULT_ENGINE,
+  PARAMETER_KEYS,
+  PARAMETER_RANGES,
+  predictArchitectureWith,
+  calculateApplicationScores
+} from './predictor.js';
+import { residualSigmas } from './uncertainty.js';
+import { fitGPAuto } from './gp.js';
+import { minimize } from './search.js';
+
+export const OBJECTIVE_MODES = {
+  maximize: 'Maximize a property',
+  minimize: 'Minimize a property',
+  target: 'Hit a target value',
+  score: 'Maximize an application score'
+};
+
+// Stage 1 properties the application scores are computed from
+export const SCORE_PROPERTIES = ['fiberDiameter', 'porosity', 'poreSize', 'tensileStrength', 'youngsModulus', 'degradationRate'];
+
+// objective: { mode, property, target, application }
+export function describeObjective({ mode, property, target, application }) {
+  if (mode === 'score') return `maximize the ${APPLICATIONS[application]} score`;
+  const { label, unit } = ARCHITECTURE_PROPERTIES[property];
+  if (mode === 'target') return `hit ${label.toLowerCase()} = ${target} ${unit}`;
+  return `${mode} ${label.toLowerCase()}`;
+}
+
+// Which measured properties an observation needs for this objective
+export function objectiveProperties({ mode, property }) {
+  return mode === 'score' ? SCORE_PROPERTIES : [property];
+}
+
+// The quantity the surrogate models: the property itself, or the application score
+function modelledQuantity({ mode, property, application }, architecture) {
+  return mode === 'score' ? calculateApplicationScores(architecture)[application] : architecture[property];
+}
+
+// Larger is always better: minimised properties are negated, targets become −|miss|
+export function utility({ mode, target }, quantity) {
+  if (mode === 'minimize') return -quantity;
+  if (mode === 'target') return -Math.abs(quantity - target);
+  return quantity;
+}
+
+// Measured quantity for an observation; unmeasured score inputs fall back to the
+// model's prediction. Returns null when the objective's property was not measured.
+export function observedQuantity(objective, { params, measured }, engine = DEFAULT_ENGINE) {
+  if (objective.mode !== 'score') {
+    return Number.isFinite(measured[objective.property]) ? measured[objective.property] : null;
+  }
+  const measuredValues = Object.fromEntries(Object.entries(measured).filter(([, value]) => Number.isFinite(value)));
+  return modelledQuantity(objective, { ...predictArchitectureWith(params, engine), ...measuredValues });
+}
+
+const toUnit = (params) => PARAMETER_KEYS.map(key => {
+  const { min, max } = PARAMETER_RANGES[key];
+  return (params[key] - min) / (max - min);
+});
+
+// Abramowitz–Stegun 7.1.26, |error| < 1.5e-7
+function erf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return x >= 0 ? y : -y;
+}
+const normalPdf = (z) => Math.exp(-0.5 * z * z) / Math.sqrt(2 * Math.PI);
+const normalCdf = (z) => 0.5 * (1 + erf(z / Math.SQRT2));
+
+// E[max(0, utility(Y) − best)] for Y ~ N(mean, sd²), in closed form for each mode
+function expectedImprovement(objective, mean, sd, best) {
+  if (objective.mode === 'target') {
+    // Improvement is (d − |Z|)⁺ with d the best miss so far and Z = Y − target
+    const d = -best;
+    const m = mean - objective.target;
+    if (sd < 1e-9) return Math.max(0, d - Math.abs(m));
+    const partial = (a, b) => {
+      const [za, zb] = [(a - m) / sd, (b - m) / sd];
+      const mass = normalCdf(zb) - normalCdf(za);
+      const first = m * mass - sd * (normalPdf(zb) - normalPdf(za));
+      return { mass, first };
+    };
+    const lower = partial(-d, 0);
+    const upper = partial(0, d);
+    return Math.max(0, d * lower.mass + lower.first + d * upper.mass - upper.first);
+  }
+
+  const sign = objective.mode === 'minimize' ? -1 : 1;
+  const gain = sign * mean - best;
+  if (sd < 1e-9) return Math.max(0, gain);
+  const z = gain / sd;
+  return gain * normalCdf(z) + sd * normalPdf(z);
+}
+
+// Prior spread of the modelled quantity: the Stage 1 residual sigma for a property, ~10 points for scores
+function priorSigma({ mode, property }) {
+  return mode === 'score' ? 10 : residualSigmas().architecture[property];
+}
+
+// Fit the surrogate and propose the recipe with the highest expected improvement.
+// observations: [{ params, measured: { fiberDiameter, ... } }]
+// mean, sd and prior are in the units of the modelled property (or score points).
+export function suggestNext(observations, objective, { seed = 17, engine = DEFAULT_ENGINE } = {}) {
+  const usable = observations
+    .map(observation => ({ observation, quantity: observedQuantity(objective, observation, engine) }))
+    .filter(({ quantity }) => quantity !== null);
+
+  const priorMean = (params) => modelledQuantity(objective, predictArchitectureWith(params, engine));
+  const sigma = priorSigma(objective);
+  const X = usable.map(({ observation }) => toUnit(observation.params));
+  const residuals = usable.map(({ observation, quantity }) => quantity - priorMean(observation.params));
+  const gp = fitGPAuto(X, residuals, { signalVariance: sigma ** 2, noiseVariance: (0.2 * sigma) ** 2 });
+
+  const posterior = (params) => {
+    const { mean, variance } = gp.predict(toUnit(params));
+    const prior = priorMean(params);
+    return { prior, mean: prior + mean, sd: Math.sqrt(variance) };
+  };
+
+  const best = usable.reduce((top, entry) => {
+    const value = utility(objective, entry.quantity);
+    return top === null || value > top.utility ? { ...entry, utility: value } : top;
+  }, null);
+
+  // With no data yet the prior alone decides: go for the model's optimum
+  const acquisition = (params) => {
+    const { mean, sd } = posterior(params);
+    return best === null ? utility(objective, mean) : expectedImprovement(objective, mean, sd, best.utility);
+  };
+
+  const [choice] = minimize(params => -acquisition(params), { seed, samples: 800, starts: 6, results: 1 });
+  const { prior, mean, sd } = posterior(choice.params);
+  const ei = best === null ? null : expectedImprovement(objective, mean, sd, best.utility);
+  // How much of the EI would survive if the prediction were certain
+  const certain = best === null ? null : expectedImprovement(objective, mean, 0, best.utility);
+
+  return {
+    params: choice.params,
+    prior,
+    mean,
+    sd,
+    best: best && { params: best.observation.params, quantity: best.quantity, utility: best.utility },
+    expectedImprovement: ei,
+    explorationShare: ei ? Math.max(0, 1 - certain / ei) : null,
+    observationsUsed: usable.length,
+    lengthScale: gp.lengthScale
+  };
+}
+
+// One-paragraph explanation of a suggestion
+export function suggestionRationale(objective, suggestion) {
+  const unit = objective.mode === 'score' ? 'points' : ARCHITECTURE_PROPERTIES[objective.property].unit;
+  const what = objective.mode === 'score' ? `${APPLICATIONS[objective.application]} score` : ARCHITECTURE_PROPERTIES[objective.property].label.toLowerCase();
+  const fmt = (value) => `${Number(value.toFixed(2))} ${unit}`;
+  const parts = [];
+
+  if (suggestion.observationsUsed === 0) {
+    parts.push(`No measurements for this objective yet, so the suggestion is the Stage 1 model's own optimum (predicted ${what} ${fmt(suggestion.prior)}).`);
+  } else {
+    const shift = Number((suggestion.mean - suggestion.prior).toFixed(2));
+    const count = suggestion.observationsUsed === 1 ? '1 measurement shifts' : `${suggestion.observationsUsed} measurements shift`;
+    parts.push(
+      `The Stage 1 model predicts ${what} ${fmt(suggestion.prior)} here; ${count} ` +
+      `that by ${shift > 0 ? '+' : ''}${shift} to ${fmt(suggestion.mean)} ± ${suggestion.sd.toFixed(2)}.`
+    );
+    parts.push(`The best result so far is ${fmt(suggestion.best.quantity)}${objective.mode === 'target' ? ` (miss ${fmt(-suggestion.best.utility)})` : ''}.`);
+    if (suggestion.explorationShare !== null) {
+      parts.push(suggestion.explorationShare > 0.5
+        ? 'Most of the expected improvement comes from uncertainty: this run mainly explores an untested region.'
+        : 'Most of the expected improvement comes from a better predicted mean: this run mainly exploits what the data already suggest.');
+    }
+  }
+  return parts.join(' ');
+}
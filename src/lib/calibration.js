@@ -0,0 +1,121 @@
+// Calibration of the Stage 1 coefficients to lab measurements.
+//
+// Properties are fitted one at a time in cascade order (fiber diameter first,
+// so porosity is fitted against the calibrated diameter, and so on). Each fit
+// is a Levenberg–Marquardt least-squares solve with a light ridge pull toward
+// the literature value, so coefficients the data cannot identify (e.g. the
+// voltage slope when every run used the same voltage) stay where they were.
+// Only the closed-form formulas are calibrated; trained models and the jet-physics
+// diameter law are bypassed.
+
+import { ARCHITECTURE_PROPERTIES, LITERATURE_COEFFICIENTS, predictArchitecture } from './predictor.js';
+import { residualSigmas } from './uncertainty.js';
+
+export const LITERATURE_MODEL = 'literature';
+export const COEFFICIENT_SETS_KEY = 'pva-coefficient-sets';
+export const ACTIVE_MODEL_KEY = 'pva-active-model';
+
+// A 100% change in a coefficient costs as much as a residual of RIDGE·σ
+const RIDGE = 0.1;
+const MAX_ITERATIONS = 100;
+
+// Solve A·x = b by Gaussian elimination with partial pivoting
+function solveLinear(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+    }
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+    if (Math.abs(M[col][col]) < 1e-300) return null;
+    for (let row = col + 1; row < n; row++) {
+      const factor = M[row][col] / M[col][col];
+      for (let k = col; k <= n; k++) M[row][k] -= factor * M[col][k];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = M[row][n];
+    for (let k = row + 1; k < n; k++) sum -= M[row][k] * x[k];
+    x[row] = sum / M[row][row];
+  }
+  return x;
+}
+
+const sumOfSquares = (values) => values.reduce((sum, v) => sum + v * v, 0);
+
+// Minimise Σ residuals(x)² from x0; Jacobian by forward differences
+function levenbergMarquardt(residuals, x0) {
+  let x = x0;
+  let r = residuals(x);
+  let cost = sumOfSquares(r);
+  let lambda = 1e-3;
+
+  for (let iteration = 0; iteration < MAX_ITERATIONS && lambda < 1e10; iteration++) {
+    const steps = x.map(value => 1e-6 * Math.max(1, Math.abs(value)));
+    const J = x.map((_, j) => {
+      const shifted = [...x];
+      shifted[j] += steps[j];
+      return residuals(shifted).map((value, i) => (value - r[i]) / steps[j]);
+    });
+    const A = J.map(a => J.map(b => a.reduce((sum, v, i) => sum + v * b[i], 0)));
+    const g = J.map(a => a.reduce((sum, v, i) => sum + v * r[i], 0));
+    const damped = A.map((row, i) => row.map((value, j) => value + (i === j ? lambda * (A[i][i] + 1e-12) : 0)));
+    const delta = solveLinear(damped, g.map(v => -v));
+    if (!delta) break;
+
+    const candidate = x.map((value, j) => value + delta[j]);
+    const candidateResiduals = residuals(candidate);
+    const candidateCost = sumOfSquares(candidateResiduals);
+    if (candidateCost < cost) {
+      const converged = cost - candidateCost < 1e-12 * (1 + cost);
+      [x, r, cost] = [candidate, candidateResiduals, candidateCost];
+      lambda /= 10;
+      if (converged) break;
+    } else {
+      lambda *= 10;
+    }
+  }
+  return x;
+}
+
+const rmse = (errors) => (errors.length ? Math.sqrt(sumOfSquares(errors) / errors.length) : null);
+
+// entries: logbook entries { params, measured }.
+// Returns { coefficients, properties: [{ property, n, rmseBefore, rmseAfter, coefficients: [{ key, before, after }] }] }
+// where "before" is the literature set; properties without data keep their literature coefficients.
+export function calibrateCoefficients(entries) {
+  const sigmas = residualSigmas().architecture;
+  const coefficients = structuredClone(LITERATURE_COEFFICIENTS);
+  const properties = [];
+
+  for (const property of Object.keys(ARCHITECTURE_PROPERTIES)) {
+    const data = entries
+      .filter(entry => Number.isFinite(entry.measured[property]))
+      .map(entry => ({ params: entry.params, measured: entry.measured[property] }));
+    if (data.length === 0) continue;
+
+    const keys = Object.keys(LITERATURE_COEFFICIENTS[property]);
+    const literature = keys.map(key => LITERATURE_COEFFICIENTS[property][key]);
+    const withValues = (values) => ({ ...coefficients, [property]: Object.fromEntries(keys.map((key, i) => [key, values[i]])) });
+    const errors = (values) => data.map(({ params, measured }) => predictArchitecture(params, withValues(values), null, 'empirical')[property] - measured);
+    const ridge = (values) => values.map((value, i) => RIDGE * sigmas[property] * (value - literature[i]) / Math.abs(literature[i]));
+
+    const rmseBefore = rmse(data.map(({ params, measured }) => predictArchitecture(params, LITERATURE_COEFFICIENTS, null, 'empirical')[property] - measured));
+    const fitted = levenbergMarquardt(values => [...errors(values), ...ridge(values)], literature);
+    coefficients[property] = withValues(fitted)[property];
+
+    properties.push({
+      property,
+      n: data.length,
+      rmseBefore,
+      rmseAfter: rmse(errors(fitted)),
+      coefficients: keys.map((key, i) => ({ key, before: literature[i], after: fitted[i] }))
+    });
+  }
+
+  if (properties.length === 0) throw new Error('No measured Stage 1 properties to calibrate against');
+  return { coefficients, properties };
+}
@@ -0,0 +1,37 @@
+// Partial dependence (PDP) and individual conditional expectation (ICE)
+// curves: sweep one input across its slider range through the full
+// Stage 1 → Stage 2 model and record any output.
+
+import { DEFAULT_ENGINE, PARAMETER_KEYS, PARAMETER_RANGES, predictWith } from './predictor.js';
+import { metricValue } from './metrics.js';
+import { createRng, uniform } from './random.js';
+
+export function sweepGrid(input, points) {
+  const { min, max } = PARAMETER_RANGES[input];
+  return Array.from({ length: points }, (_, i) => min + (max - min) * i / (points - 1));
+}
+
+function sweep(base, input, output, grid, engine) {
+  return grid.map(x => metricValue(predictWith({ ...base, [input]: x }, engine), output));
+}
+
+// Returns { grid, current, ice, average }:
+//   current – the other five inputs held at `params`
+//   ice     – one curve per background recipe drawn uniformly over the slider ranges
+//   average – the partial dependence, i.e. the mean of the ICE curves
+export function partialDependence(input, output, params, { points = 25, curves = 40, seed = 5, engine = DEFAULT_ENGINE } = {}) {
+  if (!PARAMETER_KEYS.includes(input)) {
+    throw new Error(`Unknown input "${input}"; expected one of ${PARAMETER_KEYS.join(', ')}`);
+  }
+
+  const rng = createRng(seed);
+  const grid = sweepGrid(input, points);
+  const background = Array.from({ length: curves }, () => Object.fromEntries(PARAMETER_KEYS.map(key =>
+    [key, uniform(rng, PARAMETER_RANGES[key].min, PARAMETER_RANGES[key].max)]
+  )));
+
+  const ice = background.map(recipe => sweep(recipe, input, output, grid, engine));
+  const average = grid.map((_, i) => ice.reduce((sum, curve) => sum + curve[i], 0) / curves);
+
+  return { grid, current: sweep(params, input, output, grid, engine), ice, average };
+}
@@ -0,0 +1,166 @@
+// Design of Experiments over the processing parameters: classic
+// factorial and response-surface designs plus Latin hypercube sampling, with
+// a randomized run order and the model's prediction for every run.
+
+import { DEFAULT_ENGINE, PARAMETER_KEYS, PARAMETER_RANGES, predictWith } from './predictor.js';
+import { roundToSteps } from './search.js';
+import { createRng, shuffle } from './random.js';
+
+export const DESIGN_TYPES = {
+  fullFactorial: 'Full factorial',
+  fractionalFactorial: 'Fractional factorial (2-level)',
+  boxBehnken: 'Box-Behnken',
+  centralComposite: 'Central composite (face-centered)',
+  latinHypercube: 'Latin hypercube'
+};
+
+const MAX_RUNS = 500;
+
+// Half-fraction generators: the last factor is the product of the listed ones
+const FRACTION_GENERATORS = {
+  3: [0, 1], // C = AB, resolution III
+  4: [0, 1, 2], // D = ABC, resolution IV
+  5: [0, 1, 2, 3], // E = ABCD, resolution V
+  6: [0, 1, 2, 3, 4] // F = ABCDE, resolution VI
+};
+
+const cartesian = (lists) => lists.reduce(
+  (rows, list) => rows.flatMap(row => list.map(value => [...row, value])),
+  [[]]
+);
+
+const twoLevel = (k) => cartesian(Array.from({ length: k }, () => [-1, 1]));
+
+// Coded points (−1 … +1) for the 2-level and response-surface designs
+function codedPoints(type, k, { centerPoints }) {
+  const centers = Array.from({ length: centerPoints }, () => Array(k).fill(0));
+
+  switch (type) {
+    case 'fractionalFactorial': {
+      const generator = FRACTION_GENERATORS[k];
+      if (!generator) return twoLevel(k);
+      return twoLevel(k - 1).map(row => [...row, generator.reduce((product, i) => product * row[i], 1)]);
+    }
+    case 'boxBehnken': {
+      if (k < 3) throw new Error('Box-Behnken needs at least 3 varied factors');
+      const edges = [];
+      for (let i = 0; i < k; i++) {
+        for (let j = i + 1; j < k; j++) {
+          for (const [a, b] of twoLevel(2)) {
+            const row = Array(k).fill(0);
+            row[i] = a;
+            row[j] = b;
+            edges.push(row);
+          }
+        }
+      }
+      return [...edges, ...centers];
+    }
+    case 'centralComposite': {
+      if (k < 2) throw new Error('A central composite design needs at least 2 varied factors');
+      // Half fraction for five or six factors keeps the cube at 16 or 32 runs
+      const cube = k >= 5 ? codedPoints('fractionalFactorial', k, { centerPoints: 0 }) : twoLevel(k);
+      const axial = [];
+      for (let i = 0; i < k; i++) {
+        for (const sign of [-1, 1]) {
+          const row = Array(k).fill(0);
+          row[i] = sign;
+          axial.push(row);
+        }
+      }
+      return [...cube, ...axial, ...centers];
+    }
+    default:
+      throw new Error(`Unknown design type "${type}"`);
+  }
+}
+
+// One value per stratum for each factor, strata paired up by random permutations
+function latinHypercube(k, runs, rng) {
+  const columns = Array.from({ length: k }, () =>
+    shuffle(rng, Array.from({ length: runs }, (_, i) => (i + rng()) / runs))
+  );
+  return Array.from({ length: runs }, (_, r) => columns.map(column => column[r] * 2 - 1));
+}
+
+// factors: { [key]: { low, high, levels } } for the varied inputs only;
+// fixed: values for the inputs that are not varied.
+// Returns [{ runOrder, stdOrder, params, ...predict(params) }] in randomized run order.
+export function generateDesign(type, factors, fixed, { centerPoints = 3, runs = 20, seed = 1, engine = DEFAULT_ENGINE } = {}) {
+  const keys = PARAMETER_KEYS.filter(key => key in factors);
+  if (keys.length === 0) throw new Error('Select at least one factor to vary');
+
+  for (const key of keys) {
+    const { low, high } = factors[key];
+    const { label, min, max } = PARAMETER_RANGES[key];
+    if (!(Number.isFinite(low) && Number.isFinite(high)) || low >= high) {
+      throw new Error(`${label}: low level must be below the high level`);
+    }
+    if (low < min || high > max) {
+      throw new Error(`${label}: levels must stay within ${min}–${max}`);
+    }
+  }
+
+  if (type === 'latinHypercube' && !(Number.isInteger(runs) && runs >= 2)) {
+    throw new Error('A Latin hypercube needs at least 2 runs');
+  }
+  if (type === 'fullFactorial') {
+    for (const key of keys) {
+      const { levels = 2 } = factors[key];
+      if (!Number.isInteger(levels) || levels < 2) {
+        throw new Error(`${PARAMETER_RANGES[key].label}: a full factorial needs at least 2 levels`);
+      }
+    }
+  }
+
+  const rng = createRng(seed);
+  let points;
+  if (type === 'fullFactorial') {
+    // Actual values straight from the level grid
+    points = cartesian(keys.map(key => {
+      const { low, high, levels = 2 } = factors[key];
+      return Array.from({ length: levels }, (_, i) => low + (high - low) * i / (levels - 1));
+    }));
+  } else {
+    const coded = type === 'latinHypercube'
+      ? latinHypercube(keys.length, runs, rng)
+      : codedPoints(type, keys.length, { centerPoints });
+    points = coded.map(row => row.map((c, i) => {
+      const { low, high } = factors[keys[i]];
+      return (low + high) / 2 + c * (high - low) / 2;
+    }));
+  }
+
+  if (points.length > MAX_RUNS) {
+    throw new Error(`This design has ${points.length} runs; reduce the factors or levels to at most ${MAX_RUNS}`);
+  }
+
+  const design = points.map((values, index) => {
+    const params = roundToSteps({ ...fixed, ...Object.fromEntries(keys.map((key, i) => [key, values[i]])) });
+    const result = predictWith(params, engine);
+    return { stdOrder: index + 1, params, ...result };
+  });
+
+  return shuffle(rng, design).map((run, index) => ({ runOrder: index + 1, ...run }));
+}
+
+// Flat rows for the run sheet: order, settings, predictions, then blank columns for lab results
+export function runSheetRows(design) {
+  return design.map(run => ({
+    run: run.runOrder,
+    std_order: run.stdOrder,
+    ...run.params,
+    window_warning: run.architecture.isInWindow
+      ? ''
+      : `Outside spinnable window (${run.architecture.minConc}-${run.architecture.maxConc} wt%)`,
+    predicted_morphology: run.architecture.morphology,
+    predicted_fiberDiameter: Math.round(run.architecture.fiberDiameter),
+    predicted_porosity: Number(run.architecture.porosity.toFixed(1)),
+    predicted_poreSize: Number(run.architecture.poreSize.toFixed(2)),
+    predicted_tensileStrength: Number(run.architecture.tensileStrength.toFixed(1)),
+    predicted_youngsModulus: Number(run.architecture.youngsModulus.toFixed(1)),
+    measured_fiberDiameter: '',
+    measured_porosity: '',
+    notes: ''
+  }));
+}
@@ -0,0 +1,178 @@
+// Process fault rules: operational problems a recipe is likely to run into
+// (arcing, dripping, wet fibers, needle clogging), each with an explanation
+// and a suggested fix. Rules are plain data — conditions on the processing
+// parameters and on derived jet, solution and morphology quantities — so labs
+// can add their own as JSON or override a built-in rule by reusing its id.
+// See "Fault Rule Format" in the README.
+
+import { PARAMETER_RANGES, withOptionalDefaults } from './predictor.js';
+import { jetDiagnostics } from './jet.js';
+import { solutionProperties } from './solution.js';
+import { morphologyProbabilities } from './morphology.js';
+
+export const FAULT_RULES_KEY = 'pva-fault-rules';
+
+// Most severe first; warnings are listed in this order
+export const SEVERITIES = {
+  critical: 'Critical',
+  warning: 'Warning',
+  advisory: 'Advisory'
+};
+
+// Quantities a rule can test: the processing inputs plus derived values
+export const FAULT_QUANTITIES = {
+  ...Object.fromEntries(Object.entries(PARAMETER_RANGES).map(([key, { label, unit }]) => [key, { label, unit }])),
+  fieldStrength: { label: 'Nominal field strength', unit: 'kV/cm' },
+  onsetVoltage: { label: 'Cone onset voltage', unit: 'kV' },
+  voltageRatio: { label: 'Voltage / onset voltage', unit: '×' },
+  current: { label: 'Jet current', unit: 'µA' },
+  zeroShearViscosity: { label: 'Zero-shear viscosity', unit: 'Pa·s' },
+  berryNumber: { label: 'Berry number', unit: '' },
+  entanglementNumber: { label: 'Entanglement number', unit: '' },
+  drippingProbability: { label: 'Dripping probability', unit: '' }
+};
+
+const OPERATORS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b
+};
+
+// Each rule fires when every condition in "when" holds. {quantity} in the
+// explanation or fix is replaced with the recipe's value.
+export const DEFAULT_FAULT_RULES = [
+  {
+    id: 'arcing',
+    title: 'Arcing risk',
+    severity: 'critical',
+    when: [
+      { quantity: 'voltage', op: '>=', value: 20 },
+      { quantity: 'fieldStrength', op: '>=', value: 1.6 }
+    ],
+    explanation: '{voltage} kV over {distance} cm gives {fieldStrength} kV/cm. The field at the needle tip is several times the nominal value, and in humid air this is enough for corona discharge or a spark to the collector.',
+    fix: 'Lower the voltage or move the collector back so the nominal field stays below about 1.5 kV/cm.'
+  },
+  {
+    id: 'belowOnset',
+    title: 'Dripping: voltage below cone onset',
+    severity: 'critical',
+    when: [{ quantity: 'voltageRatio', op: '<', value: 1 }],
+    explanation: 'At {distance} cm a Taylor cone needs about {onsetVoltage} kV to form, so at {voltage} kV the solution drips from the needle instead of forming a jet.',
+    fix: 'Raise the voltage above {onsetVoltage} kV or shorten the distance.'
+  },
+  {
+    id: 'dripping',
+    title: 'Dripping: flow rate too high for the voltage',
+    severity: 'critical',
+    when: [{ quantity: 'drippingProbability', op: '>=', value: 0.5 }],
+    explanation: 'The cone cannot draw {flowRate} mL/h into a jet at {voltage} kV; the excess collects at the tip and falls as drops onto the mat.',
+    fix: 'Lower the flow rate or raise the voltage.'
+  },
+  {
+    id: 'wetFibers',
+    title: 'Incomplete solvent evaporation',
+    severity: 'warning',
+    when: [{ quantity: 'distance', op: '<', value: 13 }],
+    explanation: 'Water evaporates slowly, and {distance} cm leaves the jet too short a flight to dry. Wet fibers fuse where they cross and can merge into a film.',
+    fix: 'Move the collector to 15 cm or more, lower the flow rate, or warm and dry the chamber air.'
+  },
+  {
+    id: 'clogging',
+    title: 'Needle clogging',
+    severity: 'warning',
+    when: [{ quantity: 'concentration', op: '>=', value: 14 }],
+    explanation: 'At {concentration} wt% the solution skins over at the needle tip as water evaporates, and dried polymer builds up until it blocks the jet.',
+    fix: 'Lower the concentration, use a wider needle, and wipe the tip between runs.'
+  },
+  {
+    id: 'multiJet',
+    title: 'Unstable cone / multiple jets',
+    severity: 'advisory',
+    when: [{ quantity: 'voltageRatio', op: '>=', value: 2 }],
+    explanation: '{voltage} kV is {voltageRatio}× the cone onset voltage. The cone recedes into the needle and splits into several jets, which widens the fiber diameter distribution.',
+    fix: 'Lower the voltage or increase the distance.'
+  }
+];
+
+// The recipe's value for every quantity in FAULT_QUANTITIES
+export function faultQuantities(params) {
+  const jet = jetDiagnostics(params);
+  const solution = solutionProperties(params);
+  return {
+    ...withOptionalDefaults(params),
+    fieldStrength: jet.fieldStrength,
+    onsetVoltage: jet.onsetVoltage,
+    voltageRatio: jet.voltageRatio,
+    current: jet.current,
+    zeroShearViscosity: solution.zeroShearViscosity,
+    berryNumber: solution.berryNumber,
+    entanglementNumber: solution.entanglementNumber,
+    drippingProbability: morphologyProbabilities(params).dripping
+  };
+}
+
+const formatQuantity = (value) => String(Number(value.toPrecision(3)));
+const fillTemplate = (text, values) => text.replace(/\{(\w+)\}/g, (match, key) => (key in values ? formatQuantity(values[key]) : match));
+
+// Check a rule read from JSON and return it with only the known fields
+export function validateFaultRule(rule, label = 'Rule') {
+  if (!rule || typeof rule !== 'object') throw new Error(`${label} must be an object`);
+  const { id, title, severity, when, explanation, fix } = rule;
+  if (typeof id !== 'string' || !id.trim()) throw new Error(`${label} needs an "id"`);
+  const name = `Rule "${id}"`;
+  if (typeof title !== 'string' || !title.trim()) throw new Error(`${name} needs a "title"`);
+  if (!SEVERITIES[severity]) throw new Error(`${name}: "severity" must be one of ${Object.keys(SEVERITIES).join(', ')}`);
+  if (!Array.isArray(when) || when.length === 0) throw new Error(`${name} needs a non-empty "when" array of conditions`);
+  when.forEach((condition, i) => {
+    if (!FAULT_QUANTITIES[condition?.quantity]) throw new Error(`${name}, condition ${i + 1}: unknown quantity "${condition?.quantity}"`);
+    if (!OPERATORS[condition.op]) throw new Error(`${name}, condition ${i + 1}: "op" must be one of ${Object.keys(OPERATORS).join(' ')}`);
+    if (!Number.isFinite(condition.value)) throw new Error(`${name}, condition ${i + 1}: "value" must be a number`);
+  });
+  if (typeof explanation !== 'string' || typeof fix !== 'string') throw new Error(`${name} needs "explanation" and "fix" text`);
+
+  return {
+    id: id.trim(),
+    title,
+    severity,
+    when: when.map(({ quantity, op, value }) => ({ quantity, op, value })),
+    explanation,
+    fix
+  };
+}
+
+// Parse JSON holding one rule or an array of rules
+export function parseFaultRules(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('Rules are not valid JSON');
+  }
+  const rules = Array.isArray(parsed) ? parsed : [parsed];
+  if (rules.length === 0) throw new Error('No rules found');
+  return rules.map((rule, i) => validateFaultRule(rule, `Rule ${i + 1}`));
+}
+
+// Built-in rules with custom rules appended; a custom rule replaces the built-in rule with its id
+export function mergeFaultRules(customRules = []) {
+  const custom = new Map(customRules.map(rule => [rule.id, rule]));
+  return [
+    ...DEFAULT_FAULT_RULES.map(rule => custom.get(rule.id) ?? rule),
+    ...customRules.filter(rule => !DEFAULT_FAULT_RULES.some(builtIn => builtIn.id === rule.id))
+  ];
+}
+
+// Rules the recipe triggers, most severe first, with the templates filled in
+export function evaluateFaults(params, rules = DEFAULT_FAULT_RULES) {
+  const values = faultQuantities(params);
+  const rank = Object.keys(SEVERITIES);
+  return rules
+    .filter(rule => rule.when.every(({ quantity, op, value }) => OPERATORS[op](values[quantity], value)))
+    .map(rule => ({
+      ...rule,
+      explanation: fillTemplate(rule.explanation, values),
+      fix: fillTemplate(rule.fix, values)
+    }))
+    .sort((a, b) => rank.indexOf(a.severity) - rank.indexOf(b.severity));
+}
@@ -0,0 +1,92 @@
+// Minimal Gaussian-process regression: squared-exponential kernel on inputs
+// scaled to [0, 1], Cholesky solve, and the log marginal likelihood for
+// choosing the length scale.
+
+function kernel(a, b, lengthScale, signalVariance) {
+  let d2 = 0;
+  for (let i = 0; i < a.length; i++) d2 += (a[i] - b[i]) ** 2;
+  return signalVariance * Math.exp(-d2 / (2 * lengthScale ** 2));
+}
+
+// Lower-triangular L with L·Lᵀ = A
+function cholesky(A) {
+  const n = A.length;
+  const L = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = A[i][j];
+      for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+      if (i === j) {
+        if (sum <= 0) throw new Error('Covariance matrix is not positive definite');
+        L[i][i] = Math.sqrt(sum);
+      } else {
+        L[i][j] = sum / L[j][j];
+      }
+    }
+  }
+  return L;
+}
+
+// Solve L·x = b (forward) and Lᵀ·x = b (backward)
+function forward(L, b) {
+  const x = [];
+  for (let i = 0; i < b.length; i++) {
+    let sum = b[i];
+    for (let k = 0; k < i; k++) sum -= L[i][k] * x[k];
+    x.push(sum / L[i][i]);
+  }
+  return x;
+}
+
+function backward(L, b) {
+  const n = b.length;
+  const x = new Array(n).fill(0);
+  for (let i = n - 1; i >= 0; i--) {
+    let sum = b[i];
+    for (let k = i + 1; k < n; k++) sum -= L[k][i] * x[k];
+    x[i] = sum / L[i][i];
+  }
+  return x;
+}
+
+// X: training inputs (arrays in [0, 1]), y: targets (zero-mean residuals).
+// Returns { predict(x) → { mean, variance }, logLikelihood, alpha } where the
+// mean is Σ k(x, Xᵢ)·alphaᵢ.
+export function fitGP(X, y, { lengthScale = 0.3, signalVariance = 1, noiseVariance = 0.01 } = {}) {
+  const n = X.length;
+  if (n === 0) {
+    return {
+      predict: () => ({ mean: 0, variance: signalVariance }),
+      logLikelihood: 0,
+      alpha: []
+    };
+  }
+
+  const K = X.map((a, i) => X.map((b, j) => kernel(a, b, lengthScale, signalVariance) + (i === j ? noiseVariance : 0)));
+  const L = cholesky(K);
+  const alpha = backward(L, forward(L, y));
+
+  const logLikelihood = -0.5 * y.reduce((sum, v, i) => sum + v * alpha[i], 0)
+    - L.reduce((sum, row, i) => sum + Math.log(row[i]), 0)
+    - 0.5 * n * Math.log(2 * Math.PI);
+
+  return {
+    predict(x) {
+      const k = X.map(a => kernel(a, x, lengthScale, signalVariance));
+      const mean = k.reduce((sum, v, i) => sum + v * alpha[i], 0);
+      const v = forward(L, k);
+      const variance = Math.max(1e-12, signalVariance - v.reduce((sum, value) => sum + value ** 2, 0));
+      return { mean, variance };
+    },
+    logLikelihood,
+    alpha
+  };
+}
+
+// Fit with the length scale that maximises the marginal likelihood
+export function fitGPAuto(X, y, { lengthScales = [0.1, 0.2, 0.3, 0.5, 0.8], ...options } = {}) {
+  if (X.length < 3) return { ...fitGP(X, y, options), lengthScale: options.lengthScale ?? 0.3 };
+  return lengthScales
+    .map(lengthScale => ({ ...fitGP(X, y, { ...options, lengthScale }), lengthScale }))
+    .reduce((best, fit) => (fit.logLikelihood > best.logLikelihood ? fit : best));
+}
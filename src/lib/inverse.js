@@ -0,0 +1,69 @@
+// Inverse design: from target scaffold properties back to processing parameters.
+//
+// Targets cover any subset of the nine Stage 1 properties, each given as a
+// point target and/or a min/max range:
+//   { fiberDiameter: { target: 500 }, porosity: { min: 85 }, tensileStrength: { min: 8 } }
+// Distance to target is the RMS of per-property misses, each normalised by
+// that property's full output range so nm and MPa are comparable. Like the
+// application optimizer, the search skips beaded, sprayed, dripping and ribbon
+// morphologies, whose predicted properties would not describe a round-fiber mat.
+
+import { ARCHITECTURE_PROPERTIES, DEFAULT_ENGINE, predictArchitectureWith } from './predictor.js';
+import { isDefective, isRibbon } from './optimizer.js';
+import { minimize } from './search.js';
+
+const isSet = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Normalised miss of one predicted value against its target spec (0 = satisfied)
+export function targetMiss(key, value, spec) {
+  const { min, max } = ARCHITECTURE_PROPERTIES[key];
+  const span = max - min;
+  let miss = 0;
+  if (isSet(spec.target)) miss = Math.max(miss, Math.abs(value - spec.target));
+  if (isSet(spec.min) && value < spec.min) miss = Math.max(miss, spec.min - value);
+  if (isSet(spec.max) && value > spec.max) miss = Math.max(miss, value - spec.max);
+  return miss / span;
+}
+
+export function activeTargets(targets) {
+  return Object.fromEntries(Object.entries(targets).filter(([key, spec]) =>
+    key in ARCHITECTURE_PROPERTIES && spec && (isSet(spec.target) || isSet(spec.min) || isSet(spec.max))
+  ));
+}
+
+export function distanceToTarget(architecture, targets) {
+  const entries = Object.entries(targets);
+  const sumSquares = entries.reduce((sum, [key, spec]) => sum + targetMiss(key, architecture[key], spec) ** 2, 0);
+  return Math.sqrt(sumSquares / entries.length);
+}
+
+// Ranked parameter sets closest to the targets, all inside the spinnable window
+// and all predicted to give uniform round fibers
+export function inverseDesign(targets, { engine = DEFAULT_ENGINE, ...options } = {}) {
+  const active = activeTargets(targets);
+  if (Object.keys(active).length === 0) {
+    throw new Error('Specify a target, minimum or maximum for at least one property');
+  }
+
+  const objective = (params) => {
+    const architecture = predictArchitectureWith(params, engine);
+    if (isDefective(architecture) || isRibbon(architecture)) return Infinity;
+    return distanceToTarget(architecture, active);
+  };
+
+  const ranked = minimize(objective, options);
+  if (ranked.length === 0) {
+    throw new Error('No bead-free, round-fiber recipe inside the concentration window was found');
+  }
+
+  return ranked.map(({ params, value }, index) => {
+    const architecture = predictArchitectureWith(params, engine);
+    return {
+      rank: index + 1,
+      params,
+      architecture,
+      distance: value,
+      misses: Object.fromEntries(Object.entries(active).map(([key, spec]) => [key, targetMiss(key, architecture[key], spec)]))
+    };
+  });
+}
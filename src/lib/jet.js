@@ -0,0 +1,76 @@
+// Electrohydrodynamic jet diagnostics: nominal field strength, Taylor cone
+// onset and stability regime, jet current, and the terminal jet and dry fiber
+// diameters from the Fridrikh et al. (2003) scaling law. Surface tension and
+// conductivity are estimated from concentration; the needle is a 21 G, 5 cm
+// blunt needle.
+
+import { volumeFraction } from './solution.js';
+
+const VACUUM_PERMITTIVITY = 8.854e-12; // F/m
+const WATER_PERMITTIVITY = 80; // relative
+const NEEDLE_LENGTH = 5; // cm
+const NEEDLE_RADIUS = 0.041; // cm, 21 G outer radius
+
+// Fernández de la Mora–Loscertales cone-jet prefactor for high-permittivity liquids
+const CONE_JET_PREFACTOR = 18;
+
+// Ratio of the whipping wavelength to the jet diameter in the Fridrikh law
+const WHIPPING_RATIO = 10;
+
+// Above this multiple of the onset voltage the cone recedes into the needle and splits into several jets
+const MULTI_JET_RATIO = 2;
+
+export const JET_REGIMES = {
+  dripping: 'Below cone onset: dripping',
+  coneJet: 'Stable cone-jet',
+  multiJet: 'Multi-jet / unstable cone'
+};
+
+// Surface tension (N/m): water's 0.072 lowered by the surface-active polymer toward ~0.05
+export function surfaceTension(concentration) {
+  return 0.072 - 0.022 * (1 - Math.exp(-concentration / 3));
+}
+
+// Conductivity (S/m), carried by residual acetate salts and so roughly proportional to polymer content
+export function conductivity(concentration) {
+  return 0.005 * concentration;
+}
+
+// Taylor (1969) onset voltage (kV) for a needle of length L at height H above a plate:
+// V² = (4H²/L²)·(ln(2L/R) − 3/2)·(0.117·π·γ·R), lengths in cm and γ in dyn/cm
+export function onsetVoltage({ concentration, distance }) {
+  const gamma = surfaceTension(concentration) * 1000;
+  const geometry = 4 * distance ** 2 / NEEDLE_LENGTH ** 2 * (Math.log(2 * NEEDLE_LENGTH / NEEDLE_RADIUS) - 1.5);
+  return Math.sqrt(geometry * 0.117 * Math.PI * gamma * NEEDLE_RADIUS);
+}
+
+// { fieldStrength (kV/cm), onsetVoltage (kV), voltageRatio, regime, surfaceTension (N/m),
+//   conductivity (S/m), current (µA), jetDiameter (nm), fiberDiameter (nm) }
+export function jetDiagnostics({ concentration, voltage, flowRate, distance }) {
+  const gamma = surfaceTension(concentration);
+  const K = conductivity(concentration);
+  const Q = flowRate * 1e-6 / 3600; // m³/s
+  const fieldStrength = voltage / distance;
+  const onset = onsetVoltage({ concentration, distance });
+  const voltageRatio = voltage / onset;
+  const regime = voltageRatio < 1 ? 'dripping' : voltageRatio < MULTI_JET_RATIO ? 'coneJet' : 'multiJet';
+
+  // Cone-jet current at onset, rising in proportion to the field beyond it (I ∝ E·Q^½)
+  const current = CONE_JET_PREFACTOR * Math.sqrt(gamma * K * Q / WATER_PERMITTIVITY) * Math.max(1, voltageRatio);
+
+  // Fridrikh et al.: h = (γ·ε·Q² / (I²·(2 ln χ − 3)))^⅓, and the dry fiber keeps the polymer: d = h·φ^½
+  const permittivity = WATER_PERMITTIVITY * VACUUM_PERMITTIVITY;
+  const jetDiameter = Math.cbrt(gamma * permittivity * Q ** 2 / (current ** 2 * (2 * Math.log(WHIPPING_RATIO) - 3)));
+
+  return {
+    fieldStrength,
+    onsetVoltage: onset,
+    voltageRatio,
+    regime,
+    surfaceTension: gamma,
+    conductivity: K,
+    current: current * 1e6,
+    jetDiameter: jetDiameter * 1e9,
+    fiberDiameter: jetDiameter * Math.sqrt(volumeFraction(concentration)) * 1e9
+  };
+}
@@ -0,0 +1,121 @@
+// Experiment logbook: measured Stage 1 properties for real runs, compared
+// with the model's prediction for the same recipe (parity, residuals, R²/RMSE).
+
+import { ARCHITECTURE_PROPERTIES, DEFAULT_ENGINE, PARAMETER_KEYS, PARAMETER_RANGES, predictArchitectureWith } from './predictor.js';
+import { normalizeRecipe } from './batch.js';
+
+export const LOGBOOK_STORAGE_KEY = 'pva-experiment-log';
+
+// Every Stage 1 property can be logged; all are optional per entry
+export const MEASURED_PROPERTIES = Object.keys(ARCHITECTURE_PROPERTIES);
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// entry: { date, operator, lot, params, measured: { [property]: number }, notes }
+// Throws with a message naming the first problem.
+export function validateEntry({ date, params, measured }) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date ?? '')) throw new Error('Date must be in YYYY-MM-DD format');
+  for (const key of PARAMETER_KEYS) {
+    const { label, min, max } = PARAMETER_RANGES[key];
+    if (!Number.isFinite(params[key]) || params[key] < min || params[key] > max) {
+      throw new Error(`${label} must be a number between ${min} and ${max}`);
+    }
+  }
+  const keys = Object.keys(measured);
+  if (keys.length === 0) throw new Error('Enter at least one measured property');
+  for (const key of keys) {
+    if (!ARCHITECTURE_PROPERTIES[key]) throw new Error(`Unknown property "${key}"`);
+    if (!Number.isFinite(measured[key])) throw new Error(`${ARCHITECTURE_PROPERTIES[key].label} must be a number`);
+  }
+}
+
+// Logbook entries from spreadsheet records: the columns of logbookRows() or a
+// filled-in DoE run sheet (measured_* columns). Rows without any measurement are skipped.
+export function parseLogbookRecords(records) {
+  const entries = [];
+  const errors = [];
+  records.forEach((record, index) => {
+    const lookup = Object.fromEntries(Object.entries(record).map(([key, value]) => [key.trim().toLowerCase(), value]));
+    const { params, errors: recipeErrors } = normalizeRecipe(record);
+    const measured = {};
+    for (const key of MEASURED_PROPERTIES) {
+      const raw = lookup[`measured_${key.toLowerCase()}`];
+      if (!isBlank(raw)) measured[key] = typeof raw === 'number' ? raw : parseFloat(raw);
+    }
+    if (Object.keys(measured).length === 0) return;
+
+    const entry = {
+      date: isBlank(lookup.date) ? new Date().toISOString().slice(0, 10) : String(lookup.date).trim(),
+      operator: isBlank(lookup.operator) ? '' : String(lookup.operator).trim(),
+      lot: isBlank(lookup.pva_lot) ? '' : String(lookup.pva_lot).trim(),
+      params,
+      measured,
+      notes: isBlank(lookup.notes) ? '' : String(lookup.notes).trim()
+    };
+    try {
+      if (recipeErrors.length > 0) throw new Error(recipeErrors.join('; '));
+      validateEntry(entry);
+      entries.push(entry);
+    } catch (err) {
+      errors.push(`Row ${index + 1}: ${err.message}`);
+    }
+  });
+  return { entries, errors };
+}
+
+// Flat rows for export; re-importable with parseLogbookRecords
+export function logbookRows(entries, engine = DEFAULT_ENGINE) {
+  return entries.map(entry => {
+    const predicted = predictArchitectureWith(entry.params, engine);
+    return {
+      date: entry.date,
+      operator: entry.operator,
+      pva_lot: entry.lot,
+      ...entry.params,
+      ...Object.fromEntries(MEASURED_PROPERTIES.flatMap(key => [
+        [`measured_${key}`, entry.measured[key] ?? ''],
+        [`predicted_${key}`, Number(predicted[key].toFixed(2))]
+      ])),
+      notes: entry.notes
+    };
+  });
+}
+
+// One point per measured value: { index, entry, property, measured, predicted, residual }
+export function comparisonPoints(entries, engine = DEFAULT_ENGINE) {
+  return entries.flatMap((entry, index) => {
+    const predicted = predictArchitectureWith(entry.params, engine);
+    return Object.entries(entry.measured).map(([property, measured]) => ({
+      index,
+      entry,
+      property,
+      measured,
+      predicted: predicted[property],
+      residual: measured - predicted[property]
+    }));
+  });
+}
+
+// Per-property agreement: { property, n, r2, rmse, bias, mae }.
+// R² is 1 − SS_res/SS_tot against the measured mean, so it can be negative;
+// it needs two or more distinct measurements and is null otherwise.
+export function agreementStats(entries, engine = DEFAULT_ENGINE) {
+  const points = comparisonPoints(entries, engine);
+  return MEASURED_PROPERTIES.map(property => {
+    const residuals = points.filter(point => point.property === property);
+    const n = residuals.length;
+    if (n === 0) return { property, n, r2: null, rmse: null, bias: null, mae: null };
+
+    const mean = residuals.reduce((sum, point) => sum + point.measured, 0) / n;
+    const ssTot = residuals.reduce((sum, point) => sum + (point.measured - mean) ** 2, 0);
+    const ssRes = residuals.reduce((sum, point) => sum + point.residual ** 2, 0);
+    return {
+      property,
+      n,
+      r2: n >= 2 && ssTot > 0 ? 1 - ssRes / ssTot : null,
+      rmse: Math.sqrt(ssRes / n),
+      bias: residuals.reduce((sum, point) => sum + point.residual, 0) / n,
+      mae: residuals.reduce((sum, point) => sum + Math.abs(point.residual), 0) / n
+    };
+  }).filter(stat => stat.n > 0);
+}
@@ -0,0 +1,36 @@
+// Catalogue of every numeric model output, addressable by a "group.key" id,
+// so analysis tools can let the user pick any property or score.
+
+import {
+  ARCHITECTURE_PROPERTIES,
+  BIOLOGY_OUTCOMES,
+  APPLICATIONS,
+  CELL_TYPES
+} from './predictor.js';
+
+export const METRIC_GROUPS = {
+  architecture: 'Stage 1: Scaffold Properties',
+  biology: 'Stage 2: Biological Outcomes',
+  applicationScores: 'Application Scores',
+  cellScores: 'Cell Scores'
+};
+
+export const METRICS = [
+  ...Object.entries(ARCHITECTURE_PROPERTIES).map(([key, meta]) => ({ id: `architecture.${key}`, group: 'architecture', key, ...meta })),
+  ...Object.entries(BIOLOGY_OUTCOMES).map(([key, meta]) => ({ id: `biology.${key}`, group: 'biology', key, ...meta })),
+  ...Object.entries(APPLICATIONS).map(([key, label]) => ({ id: `applicationScores.${key}`, group: 'applicationScores', key, label, unit: '', min: 0, max: 100 })),
+  ...Object.entries(CELL_TYPES).map(([key, label]) => ({ id: `cellScores.${key}`, group: 'cellScores', key, label, unit: '', min: 0, max: 100 }))
+];
+
+export const METRICS_BY_ID = Object.fromEntries(METRICS.map(metric => [metric.id, metric]));
+
+// Read a metric from a predict() result
+export function metricValue(result, id) {
+  const { group, key } = METRICS_BY_ID[id];
+  return result[group][key];
+}
+
+export function metricLabel(id) {
+  const { label, unit } = METRICS_BY_ID[id];
+  return unit ? `${label} (${unit})` : label;
+}
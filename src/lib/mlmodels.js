@@ -0,0 +1,189 @@
+// Trained models for either stage, loaded from JSON: tree ensembles (random
+// forest, gradient boosting), small multilayer perceptrons and Gaussian
+// processes. Models come from elsewhere or from training.js; this module
+// validates a serialized model and runs it.
+// See "Trained Model File Format" in the README.
+
+import { ARCHITECTURE_PROPERTIES, BIOLOGY_OUTCOMES, PARAMETER_KEYS } from './predictor.js';
+
+export const ML_MODELS_KEY = 'pva-ml-models';
+export const ML_SELECTION_KEY = 'pva-ml-selection';
+export const FORMULAS = 'formulas';
+
+export const MODEL_TYPES = {
+  treeEnsemble: 'Tree ensemble',
+  mlp: 'Neural network (MLP)',
+  gp: 'Gaussian process'
+};
+
+// What a model's outputs mean: the property itself, or a correction added to the formula value
+export const MODEL_BASES = {
+  none: 'Replaces the formulas',
+  formulas: 'Correction added to the formulas'
+};
+
+export const MODEL_STAGES = {
+  architecture: 'Stage 1: process → architecture',
+  biology: 'Stage 2: architecture → biology'
+};
+
+// Names a model may read and predict, per stage
+export const STAGE_INPUTS = {
+  architecture: PARAMETER_KEYS,
+  biology: [...Object.keys(ARCHITECTURE_PROPERTIES), ...PARAMETER_KEYS]
+};
+
+export const STAGE_OUTPUTS = {
+  architecture: ARCHITECTURE_PROPERTIES,
+  biology: BIOLOGY_OUTCOMES
+};
+
+const ACTIVATIONS = {
+  linear: (x) => x,
+  relu: (x) => Math.max(0, x),
+  tanh: Math.tanh,
+  sigmoid: (x) => 1 / (1 + Math.exp(-x))
+};
+
+const isNumberArray = (value, length) => Array.isArray(value) && value.length === length && value.every(Number.isFinite);
+
+// Validate the tree nodes and return a function x → leaf value array
+function compileTree(nodes, inputCount, outputCount, label) {
+  if (!Array.isArray(nodes) || nodes.length === 0) throw new Error(`${label} has no nodes`);
+  nodes.forEach((node, i) => {
+    if ('value' in node) {
+      const value = typeof node.value === 'number' ? [node.value] : node.value;
+      if (!isNumberArray(value, outputCount)) throw new Error(`${label}, node ${i}: leaf value needs ${outputCount} number(s)`);
+      return;
+    }
+    const { feature, threshold, left, right } = node;
+    if (!Number.isInteger(feature) || feature < 0 || feature >= inputCount) throw new Error(`${label}, node ${i}: feature must be an input index 0–${inputCount - 1}`);
+    if (!Number.isFinite(threshold)) throw new Error(`${label}, node ${i}: threshold must be a number`);
+    // Children must come later in the array, which also rules out cycles
+    for (const child of [left, right]) {
+      if (!Number.isInteger(child) || child <= i || child >= nodes.length) throw new Error(`${label}, node ${i}: children must be later node indices`);
+    }
+  });
+
+  return (x) => {
+    let node = nodes[0];
+    while (!('value' in node)) node = nodes[x[node.feature] <= node.threshold ? node.left : node.right];
+    return typeof node.value === 'number' ? [node.value] : node.value;
+  };
+}
+
+// Random forest: mean of the trees. Gradient boosting: baseScore + learningRate·Σ trees.
+function compileTreeEnsemble(spec, inputCount, outputCount) {
+  const { trees, aggregation = 'mean', learningRate = 1 } = spec;
+  const baseScore = spec.baseScore ?? new Array(outputCount).fill(0);
+  if (!Array.isArray(trees) || trees.length === 0) throw new Error('A tree ensemble needs a non-empty "trees" array');
+  if (aggregation !== 'mean' && aggregation !== 'sum') throw new Error('"aggregation" must be "mean" (random forest) or "sum" (gradient boosting)');
+  if (!Number.isFinite(learningRate)) throw new Error('"learningRate" must be a number');
+  if (!isNumberArray(baseScore, outputCount)) throw new Error(`"baseScore" needs ${outputCount} number(s)`);
+
+  const compiled = trees.map((nodes, t) => compileTree(nodes, inputCount, outputCount, `Tree ${t}`));
+  return (x) => {
+    const total = new Array(outputCount).fill(0);
+    for (const tree of compiled) tree(x).forEach((value, k) => { total[k] += value; });
+    return aggregation === 'mean'
+      ? total.map(value => value / compiled.length)
+      : total.map((value, k) => baseScore[k] + learningRate * value);
+  };
+}
+
+// Dense layers, weights[out][in]; optional standardization of inputs and outputs
+function compileMLP(spec, inputCount, outputCount) {
+  const { layers, inputScaling, outputScaling } = spec;
+  if (!Array.isArray(layers) || layers.length === 0) throw new Error('An MLP needs a non-empty "layers" array');
+
+  let width = inputCount;
+  layers.forEach(({ weights, bias, activation = 'relu' }, l) => {
+    if (!Array.isArray(weights) || weights.length === 0 || !weights.every(row => isNumberArray(row, width))) {
+      throw new Error(`Layer ${l}: "weights" must be rows of ${width} number(s)`);
+    }
+    if (!isNumberArray(bias, weights.length)) throw new Error(`Layer ${l}: "bias" needs ${weights.length} number(s)`);
+    if (!ACTIVATIONS[activation]) throw new Error(`Layer ${l}: unknown activation "${activation}" (use ${Object.keys(ACTIVATIONS).join(', ')})`);
+    width = weights.length;
+  });
+  if (width !== outputCount) throw new Error(`The last layer has ${width} units but the model lists ${outputCount} output(s)`);
+
+  for (const [name, scaling, size] of [['inputScaling', inputScaling, inputCount], ['outputScaling', outputScaling, outputCount]]) {
+    if (scaling && !(isNumberArray(scaling.mean, size) && isNumberArray(scaling.std, size) && scaling.std.every(s => s !== 0))) {
+      throw new Error(`"${name}" needs "mean" and non-zero "std" arrays of length ${size}`);
+    }
+  }
+
+  return (x) => {
+    let values = inputScaling ? x.map((v, i) => (v - inputScaling.mean[i]) / inputScaling.std[i]) : x;
+    for (const { weights, bias, activation = 'relu' } of layers) {
+      values = weights.map((row, j) => ACTIVATIONS[activation](row.reduce((sum, w, i) => sum + w * values[i], bias[j])));
+    }
+    return outputScaling ? values.map((v, k) => v * outputScaling.std[k] + outputScaling.mean[k]) : values;
+  };
+}
+
+// One squared-exponential component per output: mean + scale·Σ k(x, pointᵢ)·alphaᵢ
+function compileGP(spec, inputCount, outputCount) {
+  const { components, inputScaling } = spec;
+  if (!Array.isArray(components) || components.length !== outputCount) throw new Error(`A Gaussian process needs one entry in "components" per output (${outputCount})`);
+  components.forEach(({ points, alpha, lengthScale, signalVariance = 1, mean = 0, scale = 1 }, k) => {
+    if (!Array.isArray(points) || points.length === 0 || !points.every(point => isNumberArray(point, inputCount))) {
+      throw new Error(`Component ${k}: "points" must be rows of ${inputCount} number(s)`);
+    }
+    if (!isNumberArray(alpha, points.length)) throw new Error(`Component ${k}: "alpha" needs ${points.length} number(s)`);
+    if (!(lengthScale > 0) || !Number.isFinite(signalVariance) || !Number.isFinite(mean) || !Number.isFinite(scale)) {
+      throw new Error(`Component ${k}: "lengthScale" must be positive and "signalVariance", "mean", "scale" numbers`);
+    }
+  });
+  if (inputScaling && !(isNumberArray(inputScaling.mean, inputCount) && isNumberArray(inputScaling.std, inputCount) && inputScaling.std.every(s => s !== 0))) {
+    throw new Error(`"inputScaling" needs "mean" and non-zero "std" arrays of length ${inputCount}`);
+  }
+
+  return (x) => {
+    const z = inputScaling ? x.map((v, i) => (v - inputScaling.mean[i]) / inputScaling.std[i]) : x;
+    return components.map(({ points, alpha, lengthScale, signalVariance = 1, mean = 0, scale = 1 }) => {
+      const sum = points.reduce((total, point, i) => {
+        const d2 = point.reduce((acc, p, j) => acc + (p - z[j]) ** 2, 0);
+        return total + signalVariance * Math.exp(-d2 / (2 * lengthScale ** 2)) * alpha[i];
+      }, 0);
+      return mean + scale * sum;
+    });
+  };
+}
+
+// Parse a model file's JSON object. Throws with a message naming the first problem.
+// Returns { name, stage, type, base, inputs, outputs, description, spec, predict(values) → { [output]: number } }
+export function loadModel(spec) {
+  if (!spec || typeof spec !== 'object') throw new Error('A model file must contain a JSON object');
+  const { name, stage, type, inputs, outputs, base = 'none', description = '' } = spec;
+  if (typeof name !== 'string' || !name.trim()) throw new Error('The model needs a "name"');
+  if (!MODEL_STAGES[stage]) throw new Error(`"stage" must be one of ${Object.keys(MODEL_STAGES).join(', ')}`);
+  if (!MODEL_TYPES[type]) throw new Error(`"type" must be one of ${Object.keys(MODEL_TYPES).join(', ')}`);
+  if (!MODEL_BASES[base]) throw new Error(`"base" must be one of ${Object.keys(MODEL_BASES).join(', ')}`);
+  if (!Array.isArray(inputs) || inputs.length === 0) throw new Error('"inputs" must list the feature names');
+  for (const input of inputs) {
+    if (!STAGE_INPUTS[stage].includes(input)) throw new Error(`Unknown ${stage} input "${input}"`);
+  }
+  if (!Array.isArray(outputs) || outputs.length === 0) throw new Error('"outputs" must list the predicted properties');
+  for (const output of outputs) {
+    if (!STAGE_OUTPUTS[stage][output]) throw new Error(`Unknown ${stage} output "${output}"`);
+  }
+
+  const compile = { treeEnsemble: compileTreeEnsemble, mlp: compileMLP, gp: compileGP }[type];
+  const run = compile(spec, inputs.length, outputs.length);
+
+  return {
+    name: name.trim(),
+    stage,
+    type,
+    base,
+    inputs,
+    outputs,
+    description,
+    spec,
+    predict(values) {
+      const result = run(inputs.map(input => values[input]));
+      return Object.fromEntries(outputs.map((output, k) => [output, result[k]]));
+    }
+  };
+}
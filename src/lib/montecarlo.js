@@ -0,0 +1,109 @@
+// Monte Carlo propagation of Stage 1 uncertainty through the two-stage chain.
+//
+// Stage 2 uses hard thresholds on Stage 1 outputs (poreSize > 6, youngsModulus < 35,
+// ...), so a small Stage 1 error can flip a call. Each draw perturbs the Stage 1
+// outputs by their residual σ (see uncertainty.js), clips them to the physical
+// range and re-runs Stage 2 and the scoring functions on the perturbed architecture.
+
+import {
+  ARCHITECTURE_PROPERTIES,
+  BIOLOGY_OUTCOMES,
+  DEFAULT_ENGINE,
+  predictArchitectureWith,
+  predictBiology,
+  calculateApplicationScores,
+  calculateCellScores
+} from './predictor.js';
+import { residualSigmas } from './uncertainty.js';
+import { createRng, normal } from './random.js';
+
+const HISTOGRAM_BINS = 10;
+
+// "Osteogenic (stiff substrate)" -> "Osteogenic"
+export function lineageName(mscLineage) {
+  return mscLineage.replace(/\s*\(.*\)$/, '');
+}
+
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function summarize(values, histogramRange) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const sd = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+  const summary = {
+    mean,
+    sd,
+    p05: quantile(sorted, 0.05),
+    p50: quantile(sorted, 0.5),
+    p95: quantile(sorted, 0.95)
+  };
+
+  if (histogramRange) {
+    const [min, max] = histogramRange;
+    const width = (max - min) / HISTOGRAM_BINS;
+    const counts = new Array(HISTOGRAM_BINS).fill(0);
+    for (const v of values) {
+      counts[Math.min(HISTOGRAM_BINS - 1, Math.max(0, Math.floor((v - min) / width)))]++;
+    }
+    summary.histogram = counts.map((count, i) => ({
+      from: min + i * width,
+      to: min + (i + 1) * width,
+      probability: count / values.length
+    }));
+  }
+
+  return summary;
+}
+
+// Run the chain `samples` times for one parameter set
+export function propagateUncertainty(params, { samples = 1000, seed = 42, engine = DEFAULT_ENGINE } = {}) {
+  const rng = createRng(seed);
+  const sigmas = residualSigmas().architecture;
+  const base = predictArchitectureWith(params, engine);
+
+  const draws = Array.from({ length: samples }, () => {
+    const architecture = { ...base };
+    for (const [key, { min, max }] of Object.entries(ARCHITECTURE_PROPERTIES)) {
+      architecture[key] = Math.max(min, Math.min(max, base[key] + normal(rng) * sigmas[key]));
+    }
+    return {
+      biology: predictBiology(architecture, params, engine.models.biology),
+      applicationScores: calculateApplicationScores(architecture),
+      cellScores: calculateCellScores(architecture)
+    };
+  });
+
+  const lineageCounts = {};
+  for (const { biology } of draws) {
+    const name = lineageName(biology.mscLineage);
+    lineageCounts[name] = (lineageCounts[name] ?? 0) + 1;
+  }
+
+  const summarizeGroup = (group, keys, range) => Object.fromEntries(
+    keys.map(key => [key, summarize(draws.map(d => d[group][key]), range)])
+  );
+
+  return {
+    samples,
+    lineage: Object.fromEntries(
+      Object.entries(lineageCounts)
+        .sort((a, b) => b[1] - a[1])
+        .map(([name, count]) => [name, count / samples])
+    ),
+    biology: summarizeGroup('biology', Object.keys(BIOLOGY_OUTCOMES)),
+    applicationScores: summarizeGroup('applicationScores', Object.keys(draws[0].applicationScores), [0, 100]),
+    cellScores: summarizeGroup('cellScores', Object.keys(draws[0].cellScores), [0, 100])
+  };
+}
+
+// "Osteogenic 62%, Chondrogenic 38%"
+export function formatLineage(lineage) {
+  return Object.entries(lineage)
+    .map(([name, p]) => `${name} ${Math.round(p * 100)}%`)
+    .join(', ');
+}
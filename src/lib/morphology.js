@@ -0,0 +1,86 @@
+// Probabilistic fiber morphology classifier.
+//
+// Jet stability comes first: a flow rate the applied voltage cannot draw into
+// a Taylor cone drips instead of spinning. A stable jet then forms particles,
+// beads-on-string, beaded or uniform fibers according to the solution's
+// entanglement number (Shenoy et al. 2005: fibers from ne ≈ 2, bead-free from
+// ne ≈ 3.5), shifted by voltage and flow rate, and very viscous solutions
+// (high Berry number) flatten into ribbons. Thresholds are soft, so each class
+// gets a probability rather than a hard call.
+//
+// The criteria describe fully hydrolyzed PVA. A partially hydrolyzed grade is
+// classified at its viscosity-equivalent concentration, so its lower viscosity
+// shifts the classes to higher concentrations together with the window's upper limit.
+
+import { ENTANGLEMENT_COMPLETE, ENTANGLEMENT_ONSET, solutionProperties, viscosityEquivalentConcentration } from './solution.js';
+
+// Ordered from least to most entangled, then the two process failures
+export const MORPHOLOGIES = {
+  spray: 'Electrospray / particles',
+  beadsOnString: 'Beads-on-string',
+  beaded: 'Beaded fibers',
+  uniform: 'Uniform, bead-free fibers',
+  ribbon: 'Ribbon / flat fibers',
+  dripping: 'Jet failure / dripping'
+};
+
+// Chart colors per class, shared by the phase map and the probability bar
+export const MORPHOLOGY_COLORS = {
+  spray: '#fca5a5',
+  beadsOnString: '#fdba74',
+  beaded: '#fde68a',
+  uniform: '#86efac',
+  ribbon: '#c4b5fd',
+  dripping: '#9ca3af'
+};
+
+// Classes that do not give a usable fibrous mat
+export const DEFECTIVE_MORPHOLOGIES = ['spray', 'beadsOnString', 'beaded', 'dripping'];
+
+// Entanglement-number cut points between spray | beads-on-string | beaded | uniform
+const CUT_POINTS = [1, ENTANGLEMENT_ONSET, ENTANGLEMENT_COMPLETE];
+// Width of each soft threshold, in ln(ne)
+const SPREAD = 0.12;
+
+// Faster feed and a stronger pull both leave less time for the jet to stretch
+// evenly, so they act like fewer entanglements (fractional change per unit)
+const FLOW_SHIFT = 0.1;
+const VOLTAGE_SHIFT = 0.02;
+
+// Highest flow rate (mL/h) a stable cone sustains at a given voltage, and the transition width
+const maxStableFlow = (voltage) => 1.2 + 0.15 * (voltage - 10);
+const DRIP_SPREAD = 0.2;
+
+// Berry number at which fibers flatten, and its transition width
+const RIBBON_BERRY = 11;
+const RIBBON_SPREAD = 0.5;
+
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+// { [class]: probability } summing to 1, in MORPHOLOGIES order
+export function morphologyProbabilities({ mw, concentration, voltage, flowRate, hydrolysis }) {
+  const equivalent = viscosityEquivalentConcentration({ mw, concentration, hydrolysis });
+  const { entanglementNumber, berryNumber } = solutionProperties({ mw, concentration: equivalent });
+  const effective = Math.log(entanglementNumber) - FLOW_SHIFT * (flowRate - 1.5) - VOLTAGE_SHIFT * (voltage - 17.5);
+
+  // Ordinal model: P(ne above each cut point)
+  const above = CUT_POINTS.map(cut => sigmoid((effective - Math.log(cut)) / SPREAD));
+  const dripping = sigmoid((flowRate - maxStableFlow(voltage)) / DRIP_SPREAD);
+  const ribbonShare = sigmoid((berryNumber - RIBBON_BERRY) / RIBBON_SPREAD);
+  const stable = 1 - dripping;
+
+  return {
+    spray: stable * (1 - above[0]),
+    beadsOnString: stable * (above[0] - above[1]),
+    beaded: stable * (above[1] - above[2]),
+    uniform: stable * above[2] * (1 - ribbonShare),
+    ribbon: stable * above[2] * ribbonShare,
+    dripping
+  };
+}
+
+// Most probable class
+export function classifyMorphology(params) {
+  const probabilities = morphologyProbabilities(params);
+  return Object.keys(probabilities).reduce((best, key) => (probabilities[key] > probabilities[best] ? key : best));
+}
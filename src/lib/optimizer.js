@@ -0,0 +1,99 @@
+// Application-targeted optimizer: searches the processing-parameter space for the
+// recipe that maximises one application's suitability score, staying inside
+// the concentration window and rejecting beaded, sprayed or dripping morphologies
+// as well as ribbons.
+
+import {
+  APPLICATIONS,
+  DEFAULT_ENGINE,
+  PARAMETER_KEYS,
+  PARAMETER_RANGES,
+  concentrationWindow,
+  predictArchitectureWith,
+  calculateApplicationScores
+} from './predictor.js';
+import { DEFECTIVE_MORPHOLOGIES, MORPHOLOGIES } from './morphology.js';
+import { minimize } from './search.js';
+
+const IMPORTANCE_STEPS = 15;
+
+const DEFECTIVE_LABELS = DEFECTIVE_MORPHOLOGIES.map(key => MORPHOLOGIES[key]);
+
+// Beads, particles or dripping rather than a usable fiber mat
+export function isDefective(architecture) {
+  return DEFECTIVE_LABELS.includes(architecture.morphology);
+}
+
+// Ribbons still form a mat, but they sit at the needle's viscosity limit and the
+// Stage 1 formulas assume round fibers, so their predictions are not trusted by
+// the searches
+export function isRibbon(architecture) {
+  return architecture.morphology === MORPHOLOGIES.ribbon;
+}
+
+function applicationScore(application, params, engine) {
+  const architecture = predictArchitectureWith(params, engine);
+  if (isDefective(architecture) || isRibbon(architecture)) return null;
+  return calculateApplicationScores(architecture)[application];
+}
+
+// Score swing from sweeping one parameter over its feasible range, others fixed
+function parameterImportance(application, params, engine) {
+  const swings = Object.fromEntries(PARAMETER_KEYS.map(key => {
+    let { min, max } = PARAMETER_RANGES[key];
+    if (key === 'concentration') {
+      const { minConc, maxConc } = concentrationWindow(params.mw, params.hydrolysis);
+      min = Math.max(min, minConc);
+      max = Math.min(max, maxConc);
+    }
+
+    const scores = [];
+    for (let i = 0; i <= IMPORTANCE_STEPS; i++) {
+      const trial = { ...params, [key]: min + (max - min) * i / IMPORTANCE_STEPS };
+      if (key === 'mw') {
+        // Keep concentration spinnable while MW moves the window
+        const { minConc, maxConc } = concentrationWindow(trial.mw, trial.hydrolysis);
+        trial.concentration = Math.max(minConc, Math.min(maxConc, trial.concentration));
+      }
+      const score = applicationScore(application, trial, engine);
+      if (score !== null) scores.push(score);
+    }
+    return [key, scores.length > 0 ? Math.max(...scores) - Math.min(...scores) : 0];
+  }));
+
+  const total = Object.values(swings).reduce((sum, v) => sum + v, 0);
+  return PARAMETER_KEYS.map(key => ({
+    parameter: key,
+    label: PARAMETER_RANGES[key].label,
+    swing: swings[key],
+    share: total > 0 ? swings[key] / total : 0
+  })).sort((a, b) => b.swing - a.swing);
+}
+
+// Best recipe, runner-up alternatives and parameter importance for one application
+export function optimizeApplication(application, { alternatives = 4, engine = DEFAULT_ENGINE, ...options } = {}) {
+  if (!(application in APPLICATIONS)) {
+    throw new Error(`Unknown application "${application}"; expected one of ${Object.keys(APPLICATIONS).join(', ')}`);
+  }
+
+  const objective = (params) => {
+    const score = applicationScore(application, params, engine);
+    return score === null ? Infinity : -score;
+  };
+
+  const ranked = minimize(objective, { results: alternatives + 1, ...options }).map(({ params, value }) => {
+    const architecture = predictArchitectureWith(params, engine);
+    return { params, score: -value, architecture, scores: calculateApplicationScores(architecture) };
+  });
+
+  if (ranked.length === 0) {
+    throw new Error(`No bead-free, round-fiber, stable-jet recipe inside the concentration window was found for ${APPLICATIONS[application]}`);
+  }
+
+  return {
+    application,
+    best: ranked[0],
+    alternatives: ranked.slice(1),
+    importance: parameterImportance(application, ranked[0].params, engine)
+  };
+}
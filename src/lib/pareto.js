@@ -0,0 +1,44 @@
+// Multi-objective exploration: sample the processing-parameter space and find the
+// designs that are not dominated on the chosen objectives.
+
+import { DEFAULT_ENGINE, PARAMETER_KEYS, PARAMETER_RANGES, predictWith } from './predictor.js';
+import { metricValue } from './metrics.js';
+import { randomFeasible, roundToSteps, snapToSteps } from './search.js';
+import { createRng, uniform } from './random.js';
+
+// Random designs over the slider ranges, optionally limited to the spinnable window
+export function sampleDesigns(count, { seed = 11, spinnableOnly = true, engine = DEFAULT_ENGINE } = {}) {
+  const rng = createRng(seed);
+  return Array.from({ length: count }, () => {
+    const raw = spinnableOnly
+      ? randomFeasible(rng)
+      : Object.fromEntries(PARAMETER_KEYS.map(key => [key, uniform(rng, PARAMETER_RANGES[key].min, PARAMETER_RANGES[key].max)]));
+    const params = spinnableOnly ? snapToSteps(raw) : roundToSteps(raw);
+    return { params, result: predictWith(params, engine) };
+  });
+}
+
+// a dominates b when it is no worse on every objective and better on one
+function dominates(a, b) {
+  let strictlyBetter = false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] < b[i]) return false;
+    if (a[i] > b[i]) strictlyBetter = true;
+  }
+  return strictlyBetter;
+}
+
+// objectives: [{ id: 'architecture.tensileStrength', direction: 'max' | 'min' }, ...]
+// Returns the designs annotated with objective values and a `pareto` flag.
+export function paretoFront(designs, objectives) {
+  // Flip minimised objectives so "larger is better" everywhere
+  const oriented = designs.map(({ result }) => objectives.map(({ id, direction }) =>
+    (direction === 'min' ? -1 : 1) * metricValue(result, id)
+  ));
+
+  return designs.map((design, i) => ({
+    ...design,
+    values: objectives.map(({ id }) => metricValue(design.result, id)),
+    pareto: !oriented.some((other, j) => j !== i && dominates(other, oriented[i]))
+  }));
+}
@@ -0,0 +1,99 @@
+// MW × concentration process-window map: morphology regions, the spinnable
+// concentration window and the literature observations behind them.
+
+import { DEFAULT_PARAMETERS, PARAMETER_RANGES, concentrationWindow } from './predictor.js';
+import { MORPHOLOGIES, MORPHOLOGY_COLORS, classifyMorphology, morphologyProbabilities } from './morphology.js';
+
+// Uniform-fiber probability above which a point inside the window counts as optimal
+export const OPTIMAL_CONFIDENCE = 0.8;
+
+// Map classes: the morphology classes plus the optimal part of the uniform region
+export const PHASE_CLASSES = {
+  spray: MORPHOLOGIES.spray,
+  beadsOnString: MORPHOLOGIES.beadsOnString,
+  beaded: MORPHOLOGIES.beaded,
+  uniform: MORPHOLOGIES.uniform,
+  optimal: `Optimal: uniform (≥${OPTIMAL_CONFIDENCE * 100}% likely) inside the window`,
+  ribbon: MORPHOLOGIES.ribbon,
+  dripping: MORPHOLOGIES.dripping
+};
+
+export const PHASE_COLORS = { ...MORPHOLOGY_COLORS, optimal: '#22c55e' };
+
+// Map class of one recipe: 'optimal' where uniform fibers are both likely and
+// spinnable, otherwise the most probable morphology
+export function phaseClass(params) {
+  const morphology = classifyMorphology(params);
+  if (morphology !== 'uniform' || morphologyProbabilities(params).uniform < OPTIMAL_CONFIDENCE) return morphology;
+  const { minConc, maxConc } = concentrationWindow(params.mw, params.hydrolysis);
+  return params.concentration >= minConc && params.concentration <= maxConc ? 'optimal' : morphology;
+}
+
+// Observations quoted in the MW Cascade tab. `observed` is a morphology class,
+// or 'windowEdge' for a reported lower ('min') or upper ('max') spinnability limit.
+export const PHASE_ANCHORS = [
+  { source: 'PVA 89k Da at 8 wt%: beaded fibers', mw: 89000, concentration: 8, observed: 'beaded' },
+  { source: 'PVA 98k Da at 8 wt%: beaded fibers', mw: 98000, concentration: 8, observed: 'beaded' },
+  { source: 'PVA ~125k Da: uniform, bead-free fibers (concentration not reported, plotted at 10 wt%)', mw: 125000, concentration: 10, observed: 'uniform' },
+  { source: 'PVA 88k Da: spinnable from 6 wt%', mw: 88000, concentration: 6, observed: 'windowEdge', edge: 'min' },
+  { source: 'PVA 88k Da: spinnable up to 14 wt%', mw: 88000, concentration: 14, observed: 'windowEdge', edge: 'max' },
+  { source: 'PVA 146k Da: spinnable only below 10 wt%', mw: 146000, concentration: 10, observed: 'windowEdge', edge: 'max' },
+  { source: 'PVA 186k Da: spinnable only below 10 wt%', mw: 186000, concentration: 10, observed: 'windowEdge', edge: 'max' }
+];
+
+const { mw: MW_RANGE, concentration: CONC_RANGE } = PARAMETER_RANGES;
+
+// Map regions as rectangles [mw0, mw1] × [c0, c1] at the given voltage,
+// flow rate and degree of hydrolysis, merged along each concentration row so the
+// chart needs a few hundred shapes, not thousands
+export function phaseRegions({ voltage, flowRate, hydrolysis } = DEFAULT_PARAMETERS, { mwStep = 1000, concStep = 0.1 } = {}) {
+  const columns = Math.round((MW_RANGE.max - MW_RANGE.min) / mwStep);
+  const rows = Math.round((CONC_RANGE.max - CONC_RANGE.min) / concStep);
+  const regions = [];
+
+  for (let j = 0; j < rows; j++) {
+    const c0 = CONC_RANGE.min + j * concStep;
+    const c1 = c0 + concStep;
+    let run = null;
+    for (let i = 0; i < columns; i++) {
+      const mw0 = MW_RANGE.min + i * mwStep;
+      const morphology = phaseClass({ mw: mw0 + mwStep / 2, concentration: (c0 + c1) / 2, voltage, flowRate, hydrolysis });
+      if (run && run.morphology === morphology) {
+        run.mw1 = mw0 + mwStep;
+      } else {
+        run = { morphology, mw0, mw1: mw0 + mwStep, c0, c1 };
+        regions.push(run);
+      }
+    }
+  }
+  return regions;
+}
+
+// Spinnable window as steps over MW for one degree of hydrolysis: [{ mw0, mw1, minConc, maxConc }]
+export function windowSteps({ mwStep = 1000, hydrolysis = DEFAULT_PARAMETERS.hydrolysis } = {}) {
+  const steps = [];
+  for (let mw0 = MW_RANGE.min; mw0 < MW_RANGE.max; mw0 += mwStep) {
+    const { minConc, maxConc } = concentrationWindow(mw0 + mwStep / 2, hydrolysis);
+    const last = steps[steps.length - 1];
+    if (last && last.minConc === minConc && last.maxConc === maxConc) {
+      last.mw1 = mw0 + mwStep;
+    } else {
+      steps.push({ mw0, mw1: mw0 + mwStep, minConc, maxConc });
+    }
+  }
+  return steps;
+}
+
+// How the model classifies each anchor point, and whether that matches the observation.
+// The sources do not report voltage and flow rate, so the defaults stand in.
+export function anchorAgreement() {
+  return PHASE_ANCHORS.map(anchor => {
+    const predicted = classifyMorphology({ ...DEFAULT_PARAMETERS, mw: anchor.mw, concentration: anchor.concentration });
+    const { minConc, maxConc } = concentrationWindow(anchor.mw);
+    // Window limits agree within 1 wt%
+    const agrees = anchor.observed === 'windowEdge'
+      ? Math.abs(anchor.concentration - (anchor.edge === 'min' ? minConc : maxConc)) <= 1
+      : predicted === anchor.observed;
+    return { ...anchor, predicted, window: { minConc, maxConc }, agrees };
+  });
+}
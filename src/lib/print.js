@@ -0,0 +1,43 @@
+// Printable tables: opens a bare HTML page with the records and the browser's print dialog
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+export function printTable(title, records, { columns = Object.keys(records[0] ?? {}), subtitle = '' } = {}) {
+  const page = window.open('', '_blank');
+  if (!page) throw new Error('The print window was blocked; allow pop-ups for this site');
+
+  page.document.write(`<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; font-size: 11px; margin: 16px; }
+  h1 { font-size: 16px; margin: 0 0 4px; }
+  p { margin: 0 0 12px; color: #555; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; }
+  th { background: #eee; }
+  td:empty { min-width: 60px; }
+  @media print { @page { size: landscape; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${subtitle ? `<p>${escapeHtml(subtitle)}</p>` : ''}
+<table>
+<thead><tr>${columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr></thead>
+<tbody>
+${records.map(record => `<tr>${columns.map(column => `<td>${escapeHtml(record[column])}</td>`).join('')}</tr>`).join('\n')}
+</tbody>
+</table>
+</body>
+</html>`);
+  page.document.close();
+  page.focus();
+  page.print();
+}
@@ -0,0 +1,34 @@
+// Seeded random numbers so sampling-based analyses are reproducible.
+
+// mulberry32: small, fast 32-bit PRNG returning floats in [0, 1)
+export function createRng(seed = 1) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal draw via Box-Muller
+export function normal(rng) {
+  const u = 1 - rng();
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Uniform draw in [min, max)
+export function uniform(rng, min, max) {
+  return min + (max - min) * rng();
+}
+
+// In-place Fisher-Yates shuffle
+export function shuffle(rng, items) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
@@ -0,0 +1,132 @@
+// Constrained search over the processing parameters.
+//
+// Candidates always stay inside the slider ranges and the MW-dependent
+// concentration window. The search is a seeded random multistart followed by
+// Hooke-Jeeves pattern search from the best starts; final recipes are snapped
+// to the slider steps so they can be loaded into the Predictor unchanged.
+
+import { PARAMETER_KEYS, PARAMETER_RANGES, concentrationWindow } from './predictor.js';
+import { createRng, uniform } from './random.js';
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// Pull concentration into the spinnable window for the current MW
+export function projectToWindow(params) {
+  const { minConc, maxConc } = concentrationWindow(params.mw, params.hydrolysis);
+  const range = PARAMETER_RANGES.concentration;
+  return {
+    ...params,
+    concentration: clamp(params.concentration, Math.max(minConc, range.min), Math.min(maxConc, range.max))
+  };
+}
+
+// Clamp every parameter to its slider range, then enforce the window
+export function projectToFeasible(params) {
+  const clamped = Object.fromEntries(PARAMETER_KEYS.map(key => {
+    const { min, max } = PARAMETER_RANGES[key];
+    return [key, clamp(params[key], min, max)];
+  }));
+  return projectToWindow(clamped);
+}
+
+// Round every parameter to its slider step
+export function roundToSteps(params) {
+  return Object.fromEntries(PARAMETER_KEYS.map(key => {
+    const { min, step } = PARAMETER_RANGES[key];
+    const decimals = (String(step).split('.')[1] ?? '').length;
+    return [key, Number((min + Math.round((params[key] - min) / step) * step).toFixed(decimals))];
+  }));
+}
+
+// Round to slider steps, then pull concentration back into the (possibly moved) window
+export function snapToSteps(params) {
+  return projectToFeasible(roundToSteps(params));
+}
+
+export function randomFeasible(rng) {
+  const params = Object.fromEntries(PARAMETER_KEYS.map(key => {
+    const { min, max } = PARAMETER_RANGES[key];
+    return [key, uniform(rng, min, max)];
+  }));
+  // Sample concentration inside the window rather than projecting, to avoid piling up on its edges
+  const { minConc, maxConc } = concentrationWindow(params.mw, params.hydrolysis);
+  params.concentration = uniform(rng, minConc, maxConc);
+  return params;
+}
+
+const toUnit = (params) => PARAMETER_KEYS.map(key => {
+  const { min, max } = PARAMETER_RANGES[key];
+  return (params[key] - min) / (max - min);
+});
+
+const fromUnit = (unit) => projectToFeasible(Object.fromEntries(PARAMETER_KEYS.map((key, i) => {
+  const { min, max } = PARAMETER_RANGES[key];
+  return [key, min + clamp(unit[i], 0, 1) * (max - min)];
+})));
+
+function patternSearch(objective, start, { initialStep = 0.1, minStep = 0.004, maxEvaluations = 400 }) {
+  let point = toUnit(start);
+  let best = objective(fromUnit(point));
+  let step = initialStep;
+  let evaluations = 1;
+
+  while (step > minStep && evaluations < maxEvaluations) {
+    let improved = false;
+    for (let i = 0; i < point.length; i++) {
+      for (const direction of [1, -1]) {
+        const trial = [...point];
+        trial[i] = clamp(trial[i] + direction * step, 0, 1);
+        const value = objective(fromUnit(trial));
+        evaluations++;
+        if (value < best) {
+          point = trial;
+          best = value;
+          improved = true;
+          break;
+        }
+      }
+    }
+    if (!improved) step /= 2;
+  }
+
+  return fromUnit(point);
+}
+
+// Minimise objective(params) -> number (Infinity marks an infeasible recipe).
+// Returns up to `results` distinct snapped recipes, best first.
+export function minimize(objective, { seed = 7, samples = 1500, starts = 12, results = 10 } = {}) {
+  const rng = createRng(seed);
+
+  const candidates = Array.from({ length: samples }, () => {
+    const params = randomFeasible(rng);
+    return { params, value: objective(params) };
+  }).filter(c => Number.isFinite(c.value));
+
+  candidates.sort((a, b) => a.value - b.value);
+
+  const refined = candidates.slice(0, starts).map(({ params }) => {
+    const snapped = snapToSteps(patternSearch(objective, params, {}));
+    return { params: snapped, value: objective(snapped) };
+  });
+
+  // Keep the best distinct snapped recipes, topping up from the raw samples
+  const seen = new Set();
+  const ranked = [];
+  const pool = [
+    ...refined,
+    ...candidates.slice(starts, starts + results * 10).map(({ params }) => {
+      const snapped = snapToSteps(params);
+      return { params: snapped, value: objective(snapped) };
+    })
+  ].filter(c => Number.isFinite(c.value)).sort((a, b) => a.value - b.value);
+
+  for (const candidate of pool) {
+    const key = PARAMETER_KEYS.map(k => candidate.params[k]).join('|');
+    if (seen.has(key)) continue;
+    seen.add(key);
+    ranked.push(candidate);
+    if (ranked.length === results) break;
+  }
+
+  return ranked;
+}
@@ -0,0 +1,96 @@
+// Global sensitivity analysis: Sobol first- and total-order indices for each
+// model output, estimated with the Saltelli sampling scheme over the full
+// slider ranges (inputs treated as independent and uniform).
+
+import {
+  ARCHITECTURE_PROPERTIES,
+  APPLICATIONS,
+  DEFAULT_ENGINE,
+  PARAMETER_KEYS,
+  PARAMETER_RANGES,
+  predictArchitectureWith,
+  calculateApplicationScores
+} from './predictor.js';
+import { metricLabel, metricValue } from './metrics.js';
+import { createRng, uniform } from './random.js';
+
+export const SENSITIVITY_OUTPUTS = [
+  ...Object.keys(ARCHITECTURE_PROPERTIES).map(key => `architecture.${key}`),
+  ...Object.keys(APPLICATIONS).map(key => `applicationScores.${key}`)
+];
+
+function evaluate(params, engine) {
+  const architecture = predictArchitectureWith(params, engine);
+  return { architecture, applicationScores: calculateApplicationScores(architecture) };
+}
+
+function randomPoint(rng) {
+  return Object.fromEntries(PARAMETER_KEYS.map(key =>
+    [key, uniform(rng, PARAMETER_RANGES[key].min, PARAMETER_RANGES[key].max)]
+  ));
+}
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+// Indices are clipped to [0, 1]; small negative estimates are sampling noise.
+const clip = (value) => Math.max(0, Math.min(1, value));
+
+// Returns { samples, evaluations, outputs: [{ id, label, variance, firstOrder: {mw, ...}, totalOrder: {mw, ...} }] }
+export function sobolIndices({ samples = 2048, seed = 3, outputs = SENSITIVITY_OUTPUTS, engine = DEFAULT_ENGINE } = {}) {
+  const rng = createRng(seed);
+  const A = Array.from({ length: samples }, () => randomPoint(rng));
+  const B = Array.from({ length: samples }, () => randomPoint(rng));
+
+  const read = (results) => outputs.map(id => results.map(result => metricValue(result, id)));
+  const fA = read(A.map(point => evaluate(point, engine)));
+  const fB = read(B.map(point => evaluate(point, engine)));
+
+  // AB_i: matrix A with column i taken from B
+  const fAB = Object.fromEntries(PARAMETER_KEYS.map(key => [
+    key,
+    read(A.map((point, n) => evaluate({ ...point, [key]: B[n][key] }, engine)))
+  ]));
+
+  return {
+    samples,
+    evaluations: samples * (PARAMETER_KEYS.length + 2),
+    outputs: outputs.map((id, o) => {
+      // Centering the outputs keeps the first-order estimator stable for large means
+      const pooled = [...fA[o], ...fB[o]];
+      const center = mean(pooled);
+      const total = mean(pooled.map(v => (v - center) ** 2));
+      const firstOrder = {};
+      const totalOrder = {};
+      for (const key of PARAMETER_KEYS) {
+        if (total === 0) {
+          firstOrder[key] = 0;
+          totalOrder[key] = 0;
+          continue;
+        }
+        let first = 0;
+        let jansen = 0;
+        for (let n = 0; n < samples; n++) {
+          const a = fA[o][n];
+          const ab = fAB[key][o][n];
+          first += (fB[o][n] - center) * (ab - a); // Saltelli (2010)
+          jansen += (a - ab) ** 2; // Jansen (1999)
+        }
+        firstOrder[key] = clip(first / samples / total);
+        totalOrder[key] = clip(jansen / (2 * samples) / total);
+      }
+      return { id, label: metricLabel(id), variance: total, firstOrder, totalOrder };
+    })
+  };
+}
+
+// Long-format rows for CSV export
+export function sensitivityRows(analysis) {
+  return analysis.outputs.flatMap(output => PARAMETER_KEYS.map(key => ({
+    output: output.id,
+    output_label: output.label,
+    parameter: key,
+    parameter_label: PARAMETER_RANGES[key].label,
+    first_order: Number(output.firstOrder[key].toFixed(4)),
+    total_order: Number(output.totalOrder[key].toFixed(4))
+  })));
+}
@@ -0,0 +1,138 @@
+// Solution properties of aqueous PVA from molecular weight and concentration:
+// intrinsic viscosity (Mark-Houwink), overlap concentration c*, Berry number
+// [η]·c, Shenoy entanglement number and zero-shear viscosity (Martin
+// equation), with a hydrogen-bonding correction for the degree of hydrolysis.
+// Concentrations are in wt%, taken as g/dL for these dilute-to-semidilute
+// aqueous solutions.
+
+// Mark-Houwink constants for PVA in water at 25 °C: [η] = K·Mw^a (dL/g), as used by Koski et al. (2004)
+export const MARK_HOUWINK = { K: 6.51e-4, a: 0.628 };
+
+// Effective entanglement molecular weight (g/mol). Chosen so Shenoy's fiber
+// onset (ne = 2) falls at the 6 wt% lower spinnability limit reported for 88 kDa,
+// where it agrees with the Berry-number onset below; treat it as a calibration
+// constant rather than a melt property.
+export const ENTANGLEMENT_MW = 2100;
+
+// Polymer and solvent densities (g/cm³) for the volume fraction in ne
+const PVA_DENSITY = 1.27;
+const WATER_DENSITY = 1.0;
+
+// Water viscosity at 25 °C (Pa·s) and Martin constant; kM = 0.5 gives ~0.7 Pa·s
+// for 10 wt% of 100 kDa PVA, in line with reported values for that grade
+const SOLVENT_VISCOSITY = 0.00089;
+const MARTIN_CONSTANT = 0.5;
+
+// Degree of hydrolysis (%) of the fully hydrolyzed grades the constants above describe
+export const REFERENCE_HYDROLYSIS = 98.5;
+
+// Fully hydrolyzed chains associate through hydroxyl hydrogen bonds; residual
+// acetate breaks these up, so an 88% grade is about half as viscous at the
+// same MW and concentration. Fractional viscosity change per point of hydrolysis:
+const ASSOCIATION_SLOPE = Math.log(2) / 10.5;
+
+// Above this zero-shear viscosity (Pa·s) the solution no longer feeds steadily
+// through the needle; 5 Pa·s puts the upper limit near the reported 10 wt% at 146–186 kDa
+export const SPINNING_VISCOSITY_LIMIT = 5;
+
+// Berry-number regimes for PVA (Koski et al. 2004): droplets below 5, beaded
+// fibers to 9, fibers above 9 and flattened fibers above 10 at high MW
+export const BERRY_REGIMES = [
+  { max: 5, label: 'Dilute: droplets' },
+  { max: 9, label: 'Semidilute: beaded fibers' },
+  { max: 10, label: 'Entangled: fibers' },
+  { max: Infinity, label: 'Highly entangled: flat fibers' }
+];
+
+// Berry number at which beaded fibers replace droplets (Koski et al. 2004). With the
+// Mark-Houwink constants above it puts the onset at 6 wt% for 88 kDa, and it scales
+// as Mw^-0.628 rather than the Mw^-1 of the entanglement number, which is closer to
+// the MW dependence of the reported lower limits.
+export const FIBER_ONSET_BERRY = BERRY_REGIMES[0].max;
+
+// Shenoy et al. (2005): fibers start forming at ne ≈ 2 and are bead-free from ne ≈ 3.5
+export const ENTANGLEMENT_ONSET = 2;
+export const ENTANGLEMENT_COMPLETE = 3.5;
+
+export function intrinsicViscosity(mw) {
+  return MARK_HOUWINK.K * mw ** MARK_HOUWINK.a;
+}
+
+// Polymer volume fraction of a wt% solution
+export function volumeFraction(concentration) {
+  const polymer = concentration / 100 / PVA_DENSITY;
+  return polymer / (polymer + (1 - concentration / 100) / WATER_DENSITY);
+}
+
+// Viscosity multiplier for hydrogen-bond association, 1 at the reference grade
+export function associationFactor(hydrolysis = REFERENCE_HYDROLYSIS) {
+  return Math.exp(-ASSOCIATION_SLOPE * (REFERENCE_HYDROLYSIS - hydrolysis));
+}
+
+// Zero-shear viscosity (Pa·s) from the Berry number: ηs·(1 + Be·exp(kM·Be)),
+// with the polymer contribution scaled by the association factor
+export function zeroShearViscosityFromBerry(berry, hydrolysis = REFERENCE_HYDROLYSIS) {
+  return SOLVENT_VISCOSITY * (1 + associationFactor(hydrolysis) * berry * Math.exp(MARTIN_CONSTANT * berry));
+}
+
+// { intrinsicViscosity (dL/g), overlapConcentration (wt%), berryNumber, berryRegime,
+//   entanglementNumber, zeroShearViscosity (Pa·s) }
+export function solutionProperties({ mw, concentration, hydrolysis = REFERENCE_HYDROLYSIS }) {
+  const eta = intrinsicViscosity(mw);
+  const berryNumber = eta * concentration;
+  return {
+    intrinsicViscosity: eta,
+    overlapConcentration: 1 / eta,
+    berryNumber,
+    berryRegime: BERRY_REGIMES.find(regime => berryNumber < regime.max).label,
+    entanglementNumber: volumeFraction(concentration) * mw / ENTANGLEMENT_MW,
+    zeroShearViscosity: zeroShearViscosityFromBerry(berryNumber, hydrolysis)
+  };
+}
+
+// Lowest concentration (wt%) that forms fibers rather than droplets: [η]·c = 5
+export function fiberOnsetConcentration(mw) {
+  return FIBER_ONSET_BERRY / intrinsicViscosity(mw);
+}
+
+// Principal branch of the Lambert W function for z ≥ 0 (w·e^w = z), by Newton's method
+function lambertW(z) {
+  let w = Math.log(1 + z);
+  for (let i = 0; i < 20; i++) {
+    const ew = Math.exp(w);
+    w -= (w * ew - z) / (ew * (w + 1));
+  }
+  return w;
+}
+
+// Concentration (wt%) of a fully hydrolyzed solution of the same MW with the same
+// zero-shear viscosity. Lets criteria calibrated on fully hydrolyzed grades (the
+// morphology classes) follow the lower viscosity of partially hydrolyzed ones.
+export function viscosityEquivalentConcentration({ mw, concentration, hydrolysis = REFERENCE_HYDROLYSIS }) {
+  const eta = intrinsicViscosity(mw);
+  const berry = eta * concentration;
+  // Solve B·exp(kM·B) = association · Be·exp(kM·Be) for B
+  const polymerTerm = associationFactor(hydrolysis) * berry * Math.exp(MARTIN_CONSTANT * berry);
+  return lambertW(MARTIN_CONSTANT * polymerTerm) / MARTIN_CONSTANT / eta;
+}
+
+// Berry number at which the zero-shear viscosity reaches the spinning limit, by
+// bisection; cached per degree of hydrolysis
+const limitBerries = new Map();
+function limitBerry(hydrolysis) {
+  if (!limitBerries.has(hydrolysis)) {
+    let [lo, hi] = [0, 100];
+    for (let i = 0; i < 60; i++) {
+      const mid = (lo + hi) / 2;
+      if (zeroShearViscosityFromBerry(mid, hydrolysis) < SPINNING_VISCOSITY_LIMIT) lo = mid;
+      else hi = mid;
+    }
+    limitBerries.set(hydrolysis, lo);
+  }
+  return limitBerries.get(hydrolysis);
+}
+
+// Highest concentration (wt%) still below the spinning viscosity limit
+export function viscosityLimitConcentration(mw, hydrolysis = REFERENCE_HYDROLYSIS) {
+  return limitBerry(hydrolysis) / intrinsicViscosity(mw);
+}
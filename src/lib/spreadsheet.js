@@ -0,0 +1,40 @@
+// Browser-side spreadsheet import/export (CSV and XLSX), plus JSON downloads
+
+import * as XLSX from 'xlsx';
+import { parseCSV, toCSV } from './csv.js';
+
+// Read an uploaded CSV/XLSX File into an array of plain records
+export async function readSpreadsheetFile(file) {
+  const name = file.name.toLowerCase();
+
+  if (name.endsWith('.xlsx') || name.endsWith('.xls')) {
+    const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    return XLSX.utils.sheet_to_json(sheet, { defval: '' });
+  }
+
+  return parseCSV(await file.text());
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+export function downloadCSV(records, filename, columns) {
+  downloadBlob(new Blob([toCSV(records, columns)], { type: 'text/csv;charset=utf-8' }), filename);
+}
+
+export function downloadXLSX(records, filename, sheetName = 'Sheet1') {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(records), sheetName);
+  XLSX.writeFile(workbook, filename);
+}
+
+export function downloadJSON(value, filename) {
+  downloadBlob(new Blob([JSON.stringify(value, null, 2)], { type: 'application/json' }), filename);
+}
@@ -0,0 +1,19 @@
+// localStorage helpers that survive private mode, quota errors and corrupt entries
+
+export function loadJSON(key, fallback) {
+  try {
+    const text = window.localStorage.getItem(key);
+    return text === null ? fallback : JSON.parse(text);
+  } catch {
+    return fallback;
+  }
+}
+
+export function saveJSON(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+}
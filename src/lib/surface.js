@@ -0,0 +1,83 @@
+// Two-parameter response surfaces: evaluate one output over a grid of two
+// inputs (at slider resolution) with the other four held fixed, and trace
+// contour lines with marching squares.
+
+import { DEFAULT_ENGINE, PARAMETER_RANGES, concentrationWindow, predictWith } from './predictor.js';
+import { metricValue } from './metrics.js';
+
+// Every slider position for one input
+export function parameterLevels(key) {
+  const { min, max, step } = PARAMETER_RANGES[key];
+  const decimals = (String(step).split('.')[1] ?? '').length;
+  const count = Math.round((max - min) / step) + 1;
+  return Array.from({ length: count }, (_, i) => Number((min + i * step).toFixed(decimals)));
+}
+
+// Returns { xs, ys, values[yIndex][xIndex], inWindow[yIndex][xIndex], min, max }
+export function responseSurface(xKey, yKey, output, params, engine = DEFAULT_ENGINE) {
+  if (xKey === yKey) throw new Error('Pick two different inputs for the response surface');
+
+  const xs = parameterLevels(xKey);
+  const ys = parameterLevels(yKey);
+  let min = Infinity;
+  let max = -Infinity;
+  const inWindow = [];
+
+  const values = ys.map(y => {
+    const windowRow = [];
+    const row = xs.map(x => {
+      const recipe = { ...params, [xKey]: x, [yKey]: y };
+      const { minConc, maxConc } = concentrationWindow(recipe.mw, recipe.hydrolysis);
+      windowRow.push(recipe.concentration >= minConc && recipe.concentration <= maxConc);
+      const value = metricValue(predictWith(recipe, engine), output);
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+      return value;
+    });
+    inWindow.push(windowRow);
+    return row;
+  });
+
+  return { xs, ys, values, inWindow, min, max };
+}
+
+// Evenly spaced levels strictly between min and max
+export function contourLevels(min, max, count = 6) {
+  if (!(max > min)) return [];
+  return Array.from({ length: count }, (_, i) => min + (max - min) * (i + 1) / (count + 1));
+}
+
+// Marching squares over grid nodes; returns segments [[x1, y1], [x2, y2]] in data units
+export function contourSegments({ xs, ys, values }, level) {
+  const segments = [];
+  const lerp = (a, b, va, vb) => a + (b - a) * (level - va) / (vb - va);
+
+  for (let j = 0; j < ys.length - 1; j++) {
+    for (let i = 0; i < xs.length - 1; i++) {
+      const v00 = values[j][i];
+      const v10 = values[j][i + 1];
+      const v11 = values[j + 1][i + 1];
+      const v01 = values[j + 1][i];
+
+      // Crossing points on the four cell edges (bottom, right, top, left)
+      const edges = [];
+      if ((v00 < level) !== (v10 < level)) edges.push([lerp(xs[i], xs[i + 1], v00, v10), ys[j]]);
+      if ((v10 < level) !== (v11 < level)) edges.push([xs[i + 1], lerp(ys[j], ys[j + 1], v10, v11)]);
+      if ((v01 < level) !== (v11 < level)) edges.push([lerp(xs[i], xs[i + 1], v01, v11), ys[j + 1]]);
+      if ((v00 < level) !== (v01 < level)) edges.push([xs[i], lerp(ys[j], ys[j + 1], v00, v01)]);
+
+      if (edges.length === 2) {
+        segments.push(edges);
+      } else if (edges.length === 4) {
+        // Saddle: resolve with the cell-centre value
+        const centre = (v00 + v10 + v11 + v01) / 4;
+        if ((centre < level) === (v00 < level)) {
+          segments.push([edges[0], edges[1]], [edges[2], edges[3]]);
+        } else {
+          segments.push([edges[0], edges[3]], [edges[1], edges[2]]);
+        }
+      }
+    }
+  }
+  return segments;
+}
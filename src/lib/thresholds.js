@@ -0,0 +1,123 @@
+// Catalogue of the step thresholds inside the prediction formulas, so the UI
+// can say which ones a recipe triggered. The cut-offs come from
+// FORMULA_THRESHOLDS in predictor.js, which the formulas use as well.
+//
+// Each rule: { condition, test(architecture, params), effect, otherwise }
+
+import { FORMULA_THRESHOLDS as T, inBand } from './predictor.js';
+
+const rule = (condition, test, effect, otherwise) => ({ condition, test, effect, otherwise });
+
+// Step rules for the usual shapes: above a cut-off, below one, inside a band
+const above = (key, limit, effect, otherwise) => rule(`${key} > ${limit}`, (a) => a[key] > limit, effect, otherwise);
+const atLeast = (key, limit, effect, otherwise) => rule(`${key} ≥ ${limit}`, (a) => a[key] >= limit, effect, otherwise);
+const below = (key, limit, effect, otherwise) => rule(`${key} < ${limit}`, (a) => a[key] < limit, effect, otherwise);
+const band = (key, [min, max], effect, otherwise) => rule(`${min} ≤ ${key} ≤ ${max}`, (a) => inBand(a[key], [min, max]), effect, otherwise);
+const highMW = (effect, otherwise) => rule(`mw > ${T.highMW}`, (a, p) => p.mw > T.highMW, effect, otherwise);
+
+const [softModulus, stiffModulus] = T.lineageModulus;
+const LINEAGE_RULES = (scores) => [
+  below('youngsModulus', softModulus, `Neurogenic band: score ${scores[0]}`),
+  rule(`${softModulus} ≤ youngsModulus < ${stiffModulus}`, (a) => a.youngsModulus >= softModulus && a.youngsModulus < stiffModulus, `Myogenic/Chondrogenic band: score ${scores[1]}`),
+  atLeast('youngsModulus', stiffModulus, `Osteogenic band: score ${scores[2]}`)
+];
+
+const { skinRegeneration: skin, vascularEngineering: vascular, nerveGuidance: nerve, cartilageRepair: cartilage, boneEngineering: bone, drugDelivery: drug } = T.applications;
+const { fibroblasts, endothelial, schwann, chondrocytes, osteoblasts, stemCells } = T.cells;
+const [viabilityMin, viabilityMax] = T.viabilityDiameter;
+
+export const THRESHOLD_RULES = {
+  'architecture.tensileStrength': [
+    above('fiberDiameter', T.thickFiberDiameter, '−2 MPa (thick-fiber defects)', 'no penalty')
+  ],
+
+  'biology.cellViability': [
+    above('porosity', T.viabilityPorosity, '+4%', '+0%'),
+    rule(`${viabilityMin} < fiberDiameter < ${viabilityMax}`, (a) => a.fiberDiameter > viabilityMin && a.fiberDiameter < viabilityMax, '+2%', '+0%')
+  ],
+  'biology.proliferationTime': [
+    above('poreSize', T.proliferationPoreSize, '−4 h', '+0 h'),
+    above('fiberDiameter', T.thickFiberDiameter, '+6 h', '+0 h')
+  ],
+  'biology.gagContent': [
+    above('poreSize', T.chondrogenicPoreSize, '+15 μg/mg', '+0'),
+    above('fiberDiameter', T.chondrogenicDiameter, '+8 μg/mg', '+0')
+  ],
+  'biology.col2Expression': [
+    above('poreSize', T.chondrogenicPoreSize, '+2.5 fold', '+0'),
+    highMW('+1.5 fold', '+0')
+  ],
+  'biology.aggrecanExpression': [
+    above('poreSize', T.chondrogenicPoreSize, '+2 fold', '+0'),
+    above('fiberDiameter', T.chondrogenicDiameter, '+1 fold', '+0')
+  ],
+  'biology.col1_col2_ratio': [
+    above('poreSize', T.chondrogenicPoreSize, '−0.8', '−0'),
+    highMW('−0.3', '−0')
+  ],
+  'biology.neurogenicScore': LINEAGE_RULES([85, 40, 20]),
+  'biology.chondrogenicScore': LINEAGE_RULES([40, 80, 55]),
+  'biology.osteogenicScore': LINEAGE_RULES([25, 45, 90]),
+
+  'applicationScores.skinRegeneration': [
+    below('fiberDiameter', skin.fiberDiameter, 'base 95', `base 95 − (d − ${skin.fiberDiameter})/15`),
+    above('porosity', skin.porosity, '×1', `×porosity/${skin.porosity}`),
+    above('degradationRate', skin.degradationRate, '×1', '×0.85')
+  ],
+  'applicationScores.vascularEngineering': [
+    band('fiberDiameter', vascular.fiberDiameter, 'base 95', 'base 75'),
+    band('tensileStrength', vascular.tensileStrength, '×1', '×0.8'),
+    above('porosity', vascular.porosity, '×1', '×0.85')
+  ],
+  'applicationScores.nerveGuidance': [
+    band('fiberDiameter', nerve.fiberDiameter, 'base 95', 'base 80'),
+    above('porosity', nerve.porosity, '×1', '×0.88'),
+    band('degradationRate', nerve.degradationRate, '×1', '×0.85')
+  ],
+  'applicationScores.cartilageRepair': [
+    above('fiberDiameter', cartilage.fiberDiameter, 'base 95', 'base 70'),
+    above('poreSize', cartilage.poreSize, '×1', '×0.75'),
+    above('youngsModulus', cartilage.youngsModulus, '×1', `×E/${cartilage.youngsModulus}`),
+    below('degradationRate', cartilage.degradationRate, '×1', '×0.8')
+  ],
+  'applicationScores.boneEngineering': [
+    above('fiberDiameter', bone.fiberDiameter, 'base 95', 'base 80'),
+    above('youngsModulus', bone.youngsModulus, '×1', `×E/${bone.youngsModulus}`),
+    below('degradationRate', bone.degradationRate, '×1', '×0.85')
+  ],
+  'applicationScores.drugDelivery': [
+    below('fiberDiameter', drug.fiberDiameter, 'base 95', 'base 85'),
+    above('porosity', drug.porosity, '×1', '×0.88'),
+    above('degradationRate', drug.degradationRate, '×1', '×0.9')
+  ],
+
+  'cellScores.fibroblasts': [
+    band('fiberDiameter', fibroblasts.fiberDiameter, 'base 95', 'base 75'),
+    above('porosity', fibroblasts.porosity, '×1', '×0.85'),
+    band('poreSize', fibroblasts.poreSize, '×1', '×0.88')
+  ],
+  'cellScores.endothelial': [
+    band('fiberDiameter', endothelial.fiberDiameter, 'base 95', 'base 78'),
+    above('porosity', endothelial.porosity, '×1', '×0.87'),
+    band('poreSize', endothelial.poreSize, '×1', '×0.85')
+  ],
+  'cellScores.schwann': [
+    band('fiberDiameter', schwann.fiberDiameter, 'base 95', 'base 80'),
+    above('porosity', schwann.porosity, '×1', '×0.88')
+  ],
+  'cellScores.chondrocytes': [
+    above('fiberDiameter', chondrocytes.fiberDiameter, 'base 95', 'base 70'),
+    above('poreSize', chondrocytes.poreSize, '×1', '×0.75'),
+    band('youngsModulus', chondrocytes.youngsModulus, '×1', '×0.82')
+  ],
+  'cellScores.osteoblasts': [
+    above('fiberDiameter', osteoblasts.fiberDiameter, 'base 95', 'base 80'),
+    above('youngsModulus', osteoblasts.youngsModulus, '×1', `×E/${osteoblasts.youngsModulus}`),
+    above('poreSize', osteoblasts.poreSize, '×1', '×0.85')
+  ],
+  'cellScores.stemCells': [
+    band('fiberDiameter', stemCells.fiberDiameter, 'base 95', 'base 82'),
+    above('porosity', stemCells.porosity, '×1', '×0.88'),
+    atLeast('poreSize', stemCells.poreSize, '×1', '×0.85')
+  ]
+};
@@ -0,0 +1,355 @@
+// In-browser training of Stage 1 regressors from measured data: random
+// forests, gradient boosting and Gaussian processes, one learner per
+// property. Reports k-fold cross-validated accuracy next to the formulas,
+// permutation feature importance and a learning curve, and exports the
+// result in the model format of mlmodels.js.
+
+import { ARCHITECTURE_PROPERTIES, DEFAULT_ENGINE, PARAMETER_KEYS, PARAMETER_RANGES, predictArchitecture, withOptionalDefaults } from './predictor.js';
+import { normalizeRecipe } from './batch.js';
+import { fitGPAuto } from './gp.js';
+import { createRng, shuffle } from './random.js';
+
+export const LEARNERS = {
+  randomForest: 'Random forest',
+  gradientBoosting: 'Gradient boosting',
+  gaussianProcess: 'Gaussian process'
+};
+
+export const LEARNER_DEFAULTS = {
+  randomForest: { trees: 50, maxDepth: 8, minLeaf: 3 },
+  gradientBoosting: { rounds: 150, learningRate: 0.1, maxDepth: 3, minLeaf: 2 },
+  gaussianProcess: {}
+};
+
+export const TRAINING_MODES = {
+  replace: 'Replace the formulas',
+  augment: 'Learn a correction to the formulas'
+};
+
+// Fewer rows than this cannot support cross-validation
+export const MIN_ROWS = 6;
+
+const CURVE_FRACTIONS = [0.2, 0.4, 0.6, 0.8, 1];
+const GP_NOISE_VARIANCES = [0.01, 0.05, 0.2];
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+// Rows { params, targets } from spreadsheet records. Targets are read from a
+// column named after the property ("fiberDiameter") or its logbook/run-sheet
+// form ("measured_fiberDiameter"); rows without a valid recipe are reported.
+export function datasetFromRecords(records) {
+  const rows = [];
+  const errors = [];
+  records.forEach((record, index) => {
+    const { params, errors: recipeErrors } = normalizeRecipe(record);
+    if (recipeErrors.length > 0) {
+      errors.push(`Row ${index + 1}: ${recipeErrors.join('; ')}`);
+      return;
+    }
+    const lookup = Object.fromEntries(Object.entries(record).map(([key, value]) => [key.trim().toLowerCase(), value]));
+    const targets = {};
+    for (const key of Object.keys(ARCHITECTURE_PROPERTIES)) {
+      const raw = lookup[key.toLowerCase()] ?? lookup[`measured_${key.toLowerCase()}`];
+      const value = typeof raw === 'number' ? raw : parseFloat(raw);
+      if (Number.isFinite(value)) targets[key] = value;
+    }
+    if (Object.keys(targets).length > 0) rows.push({ params, targets });
+  });
+  return { rows, errors };
+}
+
+// Rows from experiment logbook entries
+export function datasetFromEntries(entries) {
+  return entries.map(entry => ({ params: withOptionalDefaults(entry.params), targets: entry.measured }));
+}
+
+// Number of rows with a value for each property
+export function targetCounts(rows) {
+  return Object.keys(ARCHITECTURE_PROPERTIES)
+    .map(property => ({ property, n: rows.filter(row => Number.isFinite(row.targets[property])).length }))
+    .filter(({ n }) => n > 0);
+}
+
+// ---- Regression trees ----
+
+// CART on squared error. Nodes are stored root first with children after
+// their parent, the layout mlmodels.js expects.
+function buildTree(X, y, indices, { maxDepth, minLeaf, features, rng }) {
+  const nodes = [];
+  const featureCount = X[0].length;
+
+  const grow = (idx, depth) => {
+    const id = nodes.length;
+    nodes.push({ value: mean(idx.map(i => y[i])) });
+    if (depth >= maxDepth || idx.length < 2 * minLeaf) return id;
+
+    const all = Array.from({ length: featureCount }, (_, f) => f);
+    const candidates = features < featureCount ? shuffle(rng, all).slice(0, features) : all;
+    const total = idx.reduce((sum, i) => sum + y[i], 0);
+    const totalSq = idx.reduce((sum, i) => sum + y[i] ** 2, 0);
+    const parentSSE = totalSq - total ** 2 / idx.length;
+
+    let best = null;
+    for (const f of candidates) {
+      const sorted = [...idx].sort((a, b) => X[a][f] - X[b][f]);
+      let leftSum = 0;
+      let leftSq = 0;
+      for (let s = 1; s < sorted.length; s++) {
+        leftSum += y[sorted[s - 1]];
+        leftSq += y[sorted[s - 1]] ** 2;
+        if (s < minLeaf || sorted.length - s < minLeaf) continue;
+        if (X[sorted[s - 1]][f] === X[sorted[s]][f]) continue;
+        const rightSum = total - leftSum;
+        const sse = (leftSq - leftSum ** 2 / s) + (totalSq - leftSq - rightSum ** 2 / (sorted.length - s));
+        const gain = parentSSE - sse;
+        if (!best || gain > best.gain) {
+          best = { gain, feature: f, threshold: (X[sorted[s - 1]][f] + X[sorted[s]][f]) / 2, left: sorted.slice(0, s), right: sorted.slice(s) };
+        }
+      }
+    }
+    if (!best || best.gain <= 1e-12 * (1 + Math.abs(parentSSE))) return id;
+
+    const left = grow(best.left, depth + 1);
+    const right = grow(best.right, depth + 1);
+    nodes[id] = { feature: best.feature, threshold: best.threshold, left, right };
+    return id;
+  };
+
+  grow(indices, 0);
+  return nodes;
+}
+
+function predictTree(nodes, x) {
+  let node = nodes[0];
+  while (!('value' in node)) node = nodes[x[node.feature] <= node.threshold ? node.left : node.right];
+  return node.value;
+}
+
+// ---- Learners: fit(X, y) → { predict(x), export } ----
+
+function fitRandomForest(X, y, { trees, maxDepth, minLeaf }, rng) {
+  const n = X.length;
+  // Bootstrap rows and three of the inputs per split to decorrelate the trees
+  const forest = Array.from({ length: trees }, () => {
+    const sample = Array.from({ length: n }, () => Math.floor(rng() * n));
+    return buildTree(X, y, sample, { maxDepth, minLeaf, features: 3, rng });
+  });
+  return {
+    predict: (x) => mean(forest.map(nodes => predictTree(nodes, x))),
+    export: { trees: forest, weight: 1 / trees, baseScore: 0 }
+  };
+}
+
+function fitGradientBoosting(X, y, { rounds, learningRate, maxDepth, minLeaf }, rng) {
+  const base = mean(y);
+  const fitted = y.map(() => base);
+  const all = X.map((_, i) => i);
+  const trees = [];
+  for (let round = 0; round < rounds; round++) {
+    const residuals = y.map((value, i) => value - fitted[i]);
+    const nodes = buildTree(X, residuals, all, { maxDepth, minLeaf, features: X[0].length, rng });
+    trees.push(nodes);
+    X.forEach((x, i) => { fitted[i] += learningRate * predictTree(nodes, x); });
+  }
+  return {
+    predict: (x) => base + learningRate * trees.reduce((sum, nodes) => sum + predictTree(nodes, x), 0),
+    export: { trees, weight: learningRate, baseScore: base }
+  };
+}
+
+const toUnit = (x) => x.map((value, i) => {
+  const { min, max } = PARAMETER_RANGES[PARAMETER_KEYS[i]];
+  return (value - min) / (max - min);
+});
+
+// Standardized targets, inputs scaled to [0, 1]; length scale and noise by marginal likelihood
+function fitGaussianProcess(X, y) {
+  const center = mean(y);
+  const scale = Math.sqrt(mean(y.map(v => (v - center) ** 2))) || 1;
+  const Z = X.map(toUnit);
+  const yStd = y.map(v => (v - center) / scale);
+
+  const best = GP_NOISE_VARIANCES
+    .map(noiseVariance => fitGPAuto(Z, yStd, { noiseVariance }))
+    .reduce((a, b) => (b.logLikelihood > a.logLikelihood ? b : a));
+  return {
+    predict: (x) => center + scale * best.predict(toUnit(x)).mean,
+    export: { points: Z, alpha: best.alpha, lengthScale: best.lengthScale, signalVariance: 1, mean: center, scale }
+  };
+}
+
+function fitLearner(type, X, y, options, rng) {
+  if (type === 'randomForest') return fitRandomForest(X, y, options, rng);
+  if (type === 'gradientBoosting') return fitGradientBoosting(X, y, options, rng);
+  if (type === 'gaussianProcess') return fitGaussianProcess(X, y);
+  throw new Error(`Unknown learner "${type}"`);
+}
+
+// ---- Evaluation ----
+
+function scores(measured, predicted) {
+  const center = mean(measured);
+  const ssTot = measured.reduce((sum, v) => sum + (v - center) ** 2, 0);
+  const ssRes = measured.reduce((sum, v, i) => sum + (v - predicted[i]) ** 2, 0);
+  return { r2: ssTot > 0 ? 1 - ssRes / ssTot : null, rmse: Math.sqrt(ssRes / measured.length) };
+}
+
+// Data for one property: inputs, targets and the formula prediction per row
+// (the engine's coefficient set and diameter law, without trained models)
+function propertyData(rows, property, engine) {
+  const usable = rows.filter(row => Number.isFinite(row.targets[property]));
+  return {
+    X: usable.map(row => PARAMETER_KEYS.map(key => row.params[key])),
+    measured: usable.map(row => row.targets[property]),
+    formula: usable.map(row => predictArchitecture(row.params, engine.coefficients, null, engine.diameterModel)[property])
+  };
+}
+
+// Fit on the rows in `train` and return predictions of the property itself
+function fitOnRows(type, data, train, { mode, options, rng }) {
+  const target = (i) => (mode === 'augment' ? data.measured[i] - data.formula[i] : data.measured[i]);
+  const learner = fitLearner(type, train.map(i => data.X[i]), train.map(target), options, rng);
+  return {
+    learner,
+    predictRow: (i) => learner.predict(data.X[i]) + (mode === 'augment' ? data.formula[i] : 0)
+  };
+}
+
+// Out-of-fold predictions, a learning curve and permutation importance for one property
+function evaluateProperty(type, data, { mode, options, folds, seed }) {
+  const rng = createRng(seed);
+  const n = data.measured.length;
+  const order = shuffle(rng, Array.from({ length: n }, (_, i) => i));
+  const k = Math.min(folds, n);
+  const foldOf = new Array(n);
+  order.forEach((row, position) => { foldOf[row] = position % k; });
+
+  const outOfFold = new Array(n);
+  const curveErrors = CURVE_FRACTIONS.map(() => ({ train: [], validation: [], sizes: [] }));
+  for (let fold = 0; fold < k; fold++) {
+    const train = order.filter(i => foldOf[i] !== fold);
+    const test = order.filter(i => foldOf[i] === fold);
+    const model = fitOnRows(type, data, train, { mode, options, rng });
+    test.forEach(i => { outOfFold[i] = model.predictRow(i); });
+
+    CURVE_FRACTIONS.forEach((fraction, c) => {
+      const size = Math.round(train.length * fraction);
+      if (size < 3) return;
+      const subset = train.slice(0, size);
+      const partial = fraction === 1 ? model : fitOnRows(type, data, subset, { mode, options, rng });
+      curveErrors[c].sizes.push(size);
+      curveErrors[c].train.push(...subset.map(i => (partial.predictRow(i) - data.measured[i]) ** 2));
+      curveErrors[c].validation.push(...test.map(i => (partial.predictRow(i) - data.measured[i]) ** 2));
+    });
+  }
+
+  const curve = curveErrors
+    .filter(point => point.sizes.length > 0)
+    .map(point => ({
+      size: Math.round(mean(point.sizes)),
+      trainRMSE: Math.sqrt(mean(point.train)),
+      validationRMSE: Math.sqrt(mean(point.validation))
+    }));
+
+  return { cv: scores(data.measured, outOfFold), baseline: scores(data.measured, data.formula), curve };
+}
+
+// Mean increase in RMSE when one input column is shuffled, as a share of the total
+function permutationImportance(predictRow, data, rng, repeats = 3) {
+  const rows = data.X.map((_, i) => i);
+  const base = Math.sqrt(mean(rows.map(i => (predictRow(data.X[i], i) - data.measured[i]) ** 2)));
+  const increases = PARAMETER_KEYS.map((_, f) => {
+    let total = 0;
+    for (let r = 0; r < repeats; r++) {
+      const permuted = shuffle(rng, [...rows]);
+      const rmse = Math.sqrt(mean(rows.map((i, position) => {
+        const x = [...data.X[i]];
+        x[f] = data.X[permuted[position]][f];
+        return (predictRow(x, i) - data.measured[i]) ** 2;
+      })));
+      total += Math.max(0, rmse - base);
+    }
+    return total / repeats;
+  });
+  const sum = increases.reduce((acc, v) => acc + v, 0);
+  return PARAMETER_KEYS.map((key, f) => ({ key, importance: sum > 0 ? increases[f] / sum : 0 }));
+}
+
+// Train one learner per property and package them as a single Stage 1 model.
+// rows: [{ params, targets }]; properties: outputs to learn.
+// Returns { properties: [{ property, n, cv, baseline, curve, importance }], spec }.
+export function trainModel(rows, { name, type, mode = 'replace', properties, options = LEARNER_DEFAULTS[type], folds = 5, seed = 1, engine = DEFAULT_ENGINE }) {
+  if (!LEARNERS[type]) throw new Error(`Unknown learner "${type}"`);
+  if (!properties || properties.length === 0) throw new Error('Select at least one property to learn');
+  if (!(Number.isInteger(folds) && folds >= 2)) throw new Error('Cross-validation needs at least 2 folds');
+
+  const results = properties.map((property, p) => {
+    const data = propertyData(rows, property, engine);
+    if (data.measured.length < MIN_ROWS) {
+      throw new Error(`${ARCHITECTURE_PROPERTIES[property].label}: needs at least ${MIN_ROWS} rows, found ${data.measured.length}`);
+    }
+    const { cv, baseline, curve } = evaluateProperty(type, data, { mode, options, folds, seed: seed + p });
+
+    const rng = createRng(seed + 1000 + p);
+    const all = data.X.map((_, i) => i);
+    const { learner } = fitOnRows(type, data, all, { mode, options, rng });
+    const predictX = (x, i) => learner.predict(x) + (mode === 'augment' ? data.formula[i] : 0);
+
+    return {
+      summary: {
+        property,
+        n: data.measured.length,
+        cv,
+        baseline,
+        curve,
+        importance: permutationImportance(predictX, data, rng)
+      },
+      learner
+    };
+  });
+
+  return {
+    properties: results.map(result => result.summary),
+    spec: exportSpec(results, { name, type, mode, options, folds })
+  };
+}
+
+// Model JSON for mlmodels.js. Per-property tree ensembles become one ensemble
+// whose trees each carry a single non-zero output, so a weighted sum reproduces them.
+function exportSpec(results, { name, type, mode, options, folds }) {
+  const summaries = results.map(result => result.summary);
+  const outputs = summaries.map(summary => summary.property);
+  const scoreText = summaries.map(({ property, cv }) => `${property} CV R² ${cv.r2 === null ? 'n/a' : cv.r2.toFixed(2)}`).join(', ');
+  const common = {
+    name,
+    stage: 'architecture',
+    inputs: PARAMETER_KEYS,
+    outputs,
+    base: mode === 'augment' ? 'formulas' : 'none',
+    description: `${LEARNERS[type]} trained in the browser on ${Math.max(...summaries.map(summary => summary.n))} rows; ${folds}-fold ${scoreText}`
+  };
+
+  if (type === 'gaussianProcess') {
+    const inputScaling = {
+      mean: PARAMETER_KEYS.map(key => PARAMETER_RANGES[key].min),
+      std: PARAMETER_KEYS.map(key => PARAMETER_RANGES[key].max - PARAMETER_RANGES[key].min)
+    };
+    return { ...common, type: 'gp', inputScaling, components: results.map(r => r.learner.export) };
+  }
+
+  // Every output shares the ensemble's learning rate, so fold each output's weight into its leaves
+  const trees = results.flatMap(({ learner }, k) => learner.export.trees.map(nodes => nodes.map(node => {
+    if (!('value' in node)) return node;
+    const value = outputs.map((_, j) => (j === k ? Number((node.value * learner.export.weight).toPrecision(6)) : 0));
+    return { value };
+  })));
+  return {
+    ...common,
+    type: 'treeEnsemble',
+    aggregation: 'sum',
+    baseScore: results.map(({ learner }) => learner.export.baseScore),
+    learningRate: 1,
+    trees,
+    training: { learner: type, options }
+  };
+}
@@ -0,0 +1,121 @@
+// Prediction intervals for every Stage 1 and Stage 2 output.
+//
+// Each output gets a residual standard deviation pooled from two sources:
+//   - a prior implied by the stated model accuracy (R² = 0.85): the residual
+//     variance is 15% of the output's variance over the slider ranges;
+//   - residuals against the literature anchor points quoted in the MW Cascade
+//     tab, where the paper reports a numeric value for that output.
+// Intervals are value ± z·σ, clipped to the output's physical clamp range.
+
+import {
+  PARAMETER_RANGES,
+  PARAMETER_KEYS,
+  DEFAULT_PARAMETERS,
+  ARCHITECTURE_PROPERTIES,
+  BIOLOGY_OUTCOMES,
+  LITERATURE_COEFFICIENTS,
+  FORMULA_MODELS,
+  predict
+} from './predictor.js';
+
+export const MODEL_R2 = 0.85;
+
+// Pseudo-observation weight given to the R² prior when pooling with anchors
+const PRIOR_WEIGHT = 3;
+
+// Grid levels per input used to estimate output variance over the slider space;
+// hydrolysis enters the formulas linearly, so its two ends are enough
+const GRID_LEVELS = 5;
+const LINEAR_INPUTS = { hydrolysis: 2 };
+
+// Literature data points with enough context to evaluate the model.
+// Processing settings not reported in the source are taken as the slider defaults;
+// Mn values are converted to Mw assuming a polydispersity of ~2.
+export const LITERATURE_ANCHORS = [
+  { source: '200k Da PVA (experimental)', params: { mw: 200000 }, stage: 'architecture', output: 'tensileStrength', value: 29.8 },
+  { source: '200k Da PVA (experimental)', params: { mw: 200000 }, stage: 'architecture', output: 'youngsModulus', value: 78 },
+  { source: 'Mn 8,840 Da, 85.1% loss at 28 days', params: { mw: 17680 }, stage: 'architecture', output: 'degradationRate', value: 21 },
+  { source: 'Mn 12,266 Da, 74.1% loss at 28 days', params: { mw: 24532 }, stage: 'architecture', output: 'degradationRate', value: 18.5 },
+  { source: 'Mn 8,840 Da, 24-hour swelling', params: { mw: 17680 }, stage: 'architecture', output: 'swellingRatio', value: 97.4 },
+  { source: 'Mn 12,266 Da, 24-hour swelling', params: { mw: 24532 }, stage: 'architecture', output: 'swellingRatio', value: 84.2 }
+];
+
+const Z_SCORES = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96, 0.99: 2.5758 };
+
+function gridParameterSets() {
+  let sets = [{}];
+  for (const key of PARAMETER_KEYS) {
+    const { min, max } = PARAMETER_RANGES[key];
+    const count = LINEAR_INPUTS[key] ?? GRID_LEVELS;
+    const levels = Array.from({ length: count }, (_, i) => min + (max - min) * i / (count - 1));
+    sets = sets.flatMap(set => levels.map(level => ({ ...set, [key]: level })));
+  }
+  return sets;
+}
+
+function standardDeviation(values) {
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+}
+
+let cachedSigmas = null;
+
+// Residual standard deviation per output, { architecture: {...}, biology: {...} }.
+// Always derived from the literature formulas, whose accuracy the stated R² describes.
+export function residualSigmas() {
+  if (cachedSigmas) return cachedSigmas;
+
+  const predictions = gridParameterSets().map(params => predict(params, LITERATURE_COEFFICIENTS, FORMULA_MODELS, 'empirical'));
+  const priorScale = Math.sqrt(1 - MODEL_R2);
+
+  const build = (stage, outputs) => Object.fromEntries(Object.keys(outputs).map(key => {
+    const prior = priorScale * standardDeviation(predictions.map(p => p[stage][key]));
+    const residuals = LITERATURE_ANCHORS
+      .filter(anchor => anchor.stage === stage && anchor.output === key)
+      .map(anchor => predict({ ...DEFAULT_PARAMETERS, ...anchor.params }, LITERATURE_COEFFICIENTS, FORMULA_MODELS, 'empirical')[stage][key] - anchor.value);
+    const pooled = Math.sqrt(
+      (PRIOR_WEIGHT * prior ** 2 + residuals.reduce((sum, r) => sum + r ** 2, 0)) /
+      (PRIOR_WEIGHT + residuals.length)
+    );
+    return [key, pooled];
+  }));
+
+  cachedSigmas = {
+    architecture: build('architecture', ARCHITECTURE_PROPERTIES),
+    biology: build('biology', BIOLOGY_OUTCOMES)
+  };
+  return cachedSigmas;
+}
+
+function zScore(level) {
+  if (!(level in Z_SCORES)) {
+    throw new Error(`Unsupported confidence level ${level}; use one of ${Object.keys(Z_SCORES).join(', ')}`);
+  }
+  return Z_SCORES[level];
+}
+
+// Interval for a single output value, e.g. intervalFor('architecture', 'porosity', 82.4)
+export function intervalFor(stage, key, value, level = 0.95) {
+  const outputs = stage === 'architecture' ? ARCHITECTURE_PROPERTIES : BIOLOGY_OUTCOMES;
+  const sigma = residualSigmas()[stage][key];
+  const half = zScore(level) * sigma;
+  return {
+    value,
+    sigma,
+    lower: Math.max(outputs[key].min, value - half),
+    upper: Math.min(outputs[key].max, value + half)
+  };
+}
+
+// Intervals for every numeric output of a predict() result
+export function predictionIntervals({ architecture, biology }, level = 0.95) {
+  const forStage = (stage, values, outputs) => Object.fromEntries(
+    Object.keys(outputs).map(key => [key, intervalFor(stage, key, values[key], level)])
+  );
+
+  return {
+    level,
+    architecture: forStage('architecture', architecture, ARCHITECTURE_PROPERTIES),
+    biology: forStage('biology', biology, BIOLOGY_OUTCOMES)
+  };
+}
@@ -0,0 +1,49 @@
+// JSON Schema for the processing inputs, plus a small validator for it.
+// Ranges come from PARAMETER_RANGES so the schema tracks the Predictor sliders;
+// optional inputs (degree of hydrolysis) may be left out.
+
+import { OPTIONAL_PARAMETERS, PARAMETER_KEYS, PARAMETER_RANGES } from './predictor.js';
+
+export const PARAMETERS_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  title: 'PVA electrospinning processing parameters',
+  type: 'object',
+  required: PARAMETER_KEYS.filter(key => !OPTIONAL_PARAMETERS.includes(key)),
+  additionalProperties: false,
+  properties: Object.fromEntries(PARAMETER_KEYS.map(key => [key, {
+    type: 'number',
+    description: `${PARAMETER_RANGES[key].label} (${PARAMETER_RANGES[key].unit})`,
+    minimum: PARAMETER_RANGES[key].min,
+    maximum: PARAMETER_RANGES[key].max
+  }]))
+};
+
+// Validate a value against PARAMETERS_SCHEMA.
+// Returns a list of { path, message } problems; an empty list means valid.
+export function validateParameters(value, path = '') {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return [{ path: path || '/', message: 'must be an object' }];
+  }
+
+  const errors = [];
+  const { properties, required } = PARAMETERS_SCHEMA;
+
+  for (const key of required) {
+    if (!(key in value)) {
+      errors.push({ path: `${path}/${key}`, message: 'is required' });
+    }
+  }
+
+  for (const [key, fieldValue] of Object.entries(value)) {
+    const field = properties[key];
+    if (!field) {
+      errors.push({ path: `${path}/${key}`, message: `is not a recognised parameter (expected one of ${PARAMETER_KEYS.join(', ')})` });
+    } else if (typeof fieldValue !== 'number' || !Number.isFinite(fieldValue)) {
+      errors.push({ path: `${path}/${key}`, message: 'must be a finite number' });
+    } else if (fieldValue < field.minimum || fieldValue > field.maximum) {
+      errors.push({ path: `${path}/${key}`, message: `must be between ${field.minimum} and ${field.maximum}` });
+    }
+  }
+
+  return errors;
+}
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARAMETERS, FORMULA_THRESHOLDS, PARAMETER_KEYS, predictArchitecture } from '../src/lib/predictor.js';
+import { METRICS, metricValue } from '../src/lib/metrics.js';
+import { shapleyAttribution, triggeredThresholds } from '../src/lib/attribution.js';
+import { THRESHOLD_RULES } from '../src/lib/thresholds.js';
+
+const recipe = { mw: 180000, concentration: 9, voltage: 22, flowRate: 0.8, distance: 18, hydrolysis: 88 };
+
+test('Shapley contributions sum to the change from the baseline for every metric', () => {
+  const { result, reference, contributions } = shapleyAttribution(recipe);
+  for (const { id } of METRICS) {
+    const total = PARAMETER_KEYS.reduce((sum, key) => sum + contributions[id][key], 0);
+    assert.ok(Math.abs(total - (metricValue(result, id) - metricValue(reference, id))) < 1e-9, id);
+  }
+});
+
+test('an input left at the baseline gets no credit', () => {
+  const { contributions } = shapleyAttribution({ ...recipe, distance: DEFAULT_PARAMETERS.distance });
+  for (const { id } of METRICS) assert.equal(contributions[id].distance, 0, id);
+});
+
+test('threshold rules fire at the cut-offs the formulas use', () => {
+  const [rule] = THRESHOLD_RULES['architecture.tensileStrength'];
+  const cut = FORMULA_THRESHOLDS.thickFiberDiameter;
+  assert.equal(rule.test({ fiberDiameter: cut + 1 }), true);
+  assert.equal(rule.test({ fiberDiameter: cut }), false);
+});
+
+test('triggeredThresholds reports the clamp when an output sits on its bound', () => {
+  const params = { ...DEFAULT_PARAMETERS, mw: 30000, concentration: 5 };
+  const architecture = predictArchitecture(params);
+  const rules = triggeredThresholds('architecture.fiberDiameter', { architecture }, params);
+  assert.equal(architecture.fiberDiameter, 150);
+  assert.deepEqual(rules.map(r => r.effect), ['held at the lower bound (150)']);
+});
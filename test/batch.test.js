@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportRecord, flattenResult, normalizeRecipe, resultColumns, runBatch } from '../src/lib/batch.js';
+import { DEFAULT_PARAMETERS, PARAMETER_KEYS } from '../src/lib/predictor.js';
+
+const RECIPE = { mw: 100000, concentration: 10, voltage: 17.5, flowRate: 1.5, distance: 15 };
+
+test('normalizeRecipe matches headers case-insensitively and parses numeric text', () => {
+  const { params, errors } = normalizeRecipe({ MW: '100000', ' Concentration ': '10', Voltage: 17.5, FLOWRATE: '1.5', distance: '15' });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(params, { ...RECIPE, hydrolysis: DEFAULT_PARAMETERS.hydrolysis });
+});
+
+test('normalizeRecipe reports missing inputs, non-objects and out-of-range values', () => {
+  assert.deepEqual(normalizeRecipe({ ...RECIPE, voltage: 'high' }).errors, ['Missing or non-numeric voltage']);
+  assert.deepEqual(normalizeRecipe(null).errors, ['must be an object']);
+  assert.equal(normalizeRecipe({ ...RECIPE, mw: 250000 }).warnings.length, 1);
+});
+
+test('optional inputs default when the cell is absent or blank', () => {
+  for (const hydrolysis of [undefined, null, '']) {
+    assert.equal(normalizeRecipe({ ...RECIPE, hydrolysis }).params.hydrolysis, DEFAULT_PARAMETERS.hydrolysis);
+  }
+});
+
+test('runBatch numbers rows from 1 and keeps invalid rows without predictions', () => {
+  const results = runBatch([RECIPE, { mw: 100000 }]);
+  assert.deepEqual(results.map(r => r.row), [1, 2]);
+  assert.equal(results[0].architecture.fiberDiameter, 400);
+  assert.equal(results[1].architecture, undefined);
+  assert.ok(results[1].errors.length > 0);
+});
+
+test('export columns put every input first, even when the first row is invalid', () => {
+  const flatRows = runBatch([{ mw: 'x' }, RECIPE]).map(flattenResult);
+  const columns = resultColumns(flatRows);
+  assert.deepEqual(columns.slice(0, PARAMETER_KEYS.length + 1), ['row', ...PARAMETER_KEYS]);
+  assert.deepEqual(columns.slice(-3), ['outOfWindow', 'warnings', 'errors']);
+});
+
+test('exportRecord keeps uploaded header names instead of adding normalized duplicates', () => {
+  const record = { Sample: 'A', MW: '100000', Concentration: '10', voltage: '17.5', flowRate: '1.5', distance: '15' };
+  const [result] = runBatch([record]);
+  const exported = exportRecord(record, result);
+  assert.equal(exported.Sample, 'A');
+  assert.equal(exported.MW, 100000);
+  assert.equal('mw' in exported, false);
+  assert.equal('concentration' in exported, false);
+  assert.equal(exported.hydrolysis, DEFAULT_PARAMETERS.hydrolysis);
+  assert.equal(exported.fiberDiameter, 400);
+});
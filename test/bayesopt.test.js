@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARAMETERS, PARAMETER_KEYS, PARAMETER_RANGES, predictArchitecture } from '../src/lib/predictor.js';
+import { suggestNext, utility } from '../src/lib/bayesopt.js';
+
+test('utility turns every objective into larger-is-better', () => {
+  assert.equal(utility({ mode: 'maximize' }, 5), 5);
+  assert.equal(utility({ mode: 'minimize' }, 5), -5);
+  assert.equal(utility({ mode: 'target', target: 500 }, 530), -30);
+});
+
+test('suggestNext is seeded, stays in range and reports a non-negative EI', () => {
+  const objective = { mode: 'target', property: 'fiberDiameter', target: 500 };
+  const observations = [
+    { ...DEFAULT_PARAMETERS, mw: 100000 },
+    { ...DEFAULT_PARAMETERS, mw: 180000, concentration: 8 }
+  ].map(params => ({ params, measured: { fiberDiameter: predictArchitecture(params).fiberDiameter + 40 } }));
+
+  const suggestion = suggestNext(observations, objective, { seed: 4 });
+  assert.deepEqual(suggestNext(observations, objective, { seed: 4 }).params, suggestion.params);
+  assert.equal(suggestion.observationsUsed, 2);
+  assert.ok(suggestion.expectedImprovement >= 0);
+  for (const key of PARAMETER_KEYS) {
+    const { min, max } = PARAMETER_RANGES[key];
+    assert.ok(suggestion.params[key] >= min && suggestion.params[key] <= max, key);
+  }
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LITERATURE_COEFFICIENTS, predictArchitecture } from '../src/lib/predictor.js';
+import { calibrateCoefficients } from '../src/lib/calibration.js';
+
+// Lab runs generated from a known "true" set of diameter coefficients
+const truth = {
+  ...LITERATURE_COEFFICIENTS,
+  fiberDiameter: { scale: 460, voltageSlope: 0.02, flowSlope: 0.1, distanceSlope: 0.008 }
+};
+const recipes = [];
+for (const voltage of [14, 18, 22]) {
+  for (const flowRate of [0.6, 1.2, 1.8]) {
+    recipes.push({ mw: 110000, concentration: 9, voltage, flowRate, distance: 15, hydrolysis: 98 });
+  }
+}
+const entries = recipes.map(params => ({
+  params,
+  measured: { fiberDiameter: predictArchitecture(params, truth, null, 'empirical').fiberDiameter }
+}));
+
+test('Levenberg–Marquardt recovers the coefficients behind noise-free data', () => {
+  const { coefficients, properties } = calibrateCoefficients(entries);
+  const fitted = coefficients.fiberDiameter;
+  assert.ok(Math.abs(fitted.scale - 460) / 460 < 0.01, `scale ${fitted.scale}`);
+  assert.ok(Math.abs(fitted.voltageSlope - 0.02) < 0.001, `voltageSlope ${fitted.voltageSlope}`);
+  assert.ok(Math.abs(fitted.flowSlope - 0.1) < 0.005, `flowSlope ${fitted.flowSlope}`);
+
+  const [report] = properties;
+  assert.equal(report.property, 'fiberDiameter');
+  assert.equal(report.n, recipes.length);
+  assert.ok(report.rmseAfter < report.rmseBefore / 10);
+});
+
+test('coefficients the data cannot identify stay at the literature value', () => {
+  const { coefficients } = calibrateCoefficients(entries);
+  // Every run used 15 cm, so the distance slope has nothing to fit against
+  assert.ok(Math.abs(coefficients.fiberDiameter.distanceSlope - LITERATURE_COEFFICIENTS.fiberDiameter.distanceSlope) < 1e-6);
+  // Properties without measurements are left alone
+  assert.deepEqual(coefficients.porosity, LITERATURE_COEFFICIENTS.porosity);
+});
+
+test('calibration without any measured property is refused', () => {
+  assert.throws(() => calibrateCoefficients([{ params: recipes[0], measured: {} }]), /No measured Stage 1 properties/);
+});
@@ -0,0 +1,56 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../bin/pva-predict.js', import.meta.url));
+const dir = mkdtempSync(join(tmpdir(), 'pva-predict-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+const run = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+
+const write = (name, text) => {
+  const file = join(dir, name);
+  writeFileSync(file, text);
+  return file;
+};
+
+test('run writes CSV results for a JSON recipe file', () => {
+  const input = write('recipes.json', JSON.stringify([{ mw: 100000, concentration: 10, voltage: 17.5, flowRate: 1.5, distance: 15 }]));
+  const out = join(dir, 'results.csv');
+  const { status } = run('run', input, '--out', out);
+  assert.equal(status, 0);
+  const [header, row] = readFileSync(out, 'utf8').split('\n');
+  assert.match(header, /^row,mw,concentration,voltage,flowRate,distance,hydrolysis,fiberDiameter,/);
+  assert.match(row, /^1,100000,10,17.5,1.5,15,98.5,400,/);
+});
+
+test('bad input files fail with a one-line message and no stack trace', () => {
+  const cases = [
+    [join(dir, 'missing.json'), 'no such file'],
+    [write('broken.json', '{'), 'JSON'],
+    [write('null.json', 'null'), 'no recipes found'],
+    [write('null-row.json', '[null]'), 'row 1: must be an object']
+  ];
+  for (const [file, reason] of cases) {
+    const { status, stderr } = run('run', file);
+    assert.equal(status, 1, file);
+    assert.equal(stderr.trim().split('\n').length, 1, stderr);
+    assert.ok(stderr.startsWith(`pva-predict: ${file}: `) && stderr.includes(reason), stderr);
+  }
+});
+
+test('an unwritable --out path and an option without a value are reported', () => {
+  const input = write('one.json', JSON.stringify([{ mw: 100000, concentration: 10, voltage: 17.5, flowRate: 1.5, distance: 15 }]));
+  const unwritable = run('run', input, '--out', join(dir, 'no-such-dir', 'out.json'));
+  assert.equal(unwritable.status, 1);
+  assert.match(unwritable.stderr, /no such directory/);
+  assert.doesNotMatch(unwritable.stderr, /\n\s+at /);
+
+  const missing = run('run', input, '--out');
+  assert.equal(missing.status, 2);
+  assert.match(missing.stderr, /Missing value for --out/);
+});
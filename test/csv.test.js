@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCSV, toCSV } from '../src/lib/csv.js';
+
+test('parseCSV reads quoted fields, escaped quotes, CRLF and blank lines', () => {
+  const text = 'name,mw\r\n"Batch, A",100000\r\n\r\n"He said ""go""",50000\n';
+  assert.deepEqual(parseCSV(text), [
+    { name: 'Batch, A', mw: '100000' },
+    { name: 'He said "go"', mw: '50000' }
+  ]);
+});
+
+test('toCSV quotes what needs quoting and round-trips through parseCSV', () => {
+  const records = [{ name: 'a,b', note: 'x "y"' }, { name: 'c', extra: 1 }];
+  const text = toCSV(records);
+  assert.equal(text.split('\n')[0], 'name,note,extra');
+  assert.deepEqual(parseCSV(text), [
+    { name: 'a,b', note: 'x "y"', extra: '' },
+    { name: 'c', note: '', extra: '1' }
+  ]);
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARAMETERS, predict } from '../src/lib/predictor.js';
+import { partialDependence, sweepGrid } from '../src/lib/dependence.js';
+
+test('sweepGrid spans the slider range', () => {
+  assert.deepEqual(sweepGrid('distance', 4), [10, 15, 20, 25]);
+});
+
+test('the average curve is the mean of the ICE curves and the current curve passes through the recipe', () => {
+  const result = partialDependence('mw', 'architecture.youngsModulus', DEFAULT_PARAMETERS, { points: 5, curves: 8 });
+  assert.equal(result.ice.length, 8);
+  result.grid.forEach((_, i) => {
+    const mean = result.ice.reduce((sum, curve) => sum + curve[i], 0) / 8;
+    assert.ok(Math.abs(result.average[i] - mean) < 1e-9);
+  });
+  const atDefault = partialDependence('mw', 'architecture.youngsModulus', DEFAULT_PARAMETERS, { points: 18 });
+  const index = atDefault.grid.indexOf(100000);
+  assert.equal(atDefault.current[index], predict(DEFAULT_PARAMETERS).architecture.youngsModulus);
+});
+
+test('unknown inputs are rejected', () => {
+  assert.throws(() => partialDependence('speed', 'architecture.porosity', DEFAULT_PARAMETERS), /Unknown input "speed"/);
+});
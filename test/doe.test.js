@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARAMETERS } from '../src/lib/predictor.js';
+import { generateDesign, runSheetRows } from '../src/lib/doe.js';
+
+const factors = {
+  mw: { low: 80000, high: 160000, levels: 3 },
+  concentration: { low: 7, high: 11, levels: 3 },
+  voltage: { low: 15, high: 25 },
+  flowRate: { low: 0.5, high: 1.5 }
+};
+const pick = (keys) => Object.fromEntries(keys.map(key => [key, factors[key]]));
+
+test('each design type produces the textbook run count', () => {
+  const count = (type, keys, options) => generateDesign(type, pick(keys), DEFAULT_PARAMETERS, options).length;
+  assert.equal(count('fullFactorial', ['mw', 'concentration']), 9);
+  assert.equal(count('fractionalFactorial', ['mw', 'concentration', 'voltage', 'flowRate']), 8);
+  assert.equal(count('boxBehnken', ['mw', 'concentration', 'voltage'], { centerPoints: 3 }), 15);
+  assert.equal(count('centralComposite', ['mw', 'concentration', 'voltage'], { centerPoints: 3 }), 17);
+  assert.equal(count('latinHypercube', ['mw', 'voltage'], { runs: 12 }), 12);
+});
+
+test('runs stay inside the factor levels and keep the fixed inputs', () => {
+  const design = generateDesign('latinHypercube', pick(['mw', 'voltage']), DEFAULT_PARAMETERS, { runs: 10, seed: 3 });
+  for (const { params } of design) {
+    assert.ok(params.mw >= 80000 && params.mw <= 160000);
+    assert.ok(params.voltage >= 15 && params.voltage <= 25);
+    assert.equal(params.distance, DEFAULT_PARAMETERS.distance);
+  }
+  assert.deepEqual(design.map(run => run.runOrder), Array.from({ length: 10 }, (_, i) => i + 1));
+});
+
+test('the run order is randomized but reproducible from the seed', () => {
+  const order = (seed) => generateDesign('fullFactorial', pick(['mw', 'concentration']), DEFAULT_PARAMETERS, { seed }).map(run => run.stdOrder);
+  assert.deepEqual(order(5), order(5));
+  assert.deepEqual([...order(5)].sort((a, b) => a - b), Array.from({ length: 9 }, (_, i) => i + 1));
+});
+
+test('invalid factors are rejected', () => {
+  assert.throws(() => generateDesign('fullFactorial', {}, DEFAULT_PARAMETERS), /at least one factor/);
+  assert.throws(() => generateDesign('fullFactorial', { mw: { low: 160000, high: 80000 } }, DEFAULT_PARAMETERS), /low level must be below/);
+  assert.throws(() => generateDesign('boxBehnken', pick(['mw', 'voltage']), DEFAULT_PARAMETERS), /at least 3 varied factors/);
+});
+
+test('run sheet rows carry predictions and blank lab columns', () => {
+  const [row] = runSheetRows(generateDesign('fullFactorial', pick(['mw']), DEFAULT_PARAMETERS));
+  assert.equal(row.run, 1);
+  assert.equal(typeof row.predicted_fiberDiameter, 'number');
+  assert.equal(row.measured_fiberDiameter, '');
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARAMETERS } from '../src/lib/predictor.js';
+import { DEFAULT_FAULT_RULES, evaluateFaults, mergeFaultRules, parseFaultRules, validateFaultRule } from '../src/lib/faults.js';
+
+const rule = {
+  id: 'thinGap',
+  title: 'Short gap',
+  severity: 'advisory',
+  when: [{ quantity: 'distance', op: '<', value: 12 }],
+  explanation: 'Only {distance} cm.',
+  fix: 'Move back.'
+};
+
+test('the default recipe triggers no faults', () => {
+  assert.deepEqual(evaluateFaults(DEFAULT_PARAMETERS), []);
+});
+
+test('faults are listed most severe first with their templates filled in', () => {
+  const faults = evaluateFaults({ ...DEFAULT_PARAMETERS, voltage: 25, distance: 10, concentration: 15 });
+  assert.deepEqual(faults.map(fault => fault.id), ['arcing', 'wetFibers', 'clogging', 'multiJet']);
+  assert.match(faults[0].explanation, /^25 kV over 10 cm gives 2.5 kV\/cm\./);
+});
+
+test('a custom rule with a built-in id replaces it; new ids are appended', () => {
+  const quieter = { ...DEFAULT_FAULT_RULES.find(r => r.id === 'clogging'), severity: 'advisory' };
+  const merged = mergeFaultRules([quieter, rule]);
+  assert.equal(merged.length, DEFAULT_FAULT_RULES.length + 1);
+  assert.equal(merged.find(r => r.id === 'clogging').severity, 'advisory');
+  assert.equal(merged[merged.length - 1], rule);
+
+  const faults = evaluateFaults({ ...DEFAULT_PARAMETERS, voltage: 14, distance: 11, concentration: 15 }, merged);
+  assert.deepEqual(faults.map(fault => fault.id), ['wetFibers', 'clogging', 'thinGap']);
+  assert.equal(faults[2].explanation, 'Only 11 cm.');
+});
+
+test('rule files are parsed and checked field by field', () => {
+  assert.deepEqual(parseFaultRules(JSON.stringify({ ...rule, extra: true })), [rule]);
+  assert.throws(() => parseFaultRules('{'), /not valid JSON/);
+  assert.throws(() => parseFaultRules('[]'), /No rules found/);
+  assert.throws(() => validateFaultRule({ ...rule, severity: 'fatal' }), /Rule "thinGap": "severity" must be one of/);
+  assert.throws(() => validateFaultRule({ ...rule, when: [{ quantity: 'humidity', op: '>', value: 60 }] }), /unknown quantity "humidity"/);
+  assert.throws(() => validateFaultRule({ ...rule, when: [{ quantity: 'distance', op: '==', value: 12 }] }), /"op" must be one of/);
+});
@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fitGP, fitGPAuto } from '../src/lib/gp.js';
+
+const X = [[0.1], [0.4], [0.7], [0.9]];
+const y = X.map(([x]) => Math.sin(6 * x));
+
+test('a GP with little noise interpolates its training points and widens away from them', () => {
+  const gp = fitGP(X, y, { lengthScale: 0.2, noiseVariance: 1e-6 });
+  X.forEach((x, i) => assert.ok(Math.abs(gp.predict(x).mean - y[i]) < 1e-3));
+  assert.ok(gp.predict([0.25]).variance > gp.predict([0.4]).variance);
+  assert.deepEqual(fitGP([], []).predict([0.5]), { mean: 0, variance: 1 });
+});
+
+test('fitGPAuto keeps the length scale with the best marginal likelihood', () => {
+  const scales = [0.05, 0.2, 2];
+  const best = fitGPAuto(X, y, { lengthScales: scales });
+  for (const lengthScale of scales) assert.ok(fitGP(X, y, { lengthScale }).logLikelihood <= best.logLikelihood);
+});
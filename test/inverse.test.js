@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PARAMETER_KEYS, PARAMETER_RANGES, concentrationWindow } from '../src/lib/predictor.js';
+import { MORPHOLOGIES } from '../src/lib/morphology.js';
+import { activeTargets, inverseDesign, targetMiss } from '../src/lib/inverse.js';
+import { minimize, projectToFeasible, roundToSteps } from '../src/lib/search.js';
+
+const inWindow = (params) => {
+  const { minConc, maxConc } = concentrationWindow(params.mw, params.hydrolysis);
+  return params.concentration >= minConc - 1e-9 && params.concentration <= maxConc + 1e-9;
+};
+
+test('targetMiss is zero inside the spec and normalised by the output range', () => {
+  assert.equal(targetMiss('porosity', 90, { min: 85 }), 0);
+  assert.equal(targetMiss('porosity', 80, { min: 85 }), 5 / 35);
+  assert.equal(targetMiss('fiberDiameter', 600, { target: 500, max: 550 }), 100 / 1350);
+  assert.deepEqual(Object.keys(activeTargets({ porosity: { min: 85 }, poreSize: {}, bogus: { min: 1 } })), ['porosity']);
+});
+
+test('search helpers keep recipes on the slider steps and inside the window', () => {
+  const projected = projectToFeasible({ mw: 500000, concentration: 30, voltage: 0, flowRate: 1.5, distance: 15, hydrolysis: 98.5 });
+  assert.equal(projected.mw, PARAMETER_RANGES.mw.max);
+  assert.ok(inWindow(projected));
+  assert.deepEqual(roundToSteps({ mw: 104999, concentration: 10.26, voltage: 17.4, flowRate: 1.46, distance: 15.4, hydrolysis: 98.3 }),
+    { mw: 100000, concentration: 10.5, voltage: 17.5, flowRate: 1.5, distance: 15, hydrolysis: 98.5 });
+
+  const best = minimize(params => Math.abs(params.voltage - 20), { samples: 200, starts: 3, results: 3 });
+  assert.equal(best[0].value, 0);
+  for (const { params } of best) {
+    assert.deepEqual(Object.keys(params), PARAMETER_KEYS);
+    assert.ok(inWindow(params));
+  }
+});
+
+test('inverse design meets reachable targets with uniform, in-window recipes', () => {
+  const solutions = inverseDesign({ fiberDiameter: { target: 500 }, porosity: { min: 85 }, tensileStrength: { min: 8 } });
+  assert.ok(solutions.length > 0);
+  assert.ok(solutions[0].distance < 0.01);
+  solutions.forEach((solution, i) => {
+    assert.equal(solution.rank, i + 1);
+    assert.equal(solution.architecture.morphology, MORPHOLOGIES.uniform);
+    assert.ok(inWindow(solution.params));
+  });
+});
+
+test('inverse design needs at least one target', () => {
+  assert.throws(() => inverseDesign({ porosity: {} }), /at least one property/);
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARAMETERS, createEngine, predictWith } from '../src/lib/predictor.js';
+import { jetDiagnostics, onsetVoltage, surfaceTension } from '../src/lib/jet.js';
+
+const jet = (overrides) => jetDiagnostics({ ...DEFAULT_PARAMETERS, ...overrides });
+
+test('the regime follows the voltage relative to the Taylor onset', () => {
+  const onset = onsetVoltage(DEFAULT_PARAMETERS);
+  assert.equal(jet({ voltage: onset * 0.9 }).regime, 'dripping');
+  assert.equal(jet({ voltage: onset * 1.5 }).regime, 'coneJet');
+  assert.equal(jet({ voltage: onset * 2.5 }).regime, 'multiJet');
+  // A longer gap needs a higher onset voltage
+  assert.ok(onsetVoltage({ concentration: 10, distance: 20 }) > onsetVoltage({ concentration: 10, distance: 10 }));
+});
+
+test('surface tension falls from water toward the polymer plateau', () => {
+  assert.equal(surfaceTension(0), 0.072);
+  assert.ok(surfaceTension(20) > 0.05 && surfaceTension(20) < surfaceTension(5));
+});
+
+test('the Fridrikh diameter thins with voltage, thickens with flow rate and is dry-fiber sized', () => {
+  const base = jet({});
+  assert.ok(jet({ voltage: 25 }).fiberDiameter < base.fiberDiameter);
+  assert.ok(jet({ flowRate: 0.5 }).fiberDiameter < base.fiberDiameter);
+  assert.ok(base.fiberDiameter < base.jetDiameter);
+});
+
+test('the Fridrikh engine has no MW effect on the diameter', () => {
+  const engine = createEngine({ diameterModel: 'fridrikh' });
+  const diameter = (mw) => predictWith({ ...DEFAULT_PARAMETERS, mw }, engine).architecture.fiberDiameter;
+  assert.equal(diameter(60000), diameter(180000));
+  assert.notEqual(predictWith({ ...DEFAULT_PARAMETERS, mw: 60000 }).architecture.fiberDiameter, predictWith({ ...DEFAULT_PARAMETERS, mw: 180000 }).architecture.fiberDiameter);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARAMETERS, predictArchitecture } from '../src/lib/predictor.js';
+import { agreementStats, logbookRows, parseLogbookRecords, validateEntry } from '../src/lib/logbook.js';
+
+const entry = (params, measured) => ({ date: '2026-03-02', operator: 'AB', lot: 'L1', params, measured, notes: '' });
+
+test('logbook rows round-trip through parseLogbookRecords', () => {
+  const entries = [entry({ ...DEFAULT_PARAMETERS, mw: 120000 }, { fiberDiameter: 610, porosity: 81 })];
+  const { entries: parsed, errors } = parseLogbookRecords(logbookRows(entries));
+  assert.deepEqual(errors, []);
+  assert.deepEqual(parsed, entries);
+});
+
+test('rows without measurements are skipped and bad rows are reported by number', () => {
+  const { entries, errors } = parseLogbookRecords([
+    { ...DEFAULT_PARAMETERS, measured_fiberDiameter: '' },
+    { ...DEFAULT_PARAMETERS, date: '02/03/2026', measured_fiberDiameter: '600' }
+  ]);
+  assert.equal(entries.length, 0);
+  assert.deepEqual(errors, ['Row 2: Date must be in YYYY-MM-DD format']);
+  assert.throws(() => validateEntry(entry(DEFAULT_PARAMETERS, {})), /at least one measured property/);
+});
+
+test('agreement statistics: perfect predictions give R² = 1, a constant offset shows as bias', () => {
+  const recipes = [80000, 120000, 160000].map(mw => ({ ...DEFAULT_PARAMETERS, mw }));
+  const exact = recipes.map(params => entry(params, { fiberDiameter: predictArchitecture(params).fiberDiameter }));
+  const [stat] = agreementStats(exact);
+  assert.equal(stat.property, 'fiberDiameter');
+  assert.ok(Math.abs(stat.r2 - 1) < 1e-12 && stat.rmse < 1e-9);
+
+  const offset = recipes.map(params => entry(params, { fiberDiameter: predictArchitecture(params).fiberDiameter + 50 }));
+  const [shifted] = agreementStats(offset);
+  assert.ok(Math.abs(shifted.bias - 50) < 1e-9 && Math.abs(shifted.rmse - 50) < 1e-9);
+  assert.equal(agreementStats([exact[0]])[0].r2, null);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARAMETERS, createEngine, predictArchitecture, predictWith } from '../src/lib/predictor.js';
+import { loadModel } from '../src/lib/mlmodels.js';
+
+// One stump on molecular weight
+const stump = (value) => [
+  { feature: 0, threshold: 100000, left: 1, right: 2 },
+  { value: value[0] },
+  { value: value[1] }
+];
+const forest = {
+  name: 'Diameter forest',
+  stage: 'architecture',
+  type: 'treeEnsemble',
+  inputs: ['mw'],
+  outputs: ['fiberDiameter'],
+  trees: [stump([300, 700]), stump([500, 900])]
+};
+
+test('a random forest averages its trees and a boosted ensemble sums them', () => {
+  const model = loadModel(forest);
+  assert.deepEqual(model.predict({ mw: 80000 }), { fiberDiameter: 400 });
+  assert.deepEqual(model.predict({ mw: 150000 }), { fiberDiameter: 800 });
+
+  const boosted = loadModel({ ...forest, aggregation: 'sum', learningRate: 0.5, baseScore: [100] });
+  assert.deepEqual(boosted.predict({ mw: 80000 }), { fiberDiameter: 500 });
+});
+
+test('an MLP applies its layers, activations and output scaling', () => {
+  const model = loadModel({
+    name: 'Tiny MLP',
+    stage: 'architecture',
+    type: 'mlp',
+    inputs: ['voltage', 'flowRate'],
+    outputs: ['porosity'],
+    layers: [
+      { weights: [[1, 0], [0, -1]], bias: [0, 0], activation: 'relu' },
+      { weights: [[2, 3]], bias: [1], activation: 'linear' }
+    ],
+    outputScaling: { mean: [10], std: [2] }
+  });
+  // hidden = [relu(20), relu(-1)] = [20, 0]; out = (2·20 + 1)·2 + 10
+  assert.deepEqual(model.predict({ voltage: 20, flowRate: 1 }), { porosity: 92 });
+});
+
+test('loadModel names the first problem in a bad file', () => {
+  assert.throws(() => loadModel(null), /JSON object/);
+  assert.throws(() => loadModel({ ...forest, stage: 'stage3' }), /"stage" must be one of/);
+  assert.throws(() => loadModel({ ...forest, inputs: ['colour'] }), /Unknown architecture input "colour"/);
+  assert.throws(() => loadModel({ ...forest, trees: [[{ feature: 0, threshold: 1, left: 0, right: 2 }, { value: 1 }, { value: 2 }]] }), /children must be later node indices/);
+  assert.throws(() => loadModel({ ...forest, trees: [[{ value: [1, 2] }]] }), /leaf value needs 1 number/);
+});
+
+test('an engine overlays the model on the formulas, clamped, and leaves other outputs alone', () => {
+  const params = { ...DEFAULT_PARAMETERS, mw: 150000 };
+  const formulas = predictArchitecture(params);
+  const engine = createEngine({ models: { architecture: loadModel(forest) } });
+  const { architecture } = predictWith(params, engine);
+  assert.equal(architecture.fiberDiameter, 800);
+  assert.equal(architecture.youngsModulus, formulas.youngsModulus);
+
+  const correction = createEngine({ models: { architecture: loadModel({ ...forest, base: 'formulas', trees: [stump([5000, 5000])] }) } });
+  assert.equal(predictWith(params, correction).architecture.fiberDiameter, 1500);
+});
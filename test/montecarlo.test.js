@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARAMETERS, createEngine } from '../src/lib/predictor.js';
+import { formatLineage, lineageName, propagateUncertainty } from '../src/lib/montecarlo.js';
+import { createRng, normal } from '../src/lib/random.js';
+
+test('the seeded generator is reproducible and roughly standard normal', () => {
+  const draw = (seed) => {
+    const rng = createRng(seed);
+    return Array.from({ length: 4000 }, () => normal(rng));
+  };
+  assert.deepEqual(draw(3), draw(3));
+  const values = draw(3);
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+  assert.ok(Math.abs(mean) < 0.05 && Math.abs(variance - 1) < 0.1, `${mean} ${variance}`);
+});
+
+test('propagation is seeded, ordered and its lineage shares sum to 1', () => {
+  const first = propagateUncertainty(DEFAULT_PARAMETERS, { samples: 300 });
+  assert.deepEqual(propagateUncertainty(DEFAULT_PARAMETERS, { samples: 300 }), first);
+
+  const total = Object.values(first.lineage).reduce((sum, p) => sum + p, 0);
+  assert.ok(Math.abs(total - 1) < 1e-9);
+  for (const { p05, p50, p95 } of Object.values(first.biology)) assert.ok(p05 <= p50 && p50 <= p95);
+  const bins = first.applicationScores.skinRegeneration.histogram;
+  assert.ok(Math.abs(bins.reduce((sum, bin) => sum + bin.probability, 0) - 1) < 1e-9);
+});
+
+test('lineage labels drop the parenthetical and format as percentages', () => {
+  assert.equal(lineageName('Osteogenic (stiff substrate)'), 'Osteogenic');
+  assert.equal(formatLineage({ Osteogenic: 0.625, Chondrogenic: 0.375 }), 'Osteogenic 63%, Chondrogenic 38%');
+});
+
+test('propagation follows the engine it is given', () => {
+  const fridrikh = createEngine({ diameterModel: 'fridrikh' });
+  assert.notDeepEqual(
+    propagateUncertainty(DEFAULT_PARAMETERS, { samples: 100, engine: fridrikh }).biology,
+    propagateUncertainty(DEFAULT_PARAMETERS, { samples: 100 }).biology
+  );
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARAMETERS } from '../src/lib/predictor.js';
+import { DEFECTIVE_MORPHOLOGIES, MORPHOLOGIES, classifyMorphology, morphologyProbabilities } from '../src/lib/morphology.js';
+
+const at = (overrides) => ({ ...DEFAULT_PARAMETERS, ...overrides });
+
+test('class probabilities are in MORPHOLOGIES order and sum to 1', () => {
+  for (const params of [at({ mw: 30000, concentration: 5 }), at({}), at({ mw: 200000, concentration: 20, flowRate: 3 })]) {
+    const probabilities = morphologyProbabilities(params);
+    assert.deepEqual(Object.keys(probabilities), Object.keys(MORPHOLOGIES));
+    assert.ok(Object.values(probabilities).every(p => p >= 0 && p <= 1));
+    assert.ok(Math.abs(Object.values(probabilities).reduce((sum, p) => sum + p, 0) - 1) < 1e-12);
+  }
+});
+
+test('entanglement moves the class from spray through beads to uniform fibers and ribbons', () => {
+  assert.equal(classifyMorphology(at({ mw: 30000, concentration: 5 })), 'spray');
+  assert.equal(classifyMorphology(at({ mw: 88000, concentration: 8 })), 'beaded');
+  assert.equal(classifyMorphology(at({ mw: 125000, concentration: 10 })), 'uniform');
+  assert.equal(classifyMorphology(at({ mw: 200000, concentration: 12 })), 'ribbon');
+});
+
+test('a flow rate the voltage cannot draw drips regardless of the solution', () => {
+  assert.equal(classifyMorphology(at({ mw: 120000, voltage: 10, flowRate: 3.5 })), 'dripping');
+  assert.ok(DEFECTIVE_MORPHOLOGIES.includes('dripping'));
+});
+
+test('a partially hydrolyzed grade is classified at its lower viscosity-equivalent concentration', () => {
+  const recipe = at({ mw: 100000, concentration: 10 });
+  assert.equal(classifyMorphology(recipe), 'uniform');
+  assert.ok(DEFECTIVE_MORPHOLOGIES.includes(classifyMorphology({ ...recipe, hydrolysis: 88 })));
+  assert.ok(morphologyProbabilities({ ...recipe, hydrolysis: 88 }).uniform < morphologyProbabilities(recipe).uniform);
+});
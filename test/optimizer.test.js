@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { APPLICATIONS, PARAMETER_KEYS } from '../src/lib/predictor.js';
+import { MORPHOLOGIES } from '../src/lib/morphology.js';
+import { optimizeApplication } from '../src/lib/optimizer.js';
+
+test('the optimizer returns a uniform-fiber best recipe with ranked alternatives', () => {
+  const result = optimizeApplication('skinRegeneration', { samples: 400, starts: 4 });
+  assert.equal(result.best.architecture.morphology, MORPHOLOGIES.uniform);
+  assert.ok(result.best.score > 0 && result.best.score <= 100);
+  for (const alternative of result.alternatives) {
+    assert.ok(alternative.score <= result.best.score);
+    assert.equal(alternative.architecture.morphology, MORPHOLOGIES.uniform);
+  }
+});
+
+test('parameter importance covers every input and its shares sum to 1', () => {
+  const { importance } = optimizeApplication('boneEngineering', { samples: 400, starts: 4 });
+  assert.deepEqual(importance.map(i => i.parameter).sort(), [...PARAMETER_KEYS].sort());
+  assert.ok(Math.abs(importance.reduce((sum, i) => sum + i.share, 0) - 1) < 1e-9);
+});
+
+test('unknown applications are rejected', () => {
+  assert.throws(() => optimizeApplication('teeth'), new RegExp(Object.keys(APPLICATIONS)[0]));
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { concentrationWindow } from '../src/lib/predictor.js';
+import { METRICS, METRICS_BY_ID, metricLabel, metricValue } from '../src/lib/metrics.js';
+import { paretoFront, sampleDesigns } from '../src/lib/pareto.js';
+
+const design = (strength, poreSize) => ({ result: { architecture: { tensileStrength: strength, poreSize } } });
+
+test('metric ids address every output group', () => {
+  assert.equal(METRICS.length, Object.keys(METRICS_BY_ID).length);
+  assert.equal(metricLabel('architecture.fiberDiameter'), 'Fiber Diameter (nm)');
+  assert.equal(metricValue({ cellScores: { schwann: 80 } }, 'cellScores.schwann'), 80);
+});
+
+test('paretoFront flags designs no other design dominates, honouring min and max', () => {
+  const designs = [design(10, 5), design(8, 3), design(9, 6), design(10, 5)];
+  const objectives = [{ id: 'architecture.tensileStrength', direction: 'max' }, { id: 'architecture.poreSize', direction: 'min' }];
+  const flagged = paretoFront(designs, objectives);
+  assert.deepEqual(flagged.map(d => d.pareto), [true, true, false, true]);
+  assert.deepEqual(flagged[1].values, [8, 3]);
+});
+
+test('sampled designs are seeded and stay in the spinnable window', () => {
+  const designs = sampleDesigns(30);
+  assert.deepEqual(sampleDesigns(30).map(d => d.params), designs.map(d => d.params));
+  for (const { params } of designs) {
+    const { minConc, maxConc } = concentrationWindow(params.mw, params.hydrolysis);
+    assert.ok(params.concentration >= minConc && params.concentration <= maxConc);
+  }
+});
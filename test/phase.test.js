@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARAMETERS, PARAMETER_RANGES, concentrationWindow } from '../src/lib/predictor.js';
+import { OPTIMAL_CONFIDENCE, anchorAgreement, phaseClass, phaseRegions, windowSteps } from '../src/lib/phase.js';
+import { morphologyProbabilities } from '../src/lib/morphology.js';
+
+const { mw: MW, concentration: CONC } = PARAMETER_RANGES;
+
+test('phase regions tile the whole map without gaps or overlaps', () => {
+  const regions = phaseRegions(DEFAULT_PARAMETERS, { mwStep: 10000, concStep: 1 });
+  const area = regions.reduce((sum, r) => sum + (r.mw1 - r.mw0) * (r.c1 - r.c0), 0);
+  assert.ok(Math.abs(area - (MW.max - MW.min) * (CONC.max - CONC.min)) < 1e-6);
+  for (let k = 1; k < regions.length; k++) {
+    const [prev, next] = [regions[k - 1], regions[k]];
+    if (prev.c0 === next.c0) assert.notEqual(prev.morphology, next.morphology);
+  }
+});
+
+test('window steps span the MW range and agree with concentrationWindow', () => {
+  const steps = windowSteps({ mwStep: 5000 });
+  assert.equal(steps[0].mw0, MW.min);
+  assert.equal(steps[steps.length - 1].mw1, MW.max);
+  for (const { mw0, mw1, minConc, maxConc } of steps) {
+    assert.deepEqual({ minConc, maxConc }, concentrationWindow((mw0 + mw1) / 2));
+  }
+});
+
+test('anchor agreement returns one verdict per literature observation', () => {
+  const rows = anchorAgreement();
+  assert.ok(rows.length > 0);
+  for (const row of rows) {
+    assert.equal(typeof row.agrees, 'boolean');
+    assert.ok(row.window.minConc < row.window.maxConc);
+  }
+});
+
+test('the optimal region marks likely uniform fibers inside the window', () => {
+  const optimal = { ...DEFAULT_PARAMETERS, mw: 140000, concentration: 9 };
+  assert.equal(phaseClass(optimal), 'optimal');
+  assert.ok(morphologyProbabilities(optimal).uniform >= OPTIMAL_CONFIDENCE);
+  // Uniform but less certain stays plain uniform
+  assert.equal(phaseClass({ ...DEFAULT_PARAMETERS, mw: 125000, concentration: 10 }), 'uniform');
+  assert.ok(phaseRegions(DEFAULT_PARAMETERS, { mwStep: 5000, concStep: 0.5 }).some(region => region.morphology === 'optimal'));
+});
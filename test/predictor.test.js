@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_ENGINE,
+  DEFAULT_PARAMETERS,
+  HYDROLYSIS_GRADES,
+  LITERATURE_COEFFICIENTS,
+  createEngine,
+  formatRecipe,
+  predict,
+  predictArchitecture,
+  predictWith,
+  withOptionalDefaults
+} from '../src/lib/predictor.js';
+
+// Values the formulas inlined in App.jsx gave before the engine was extracted.
+// The concentration window and morphology have since been replaced on purpose
+// and are not compared.
+const BASELINE = [
+  {
+    params: { mw: 100000, concentration: 10, voltage: 17.5, flowRate: 1.5, distance: 15 },
+    architecture: { fiberDiameter: 400, porosity: 85, poreSize: 7.25, tensileStrength: 7.7, youngsModulus: 85, waterAbsorption: 750, contactAngle: 57, degradationRate: 16, swellingRatio: 92 },
+    biology: { cellViability: 98, proliferationTime: 25, gagContent: 33.5, col2Expression: 8, aggrecanExpression: 6, col1_col2_ratio: 0.1, burstRelease: 53, sustainedDuration: 15, mscLineage: 'Osteogenic (stiff substrate)' },
+    applicationScores: { skinRegeneration: 95, vascularEngineering: 95, nerveGuidance: 68, cartilageRepair: 56, boneEngineering: 68, drugDelivery: 95 },
+    cellScores: { fibroblasts: 83.6, endothelial: 95, schwann: 80, chondrocytes: 57.4, osteoblasts: 80, stemCells: 95 }
+  },
+  {
+    params: { mw: 200000, concentration: 12, voltage: 20, flowRate: 2, distance: 18 },
+    architecture: { fiberDiameter: 1002.94656, porosity: 71.176336, poreSize: 11.080916, tensileStrength: 11.6, youngsModulus: 85, waterAbsorption: 359.410688, contactAngle: 75, degradationRate: 4, swellingRatio: 83 },
+    biology: { cellViability: 92, proliferationTime: 35.1470992, gagContent: 41.5, burstRelease: 16.9410688, sustainedDuration: 28, mscLineage: 'Osteogenic (stiff substrate)' },
+    applicationScores: { skinRegeneration: 51.52843016, vascularEngineering: 95, nerveGuidance: 59.84, cartilageRepair: 95, boneEngineering: 95, drugDelivery: 67.32 },
+    cellScores: { fibroblasts: 56.1, endothelial: 66.3, schwann: 70.4, chondrocytes: 77.9, osteoblasts: 95, stemCells: 95 }
+  },
+  {
+    params: { mw: 50000, concentration: 7, voltage: 12, flowRate: 0.8, distance: 12 },
+    architecture: { fiberDiameter: 150, porosity: 88.5, poreSize: 5.55, tensileStrength: 4.05, youngsModulus: 47.5, waterAbsorption: 918, contactAngle: 48.45, degradationRate: 21.775, swellingRatio: 97.5 },
+    biology: { cellViability: 96, proliferationTime: 23.95, gagContent: 14.75, col2Expression: 4.66666667, aggrecanExpression: 3.575, col1_col2_ratio: 1.05, burstRelease: 68.3, sustainedDuration: 8.3, mscLineage: 'Myogenic/Chondrogenic' },
+    applicationScores: { skinRegeneration: 95, vascularEngineering: 60, nerveGuidance: 68, cartilageRepair: 33.25, boneEngineering: 46.14285714, drugDelivery: 95 },
+    cellScores: { fibroblasts: 75, endothelial: 78, schwann: 80, chondrocytes: 43.05, osteoblasts: 46.14285714, stemCells: 82 }
+  }
+];
+
+const assertClose = (actual, expected, label) => {
+  for (const [key, value] of Object.entries(expected)) {
+    if (typeof value === 'string') assert.equal(actual[key], value, `${label}.${key}`);
+    else assert.ok(Math.abs(actual[key] - value) < 1e-6, `${label}.${key}: ${actual[key]} != ${value}`);
+  }
+};
+
+test('predict matches the formulas that were inlined in App.jsx', () => {
+  for (const { params, ...expected } of BASELINE) {
+    const result = predict(params);
+    for (const [stage, values] of Object.entries(expected)) assertClose(result[stage], values, stage);
+  }
+});
+
+test('predictWith on the default engine gives the same result as predict', () => {
+  for (const { params } of BASELINE) {
+    assert.deepEqual(predictWith(params, DEFAULT_ENGINE), predict(params));
+    assert.deepEqual(predictWith(params, createEngine({})), predict(params));
+  }
+});
+
+test('an engine carries its own coefficients and diameter law', () => {
+  const params = BASELINE[0].params;
+  const scaled = createEngine({ coefficients: { fiberDiameter: { scale: LITERATURE_COEFFICIENTS.fiberDiameter.scale * 1.2 } } });
+  assert.ok(Math.abs(predictWith(params, scaled).architecture.fiberDiameter - 480) < 1e-9);
+
+  const fridrikh = createEngine({ diameterModel: 'fridrikh' });
+  assert.notEqual(predictWith(params, fridrikh).architecture.fiberDiameter, 400);
+  // The default engine is untouched by either
+  assert.equal(predictWith(params).architecture.fiberDiameter, 400);
+});
+
+test('withOptionalDefaults fills in hydrolysis only when it is missing', () => {
+  assert.equal(withOptionalDefaults({ mw: 1 }).hydrolysis, DEFAULT_PARAMETERS.hydrolysis);
+  assert.equal(withOptionalDefaults({ mw: 1, hydrolysis: 88 }).hydrolysis, 88);
+});
+
+test('a partially hydrolyzed grade absorbs more water, degrades faster and widens the window', () => {
+  const full = predictArchitecture({ ...DEFAULT_PARAMETERS, hydrolysis: HYDROLYSIS_GRADES.full.value });
+  const partial = predictArchitecture({ ...DEFAULT_PARAMETERS, hydrolysis: HYDROLYSIS_GRADES.partial.value });
+  for (const key of ['waterAbsorption', 'degradationRate', 'swellingRatio', 'contactAngle', 'maxConc']) {
+    assert.ok(partial[key] > full[key], key);
+  }
+  assert.equal(partial.fiberDiameter, full.fiberDiameter);
+  assert.equal(partial.minConc, full.minConc);
+});
+
+test('formatRecipe shows the degree of hydrolysis', () => {
+  assert.equal(formatRecipe(DEFAULT_PARAMETERS), '100k Da · 98.5% hydrolyzed · 10.0 wt% · 17.5 kV · 1.5 mL/h · 15 cm');
+});
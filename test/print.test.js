@@ -0,0 +1,26 @@
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { printTable } from '../src/lib/print.js';
+
+afterEach(() => {
+  delete globalThis.window;
+});
+
+test('printTable writes an escaped table and opens the print dialog', () => {
+  let html = '';
+  let printed = false;
+  const page = { document: { write: (text) => { html += text; }, close() {} }, focus() {}, print: () => { printed = true; } };
+  globalThis.window = { open: () => page };
+
+  printTable('Run sheet <DoE>', [{ run: 1, notes: 'a & b' }, { run: 2, notes: '' }], { subtitle: 'Seed 1' });
+  assert.ok(printed);
+  assert.match(html, /<title>Run sheet &lt;DoE&gt;<\/title>/);
+  assert.match(html, /<p>Seed 1<\/p>/);
+  assert.match(html, /<thead><tr><th>run<\/th><th>notes<\/th><\/tr><\/thead>/);
+  assert.match(html, /<tr><td>1<\/td><td>a &amp; b<\/td><\/tr>/);
+});
+
+test('a blocked pop-up is reported', () => {
+  globalThis.window = { open: () => null };
+  assert.throws(() => printTable('Run sheet', []), /allow pop-ups/);
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PARAMETER_KEYS } from '../src/lib/predictor.js';
+import { sensitivityRows, sobolIndices } from '../src/lib/sensitivity.js';
+
+const analysis = sobolIndices({ samples: 256, outputs: ['architecture.fiberDiameter', 'architecture.youngsModulus'] });
+const [diameter, modulus] = analysis.outputs;
+
+test('Sobol indices lie in [0, 1] and total order bounds first order', () => {
+  for (const output of analysis.outputs) {
+    for (const key of PARAMETER_KEYS) {
+      assert.ok(output.firstOrder[key] >= 0 && output.totalOrder[key] <= 1);
+      assert.ok(output.totalOrder[key] >= output.firstOrder[key] - 0.05, `${output.id} ${key}`);
+    }
+  }
+  assert.equal(analysis.evaluations, 256 * (PARAMETER_KEYS.length + 2));
+});
+
+test('inputs a formula does not use get zero indices', () => {
+  // Young's modulus depends on MW and concentration only
+  for (const key of ['voltage', 'flowRate', 'distance', 'hydrolysis']) {
+    assert.equal(modulus.totalOrder[key], 0, key);
+  }
+  assert.ok(modulus.firstOrder.mw > modulus.firstOrder.concentration);
+  assert.equal(diameter.totalOrder.hydrolysis, 0);
+});
+
+test('sensitivityRows gives one row per output and input', () => {
+  const rows = sensitivityRows(analysis);
+  assert.equal(rows.length, 2 * PARAMETER_KEYS.length);
+  assert.deepEqual(Object.keys(rows[0]), ['output', 'output_label', 'parameter', 'parameter_label', 'first_order', 'total_order']);
+});
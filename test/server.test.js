@@ -0,0 +1,45 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createApiServer } from '../server/index.js';
+
+const RECIPE = { mw: 100000, concentration: 10, voltage: 17.5, flowRate: 1.5, distance: 15 };
+
+let server;
+let base;
+
+before(async () => {
+  server = createApiServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const post = (path, body) => fetch(base + path, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: typeof body === 'string' ? body : JSON.stringify(body)
+});
+
+test('POST /predict returns both stages and the concentration window', async () => {
+  const res = await post('/predict', RECIPE);
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.architecture.fiberDiameter, 400);
+  assert.equal(body.concentrationWindow.isInWindow, true);
+  assert.ok('cellViability' in body.biology);
+});
+
+test('invalid requests get structured errors', async () => {
+  const badJson = await post('/predict', '{');
+  assert.equal(badJson.status, 400);
+
+  const invalid = await post('/predict/batch', [RECIPE, null]);
+  assert.equal(invalid.status, 422);
+  const { error } = await invalid.json();
+  assert.equal(error.code, 'VALIDATION_ERROR');
+  assert.deepEqual(error.details, [{ path: '/recipes/1', message: 'must be an object' }]);
+
+  assert.equal((await fetch(`${base}/predict`)).status, 405);
+  assert.equal((await fetch(`${base}/nowhere`)).status, 404);
+});
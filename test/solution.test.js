@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { concentrationWindow } from '../src/lib/predictor.js';
+import {
+  REFERENCE_HYDROLYSIS,
+  SPINNING_VISCOSITY_LIMIT,
+  associationFactor,
+  fiberOnsetConcentration,
+  solutionProperties,
+  viscosityEquivalentConcentration,
+  viscosityLimitConcentration
+} from '../src/lib/solution.js';
+
+test('the window reproduces the spinnability limits it was calibrated on', () => {
+  // 88k Da: spinnable from 6 wt% up to about 14 wt%
+  assert.ok(Math.abs(fiberOnsetConcentration(88000) - 6) < 0.1);
+  assert.ok(Math.abs(viscosityLimitConcentration(88000) - 14) <= 1);
+  // 146k and 186k Da: spinnable only below about 10 wt%
+  for (const mw of [146000, 186000]) assert.ok(Math.abs(viscosityLimitConcentration(mw) - 10) <= 1, `${mw}`);
+});
+
+test('the window shifts intentionally from the old step table, clipped to the slider range', () => {
+  assert.deepEqual(concentrationWindow(30000), { minConc: 11.9, maxConc: 20 });
+  assert.deepEqual(concentrationWindow(200000), { minConc: 5, maxConc: 8.8 });
+});
+
+test('the viscosity limit is exactly where the zero-shear viscosity reaches the spinning limit', () => {
+  const mw = 120000;
+  const { zeroShearViscosity } = solutionProperties({ mw, concentration: viscosityLimitConcentration(mw) });
+  assert.ok(Math.abs(zeroShearViscosity - SPINNING_VISCOSITY_LIMIT) < 1e-6);
+});
+
+test('partial hydrolysis lowers the viscosity and the equivalent concentration', () => {
+  assert.equal(associationFactor(REFERENCE_HYDROLYSIS), 1);
+  assert.ok(Math.abs(associationFactor(REFERENCE_HYDROLYSIS - 10.5) - 0.5) < 1e-12);
+
+  const recipe = { mw: 120000, concentration: 10 };
+  assert.ok(Math.abs(viscosityEquivalentConcentration(recipe) - 10) < 1e-9);
+  assert.ok(viscosityEquivalentConcentration({ ...recipe, hydrolysis: 88 }) < 10);
+  assert.ok(viscosityLimitConcentration(120000, 88) > viscosityLimitConcentration(120000));
+});
+
+test('Berry regimes and entanglement grow with MW and concentration', () => {
+  const dilute = solutionProperties({ mw: 30000, concentration: 5 });
+  const entangled = solutionProperties({ mw: 200000, concentration: 12 });
+  assert.equal(dilute.berryRegime, 'Dilute: droplets');
+  assert.equal(entangled.berryRegime, 'Highly entangled: flat fibers');
+  assert.ok(entangled.entanglementNumber > dilute.entanglementNumber);
+  assert.ok(Math.abs(dilute.overlapConcentration * dilute.intrinsicViscosity - 1) < 1e-12);
+});
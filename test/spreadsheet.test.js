@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as XLSX from 'xlsx';
+import { readSpreadsheetFile } from '../src/lib/spreadsheet.js';
+
+test('CSV uploads are parsed into records', async () => {
+  const file = new File(['mw,concentration\n120000,9\n'], 'Recipes.CSV');
+  assert.deepEqual(await readSpreadsheetFile(file), [{ mw: '120000', concentration: '9' }]);
+});
+
+test('XLSX uploads read the first sheet with blank cells as empty strings', async () => {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['mw', 'notes'], [120000, 'ok'], [80000]]), 'Runs');
+  const file = new File([XLSX.write(workbook, { type: 'array', bookType: 'xlsx' })], 'runs.xlsx');
+  assert.deepEqual(await readSpreadsheetFile(file), [{ mw: 120000, notes: 'ok' }, { mw: 80000, notes: '' }]);
+});
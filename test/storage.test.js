@@ -0,0 +1,36 @@
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadJSON, saveJSON } from '../src/lib/storage.js';
+
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => { items.set(key, String(value)); }
+  };
+};
+
+afterEach(() => {
+  delete globalThis.window;
+});
+
+test('saved values load back, and missing keys give the fallback', () => {
+  globalThis.window = { localStorage: memoryStorage() };
+  assert.equal(saveJSON('log', [{ mw: 120000 }]), true);
+  assert.deepEqual(loadJSON('log', []), [{ mw: 120000 }]);
+  assert.deepEqual(loadJSON('other', []), []);
+});
+
+test('corrupt entries, quota errors and missing storage fall back quietly', () => {
+  const storage = memoryStorage();
+  storage.setItem('log', '{not json');
+  globalThis.window = { localStorage: storage };
+  assert.equal(loadJSON('log', 'fallback'), 'fallback');
+
+  globalThis.window = { localStorage: { setItem() { throw new Error('QuotaExceededError'); } } };
+  assert.equal(saveJSON('log', []), false);
+
+  globalThis.window = {};
+  assert.equal(loadJSON('log', null), null);
+  assert.equal(saveJSON('log', []), false);
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARAMETERS, PARAMETER_RANGES, concentrationWindow, predictWith } from '../src/lib/predictor.js';
+import { contourLevels, contourSegments, parameterLevels, responseSurface } from '../src/lib/surface.js';
+
+test('parameterLevels lists every slider position without float drift', () => {
+  const levels = parameterLevels('flowRate');
+  const { min, max } = PARAMETER_RANGES.flowRate;
+  assert.equal(levels[0], min);
+  assert.equal(levels[levels.length - 1], max);
+  assert.ok(levels.every(level => String(level).length <= 4));
+});
+
+test('responseSurface matches a direct prediction and marks the window', () => {
+  const surface = responseSurface('mw', 'concentration', 'architecture.fiberDiameter', DEFAULT_PARAMETERS);
+  const i = surface.xs.indexOf(150000);
+  const j = surface.ys.indexOf(9);
+  const recipe = { ...DEFAULT_PARAMETERS, mw: 150000, concentration: 9 };
+  const { minConc, maxConc } = concentrationWindow(150000);
+  assert.equal(surface.values[j][i], predictWith(recipe).architecture.fiberDiameter);
+  assert.equal(surface.inWindow[j][i], 9 >= minConc && 9 <= maxConc);
+  assert.throws(() => responseSurface('mw', 'mw', 'architecture.porosity', DEFAULT_PARAMETERS), /two different inputs/);
+});
+
+test('contour levels fall strictly inside the range', () => {
+  assert.deepEqual(contourLevels(0, 70, 6), [10, 20, 30, 40, 50, 60]);
+  assert.deepEqual(contourLevels(5, 5), []);
+});
+
+test('contourSegments traces a straight level line through a linear field', () => {
+  const grid = { xs: [0, 1, 2], ys: [0, 1], values: [[0, 1, 2], [0, 1, 2]] };
+  assert.deepEqual(contourSegments(grid, 0.5), [[[0.5, 0], [0.5, 1]]]);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARAMETERS, PARAMETER_KEYS, predictArchitecture } from '../src/lib/predictor.js';
+import { loadModel } from '../src/lib/mlmodels.js';
+import { datasetFromRecords, targetCounts, trainModel } from '../src/lib/training.js';
+import { createRng } from '../src/lib/random.js';
+
+// Measured diameters run a steady 120 nm above the formulas
+const rng = createRng(11);
+const rows = Array.from({ length: 24 }, () => {
+  const params = {
+    ...DEFAULT_PARAMETERS,
+    mw: 60000 + Math.round(rng() * 12) * 10000,
+    concentration: 7 + Math.round(rng() * 8) * 0.5,
+    voltage: 14 + Math.round(rng() * 10)
+  };
+  return { params, targets: { fiberDiameter: predictArchitecture(params).fiberDiameter + 120 } };
+});
+
+test('datasetFromRecords reads plain and measured_ target columns', () => {
+  const { rows: parsed, errors } = datasetFromRecords([
+    { ...DEFAULT_PARAMETERS, fiberDiameter: '610' },
+    { ...DEFAULT_PARAMETERS, measured_porosity: 80 },
+    { ...DEFAULT_PARAMETERS, mw: 'heavy', fiberDiameter: 600 }
+  ]);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^Row 3:/);
+  assert.deepEqual(targetCounts(parsed), [{ property: 'fiberDiameter', n: 1 }, { property: 'porosity', n: 1 }]);
+});
+
+test('a correction model learns the offset and beats the formulas in cross-validation', () => {
+  const { properties, spec } = trainModel(rows, { name: 'Offset', type: 'randomForest', mode: 'augment', properties: ['fiberDiameter'], options: { trees: 10, maxDepth: 3, minLeaf: 2 }, folds: 3 });
+  const [summary] = properties;
+  assert.equal(summary.n, rows.length);
+  assert.ok(summary.cv.rmse < summary.baseline.rmse / 4, `CV RMSE ${summary.cv.rmse} vs ${summary.baseline.rmse}`);
+  assert.deepEqual(summary.importance.map(({ key }) => key), PARAMETER_KEYS);
+
+  const model = loadModel(spec);
+  assert.equal(model.base, 'formulas');
+  assert.ok(Math.abs(model.predict(rows[0].params).fiberDiameter - 120) < 1);
+});
+
+test('trained Gaussian processes export a loadable model that reproduces the data', () => {
+  const { spec } = trainModel(rows, { name: 'GP', type: 'gaussianProcess', properties: ['fiberDiameter'], folds: 3 });
+  const model = loadModel(spec);
+  const [{ params, targets }] = rows;
+  assert.ok(Math.abs(model.predict(params).fiberDiameter - targets.fiberDiameter) < 0.05 * targets.fiberDiameter);
+});
+
+test('training refuses too little data or no properties', () => {
+  assert.throws(() => trainModel(rows.slice(0, 4), { name: 'x', type: 'randomForest', properties: ['fiberDiameter'] }), /needs at least 6 rows, found 4/);
+  assert.throws(() => trainModel(rows, { name: 'x', type: 'randomForest', properties: [] }), /at least one property/);
+  assert.throws(() => trainModel(rows, { name: 'x', type: 'svm', properties: ['fiberDiameter'] }), /Unknown learner "svm"/);
+});
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ARCHITECTURE_PROPERTIES, BIOLOGY_OUTCOMES, DEFAULT_PARAMETERS, predict } from '../src/lib/predictor.js';
+import { intervalFor, predictionIntervals, residualSigmas } from '../src/lib/uncertainty.js';
+
+test('every output gets a positive residual standard deviation', () => {
+  const sigmas = residualSigmas();
+  for (const key of Object.keys(ARCHITECTURE_PROPERTIES)) assert.ok(sigmas.architecture[key] > 0, key);
+  for (const key of Object.keys(BIOLOGY_OUTCOMES)) assert.ok(sigmas.biology[key] > 0, key);
+});
+
+test('intervals bracket the value, widen with the level and stay inside the clamp range', () => {
+  const intervals = predictionIntervals(predict(DEFAULT_PARAMETERS));
+  for (const [key, { value, lower, upper }] of Object.entries(intervals.architecture)) {
+    const { min, max } = ARCHITECTURE_PROPERTIES[key];
+    assert.ok(lower <= value && value <= upper, key);
+    assert.ok(lower >= min && upper <= max, key);
+  }
+
+  const narrow = intervalFor('architecture', 'porosity', 80, 0.8);
+  const wide = intervalFor('architecture', 'porosity', 80, 0.99);
+  assert.ok(wide.upper - wide.lower > narrow.upper - narrow.lower);
+});
@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PARAMETERS_SCHEMA, validateParameters } from '../src/lib/validation.js';
+
+const RECIPE = { mw: 100000, concentration: 10, voltage: 17.5, flowRate: 1.5, distance: 15 };
+
+test('a complete recipe is valid with or without the optional inputs', () => {
+  assert.deepEqual(validateParameters(RECIPE), []);
+  assert.deepEqual(validateParameters({ ...RECIPE, hydrolysis: 88 }), []);
+  assert.equal(PARAMETERS_SCHEMA.required.includes('hydrolysis'), false);
+});
+
+test('problems are reported with JSON pointer paths', () => {
+  const { distance: _distance, ...missing } = RECIPE;
+  assert.deepEqual(validateParameters(missing, '/recipes/0'), [{ path: '/recipes/0/distance', message: 'is required' }]);
+  assert.deepEqual(validateParameters({ ...RECIPE, voltage: '17' }), [{ path: '/voltage', message: 'must be a finite number' }]);
+  assert.match(validateParameters({ ...RECIPE, mw: 500000 })[0].message, /must be between/);
+  assert.match(validateParameters({ ...RECIPE, speed: 1 })[0].message, /is not a recognised parameter/);
+  assert.deepEqual(validateParameters([RECIPE]), [{ path: '/', message: 'must be an object' }]);
+});